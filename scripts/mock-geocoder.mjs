@@ -0,0 +1,142 @@
+// 住所検索の代替サーバ（開発・動作確認用）
+// 緯度経度付きの飲食店 CSV（住所・緯度・経度の列）を読み込み、国土地理院の住所検索と
+// Nominatim 互換の形式で返す。アプリの「接続先URL」を次のどちらかにする。
+//   http://localhost:8787/address-search/AddressSearch （国土地理院 住所検索）
+//   http://localhost:8787/search                       （Nominatim 互換）
+//
+// 使い方: npm run mock-geocoder -- [--port 8787] [--delay ミリ秒] [--fail-rate 0〜1]
+//         [--min-interval ミリ秒] [CSV ...]
+//   --delay        応答までの待ち時間
+//   --fail-rate    この割合で 503 を返す（再試行の確認用）
+//   --min-interval 前の要求からこの間隔未満なら 429 と Retry-After を返す（要求間隔の確認用）
+//   --port 0       空いているポートで起動する（テスト用）
+//   CSV を省くと data/ の *_緯度経度付き.csv を読み込む。
+import { readFileSync, readdirSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { join } from 'node:path';
+import Papa from 'papaparse';
+
+function parseArgs(argv) {
+  const options = { port: 8787, delay: 0, failRate: 0, minInterval: 0 };
+  const files = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--port') options.port = Number(argv[++i]);
+    else if (arg === '--delay') options.delay = Number(argv[++i]);
+    else if (arg === '--fail-rate') options.failRate = Number(argv[++i]);
+    else if (arg === '--min-interval') options.minInterval = Number(argv[++i]);
+    else files.push(arg);
+  }
+  return { options, files };
+}
+
+// 照合用に全角・半角と空白、都道府県名の有無を揃える
+const normalizeAddress = (text) =>
+  String(text ?? '')
+    .normalize('NFKC')
+    .replace(/\s+/g, '')
+    .replace(/^大阪府/, '');
+
+function loadAddresses(files) {
+  const byAddress = new Map();
+  for (const file of files) {
+    const text = readFileSync(file, 'utf8').replace(/^\ufeff/, '');
+    const { data } = Papa.parse(text, { header: true, skipEmptyLines: true });
+    for (const row of data) {
+      const lat = Number(row['緯度']);
+      const lon = Number(row['経度']);
+      const address = String(row['住所'] ?? '').trim();
+      if (!address || !Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+      const key = normalizeAddress(address);
+      if (!byAddress.has(key)) byAddress.set(key, { address, lat, lon });
+    }
+  }
+  return byAddress;
+}
+
+// 完全一致を優先し、無ければ前方一致（どちらかがもう一方で始まる）を 5 件まで返す
+function search(byAddress, query) {
+  const key = normalizeAddress(query);
+  if (!key) return [];
+  if (byAddress.has(key)) return [byAddress.get(key)];
+  const matches = [];
+  for (const [candidate, entry] of byAddress) {
+    if (candidate.startsWith(key) || key.startsWith(candidate)) {
+      matches.push(entry);
+      if (matches.length >= 5) break;
+    }
+  }
+  return matches;
+}
+
+const { options, files: argFiles } = parseArgs(process.argv.slice(2));
+const files = argFiles.length
+  ? argFiles
+  : readdirSync('data')
+      .filter((name) => name.endsWith('_緯度経度付き.csv'))
+      .map((name) => join('data', name));
+const byAddress = loadAddresses(files);
+let lastRequestAt = -Infinity;
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const send = (status, body, headers = {}) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Expose-Headers': 'Retry-After',
+      ...headers,
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  const now = Date.now();
+  const tooSoon = now - lastRequestAt < options.minInterval;
+  lastRequestAt = now;
+  if (tooSoon) {
+    send(429, { error: 'too many requests' }, {
+      'Retry-After': String(Math.ceil(options.minInterval / 1000)),
+    });
+    return;
+  }
+  if (options.delay > 0) {
+    await new Promise((resolve) => setTimeout(resolve, options.delay));
+  }
+  if (Math.random() < options.failRate) {
+    send(503, { error: 'service unavailable' });
+    return;
+  }
+
+  const matches = search(byAddress, url.searchParams.get('q'));
+  if (url.pathname.endsWith('/AddressSearch')) {
+    send(
+      200,
+      matches.map((m) => ({
+        geometry: { type: 'Point', coordinates: [m.lon, m.lat] },
+        type: 'Feature',
+        properties: { title: m.address },
+      }))
+    );
+  } else if (url.pathname.endsWith('/search')) {
+    send(
+      200,
+      matches.map((m, i) => ({
+        place_id: i + 1,
+        lat: String(m.lat),
+        lon: String(m.lon),
+        display_name: m.address,
+        place_rank: 30,
+      }))
+    );
+  } else {
+    send(404, { error: 'not found' });
+  }
+});
+
+// --port 0 なら空いているポートを使う（実際のポートを表示する）
+server.listen(options.port, () => {
+  console.log(
+    `住所検索の代替サーバ: http://localhost:${server.address().port}/ ` +
+      `（${files.length}ファイル・${byAddress.size}住所）`
+  );
+});
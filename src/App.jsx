@@ -1,19 +1,88 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import shp from 'shpjs';
 import Papa from 'papaparse';
-import { geoBounds, geoCentroid, geoContains, geoMercator, geoPath } from 'd3-geo';
-import { extent } from 'd3-array';
-import { scaleSequential, scaleDiverging } from 'd3-scale';
 import {
-  interpolateYlOrRd,
+  geoArea,
+  geoBounds,
+  geoCentroid,
+  geoContains,
+  geoMercator,
+  geoPath,
+} from 'd3-geo';
+import { extent, median, quantileSorted } from 'd3-array';
+import { scaleLinear, scaleSequential, scaleDiverging } from 'd3-scale';
+import {
+  interpolateBlues,
   interpolateGreens,
+  interpolateGreys,
+  interpolateOranges,
   interpolatePurples,
+  interpolateReds,
+  interpolateBuGn,
+  interpolateBuPu,
+  interpolateGnBu,
+  interpolateOrRd,
+  interpolatePuBuGn,
+  interpolatePuBu,
+  interpolatePuRd,
+  interpolateRdPu,
+  interpolateYlGnBu,
+  interpolateYlGn,
+  interpolateYlOrBr,
+  interpolateYlOrRd,
+  interpolateViridis,
+  interpolateCividis,
+  interpolateInferno,
+  interpolateMagma,
+  interpolatePlasma,
+  interpolateTurbo,
+  interpolateWarm,
+  interpolateCool,
+  interpolateCubehelixDefault,
+  interpolateBrBG,
+  interpolatePRGn,
+  interpolatePiYG,
+  interpolatePuOr,
   interpolateRdBu,
+  interpolateRdGy,
+  interpolateRdYlBu,
+  interpolateRdYlGn,
+  interpolateSpectral,
+  schemeTableau10,
 } from 'd3-scale-chromatic';
 import { select } from 'd3-selection';
 import { zoom, zoomIdentity } from 'd3-zoom';
 import { topology } from 'topojson-server';
 import { mesh } from 'topojson-client';
+import {
+  dedupeRestaurantRows,
+  parseJapaneseAddress,
+  parseTownAddress,
+} from './address.js';
+import {
+  decodeArrayBufferSmart,
+  fetchAreaCsvs,
+  looksLikeAreaCsv,
+  looksLikeHtml,
+  normalizeKeyString,
+  parseCsvText,
+} from './areaCsv.js';
+import {
+  BUSINESS_ALL_INDUSTRY_KEY,
+  BUSINESS_COLUMN_MEASURE,
+  buildBusinessSchema,
+  isBusinessCodeColumn,
+  resolveBusinessSelection,
+} from './business.js';
+import {
+  createRateLimiter,
+  fetchGeocoderJson,
+  sleep,
+  withGeocoderRetry,
+} from './geocoder.js';
+import { toJisMeshCode } from './mesh.js';
+import { groupPopulationRowsByKey } from './population.js';
+import { jenksBreaks, testLocationQuotient } from './stats.js';
 
 /**
  * 茨木市統計データ可視化システム（ブラウザ完結 / サーバ不要）
@@ -51,6 +120,44 @@ const RESTAURANT_MARKER_COLORS = [
   { value: 'blue', label: '青', color: '#1e88e5' },
 ];
 
+// 飲食店の位置の確からしさ（高い順）。緯度経度（街区までの住所照合・手動修正を含む）/
+// 駅と距離からの推定 / 住所の町丁の中の点（町丁目レベルの照合を含む）/ 市域中心（市レベルの照合を含む）。
+// マーカーは塗りの濃さと破線で描き分け、重なりの集約はレベルごとに行う
+const RESTAURANT_PRECISION_LEVELS = [
+  {
+    key: 'geocoded',
+    label: '緯度経度（街区までの照合・手動修正）',
+    fillOpacity: 0.7,
+    dash: null,
+  },
+  {
+    key: 'station',
+    label: '駅と距離から推定',
+    fillOpacity: 0.35,
+    dash: '3 2',
+  },
+  {
+    key: 'town',
+    label: '町丁内の点（推定・町丁目レベルの照合）',
+    fillOpacity: 0.2,
+    dash: '1 2',
+  },
+  {
+    key: 'city',
+    label: '市域中心（推定・市レベルの照合）',
+    fillOpacity: 0.08,
+    dash: '2 2',
+  },
+];
+// 市域中心の店は 1 か所に積み重なって誤解を招くため、初期状態では表示しない
+const DEFAULT_RESTAURANT_PRECISION_KEYS = ['geocoded', 'station', 'town'];
+const RESTAURANT_PRECISION_BY_KEY = new Map(
+  RESTAURANT_PRECISION_LEVELS.map((level) => [level.key, level])
+);
+// 照合レベルごとの位置の確からしさ。町丁目・市レベルは代表点・平均なので推定と同じに扱う。
+// 街区・手動と、照合レベルの無い（元から緯度経度のある）行は 'geocoded'
+const GEOCODE_LEVEL_PRECISION = { 町丁目: 'town', 市: 'city' };
+
 const buildRestaurantClusters = (
   points,
   baseRadius,
@@ -600,7 +707,6 @@ const RIDERSHIP_BY_STATION_ID = {
 
 const DEFAULT_MODE = 'population'; // population | household | business | analysis | restaurant | restaurant-analysis | ridership
 
-const RESTAURANT_GRID_SIZE_METERS = 250;
 const RIDERSHIP_ICON_STEP = 5000;
 const RIDERSHIP_ICON_DEFAULT_SIZE = 22;
 const RIDERSHIP_ICON_GAP = 4;
@@ -613,44 +719,132 @@ const resolvePublicUrl = (path) => {
   return new URL(normalizedPath, baseHref).toString();
 };
 
-const DEFAULT_DATA_FILES = {
-  shapeBases: [
-    resolvePublicUrl('data/茨木_地図/r2ka27211'),
-    resolvePublicUrl('data/高槻_地図/r2ka27207'),
-    resolvePublicUrl('data/吹田_地図/r2ka27205'),
-    resolvePublicUrl('data/豊中_地図/r2ka27203'),
-  ],
-  populationCsv: resolvePublicUrl('data/h03_27(茨木_人口).csv'),
-  householdCsv: resolvePublicUrl('data/h06_01_27(茨木_世帯).csv'),
-  restaurantSuitaCsv: resolvePublicUrl('data/飲食店_吹田.csv'),
-  restaurantToyonakaCsv: resolvePublicUrl('data/飲食店_豊中.csv'),
-  restaurantSuitaGeoCsv: resolvePublicUrl('data/飲食店_吹田_緯度経度付き.csv'),
-  restaurantToyonakaGeoCsv: resolvePublicUrl(
-    'data/飲食店_豊中_緯度経度付き.csv'
-  ),
-};
+// 対象市区町村と同梱ファイルの一覧（/data/manifest.json）
+const DATA_MANIFEST_PATH = 'data/manifest.json';
 
-const TARGET_CITY_CODES = ['27211', '27207', '27205', '27203'];
+function toManifestPathList(value) {
+  const list = Array.isArray(value) ? value : value ? [value] : [];
+  return list.map((v) => normalizeKeyString(v)).filter(Boolean);
+}
 
-const CITY_CODE_LABELS = {
-  '27211': '茨木市',
-  '27207': '高槻市',
-  '27205': '吹田市',
-  '27203': '豊中市',
-};
+/**
+ * manifest.json を検証して整形する。
+ * - cities[]: code / label / shape（拡張子なしの Shapefile パス）は必須
+ * - cities[].census / cities[].restaurant / cities[].addressRef（位置参照情報 CSV）は任意
+ * - 直下の census / boundary は全市共通ファイル
+ * - 直下の rail は任意（路線 GeoJSON。無ければ同梱の固定座標を使う）
+ * - 直下の ridership は任意（駅ID・年・乗降客数の CSV。無ければ同梱の値を使う）
+ * - 直下の geocoder は任意（住所検索の提供元 provider・baseUrl・rateLimitMs の初期値）
+ */
+function normalizeDataManifest(json) {
+  const cities = [];
+  const seen = new Set();
+  for (const c of Array.isArray(json?.cities) ? json.cities : []) {
+    const code = normalizeKeyString(c?.code).padStart(5, '0');
+    if (!/^\d{5}$/.test(code) || seen.has(code)) continue;
+    seen.add(code);
+    const restaurantCsv = normalizeKeyString(c?.restaurant?.csv);
+    const restaurantGeoCsv = normalizeKeyString(c?.restaurant?.geoCsv);
+    cities.push({
+      code,
+      label: normalizeKeyString(c?.label) || code,
+      shape: normalizeKeyString(c?.shape).replace(/\.shp$/i, ''),
+      population: toManifestPathList(c?.census?.population),
+      household: toManifestPathList(c?.census?.household),
+      business: toManifestPathList(c?.census?.business),
+      addressRef: toManifestPathList(c?.addressRef),
+      restaurant:
+        restaurantCsv || restaurantGeoCsv
+          ? { csv: restaurantCsv, geoCsv: restaurantGeoCsv }
+          : null,
+    });
+  }
+  if (!cities.length) {
+    throw new Error('データ一覧に有効な市区町村（cities）がありません');
+  }
+  return {
+    boundary: normalizeKeyString(json?.boundary),
+    rail: normalizeKeyString(json?.rail),
+    ridership: toManifestPathList(json?.ridership),
+    population: toManifestPathList(json?.census?.population),
+    household: toManifestPathList(json?.census?.household),
+    business: toManifestPathList(json?.census?.business),
+    geocoder: json?.geocoder
+      ? {
+          provider: getGeocoderProvider(
+            normalizeKeyString(json.geocoder.provider)
+          ).value,
+          baseUrl: normalizeKeyString(json.geocoder.baseUrl),
+          rateLimitMs: safeToNumber(json.geocoder.rateLimitMs),
+        }
+      : null,
+    cities,
+  };
+}
 
-const MAP_SOURCES = [
-  { code: '27211', label: '茨木市', path: 'data/茨木_地図/r2ka27211' },
-  { code: '27207', label: '高槻市', path: 'data/高槻_地図/r2ka27207' },
-  { code: '27205', label: '吹田市', path: 'data/吹田_地図/r2ka27205' },
-  { code: '27203', label: '豊中市', path: 'data/豊中_地図/r2ka27203' },
-];
+// manifest から初期ロード対象の URL 一覧を組み立てる
+function buildDataFilesFromManifest(manifest) {
+  const cities = manifest?.cities ?? [];
+  const collect = (key) =>
+    uniq([...(manifest?.[key] ?? []), ...cities.flatMap((c) => c[key])]).map(
+      (path) => resolvePublicUrl(path)
+    );
+  return {
+    shapeBases: cities
+      .filter((c) => c.shape)
+      .map((c) => resolvePublicUrl(c.shape)),
+    populationCsvs: collect('population'),
+    householdCsvs: collect('household'),
+    // 経済センサス（事業所）は同梱されていれば読み込む（無ければ未読込扱い）
+    businessCsvs: collect('business'),
+    restaurantCsvs: cities
+      .filter((c) => c.restaurant)
+      .map((c) => {
+        const { csv, geoCsv } = c.restaurant;
+        return {
+          source: c.label,
+          primary: resolvePublicUrl(geoCsv || csv),
+          fallback: geoCsv && csv ? resolvePublicUrl(csv) : '',
+        };
+      }),
+    boundary: manifest?.boundary || '',
+    rail: manifest?.rail || '',
+    ridershipCsvs: (manifest?.ridership ?? []).map((path) =>
+      resolvePublicUrl(path)
+    ),
+    // 位置参照情報（オフライン住所照合用）。同梱されていなければ読み飛ばす
+    addressRefCsvs: collect('addressRef'),
+  };
+}
 
-const CITY_NAME_TO_CODE = Object.fromEntries(
-  Object.entries(CITY_CODE_LABELS).map(([code, name]) => [name, code])
-);
+function getRestaurantGeoFileName(manifest, source) {
+  const city = manifest?.cities?.find((c) => c.label === source);
+  const path = city?.restaurant?.geoCsv;
+  if (path) return path.split('/').pop();
+  const base = getFileBaseName(source || '飲食店');
+  return `${base}_緯度経度付き.csv`;
+}
 
-const CITY_BOUNDARY_GEOJSON_PATH = 'data/市境.geojson';
+async function loadDataManifest() {
+  const url = resolvePublicUrl(DATA_MANIFEST_PATH);
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`データ一覧の取得に失敗しました (${res.status}) - ${url}`);
+  }
+  const text = await res.text();
+  if (looksLikeHtml(text)) {
+    throw new Error(`データ一覧がHTMLで返されました - ${url}`);
+  }
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error(
+      `データ一覧のJSON解析に失敗しました (${url}): ${err?.message || err}`
+    );
+  }
+  return normalizeDataManifest(json);
+}
 
 // h06（世帯）階層（キー=列名）
 const HOUSEHOLD_HIERARCHY = {
@@ -693,6 +887,53 @@ const ANALYSIS_METRIC_OPTIONS = [
   '世帯の家族類型「不詳」',
 ];
 
+// 分析モード（人口）の分子・分母候補のうち、人口モードの設定を流用するもの
+const ANALYSIS_POP_NUMER = 'pop:numer';
+const ANALYSIS_POP_DENOM = 'pop:denom';
+const ANALYSIS_POP_TOTAL = 'pop:total';
+const ANALYSIS_POP_ELDERLY = 'pop:elderly';
+const ANALYSIS_POP_YOUNG = 'pop:young';
+const ANALYSIS_AGE_TERM_PREFIX = 'age:';
+
+// 特化係数の基準地域: 表示中の全市 / 各市ごと（それ以外の値は市区町村コード）
+const ANALYSIS_REFERENCE_ALL = 'all';
+const ANALYSIS_REFERENCE_EACH_CITY = 'city';
+
+// 特化係数の有意性判定（両側検定）。z は正規近似の臨界値
+const LQ_TEST_OPTIONS = [
+  { value: 'off', label: '判定しない' },
+  { value: 'z', label: 'zスコア' },
+  { value: 'poisson', label: 'ポアソン p値' },
+];
+const LQ_SIGNIFICANCE_LEVELS = [
+  { value: 0.1, label: '90%', z: 1.645 },
+  { value: 0.05, label: '95%', z: 1.96 },
+  { value: 0.01, label: '99%', z: 2.576 },
+];
+const LQ_INSIGNIFICANT_FILL = '#d9d9d9';
+const LQ_HATCH_PATTERN_ID = 'lq-insignificant-hatch';
+
+/**
+ * 有意でない（または分母が小さすぎる）地域なら true。
+ * lq: { denom, z, p } / test: 'off' | 'z' | 'poisson'
+ */
+function isLocationQuotientInsignificant(lq, { test, level, minDenom }) {
+  if (!lq) return false;
+  if (minDenom > 0 && lq.denom < minDenom) return true;
+  if (test === 'z') {
+    const crit =
+      LQ_SIGNIFICANCE_LEVELS.find((opt) => opt.value === level)?.z ?? 1.96;
+    return lq.z === null || Math.abs(lq.z) < crit;
+  }
+  if (test === 'poisson') return lq.p === null || lq.p > level;
+  return false;
+}
+
+/** details（キー → 特化係数の内訳）の地域が significance の条件で有意でないか。 */
+const isInsignificantIn = (details, key, significance) =>
+  Boolean(significance) &&
+  isLocationQuotientInsignificant(details.get(key), significance);
+
 const STATION_CATCHMENT_METERS = 500;
 const RATING_STEP = 0.25;
 const RATING_MIN = 0;
@@ -709,6 +950,11 @@ function formatNumber(n) {
   return x.toLocaleString('ja-JP', { maximumFractionDigits: 4 });
 }
 
+function formatPercent(n, digits = 1) {
+  const text = formatDecimal(n, digits);
+  return text === '-' ? text : `${text}%`;
+}
+
 function formatDecimal(n, digits = 1) {
   if (n === null || n === undefined || Number.isNaN(n)) return '-';
   const x = Number(n);
@@ -742,6 +988,84 @@ function buildRidershipIconFragments(value) {
   return parts;
 }
 
+// --- 乗降客数（年次） ---
+// 形式: 駅ID・年・乗降客数 の縦持ち CSV。駅IDは路線データの駅ID（例: hk_茨木市）
+const RIDERSHIP_COLUMN_PATTERNS = {
+  station: /^(駅ID|駅コード|station_?id)$/i,
+  year: /^(年|年度|調査年|year)$/i,
+  value: /乗降客数|乗降人員|乗車人員|boardings|ridership/i,
+};
+// 同梱の RIDERSHIP_BY_STATION_ID は調査年が無いため年キー '' として扱う
+const RIDERSHIP_UNDATED_YEAR = '';
+const DEFAULT_RIDERSHIP_SERIES = {
+  source: '',
+  byYear: { [RIDERSHIP_UNDATED_YEAR]: RIDERSHIP_BY_STATION_ID },
+};
+
+function findRidershipColumns(columns) {
+  const find = (pattern) =>
+    columns.find((c) => pattern.test(String(c).trim())) || '';
+  return {
+    station: find(RIDERSHIP_COLUMN_PATTERNS.station),
+    year: find(RIDERSHIP_COLUMN_PATTERNS.year),
+    value: find(RIDERSHIP_COLUMN_PATTERNS.value),
+  };
+}
+
+function looksLikeRidershipCsv(text) {
+  const header = (text || '')
+    .replace(/^\ufeff/, '')
+    .split(/\r?\n/, 1)[0]
+    .split(',')
+    .map((c) => c.replace(/"/g, '').trim());
+  const cols = findRidershipColumns(header);
+  return Boolean(cols.station && cols.year && cols.value);
+}
+
+function normalizeRidershipYear(raw) {
+  const text = normalizeKeyString(raw);
+  const match = /\d{4}/.exec(text);
+  return match ? match[0] : text;
+}
+
+function formatRidershipYear(year) {
+  return year === RIDERSHIP_UNDATED_YEAR ? '同梱値（年不明）' : `${year}年`;
+}
+
+// 同じ駅・年が複数行ある場合は後の行で上書きする
+function parseRidershipRows(rows) {
+  const cols = findRidershipColumns(Object.keys(rows?.[0] ?? {}));
+  if (!cols.station || !cols.year || !cols.value) {
+    throw new Error('乗降客数CSVには 駅ID・年・乗降客数 の列が必要です');
+  }
+  const byYear = {};
+  for (const row of rows) {
+    const id = normalizeKeyString(row[cols.station]);
+    const year = normalizeRidershipYear(row[cols.year]);
+    const value = safeToNumber(row[cols.value]);
+    if (!id || !year || value === null) continue;
+    if (!byYear[year]) byYear[year] = {};
+    byYear[year][id] = value;
+  }
+  if (!Object.keys(byYear).length) {
+    throw new Error('乗降客数CSVに有効な行がありません');
+  }
+  return byYear;
+}
+
+function mergeRidershipSeries(base, incoming) {
+  const byYear = { ...base.byYear };
+  for (const [year, values] of Object.entries(incoming.byYear)) {
+    byYear[year] = { ...(byYear[year] ?? {}), ...values };
+  }
+  const source = [base.source, incoming.source].filter(Boolean).join(' / ');
+  return { source, byYear };
+}
+
+function getRidershipYears(series) {
+  return Object.keys(series?.byYear ?? {}).sort((a, b) => a.localeCompare(b));
+}
+
 function parseBudgetValue(raw) {
   if (!raw) return null;
   const text = String(raw).trim();
@@ -797,6 +1121,38 @@ function splitRestaurantCategories(raw) {
     .filter(Boolean);
 }
 
+/** 店舗の id（店舗ID 列があればそれ、無ければ 店名-住所）。位置の手動修正のキーにも使う。 */
+function restaurantStoreId(row) {
+  return (
+    normalizeKeyString(row['店舗ID']) ||
+    `${normalizeKeyString(row['店の名前'])}-${normalizeKeyString(row['住所'])}`
+  );
+}
+
+// 手動で修正した飲食店の位置（店舗 id → { lat, lon, updatedAt }）。CSV の緯度経度より優先する
+const RESTAURANT_CORRECTION_STORAGE_KEY =
+  'ibaraki-stats-map:restaurant-corrections';
+// 出力する CSV で手動修正した行を示す列（修正済みは 1）
+const RESTAURANT_CORRECTED_COLUMN = '位置修正';
+
+function loadStoredRestaurantCorrections() {
+  try {
+    const parsed = JSON.parse(
+      window.localStorage.getItem(RESTAURANT_CORRECTION_STORAGE_KEY) || '{}'
+    );
+    const out = {};
+    for (const [id, value] of Object.entries(parsed || {})) {
+      const lat = safeToNumber(value?.lat);
+      const lon = safeToNumber(value?.lon);
+      if (!id || lat === null || lon === null) continue;
+      out[id] = { lat, lon, updatedAt: safeToNumber(value?.updatedAt) };
+    }
+    return out;
+  } catch {
+    return {};
+  }
+}
+
 function haversineMeters(lat1, lon1, lat2, lon2) {
   const toRad = (deg) => (deg * Math.PI) / 180;
   const r = 6371000;
@@ -810,9 +1166,34 @@ function haversineMeters(lat1, lon1, lat2, lon2) {
   return 2 * r * Math.asin(Math.sqrt(a));
 }
 
-function normalizeKeyString(v) {
-  if (v === null || v === undefined) return '';
-  return String(v).replace(/\.0$/, '').trim();
+const EARTH_RADIUS_KM = 6371.0088;
+
+// KEY_CODE ごとの面積（km²）。AREA 属性（m²）を優先し、無ければポリゴンから測地面積を求める
+function buildFeatureAreaMap(geojson) {
+  const map = new Map();
+  for (const f of geojson?.features ?? []) {
+    const key = normalizeKeyString(f?.properties?.KEY_CODE);
+    if (!key) continue;
+    const attr = safeToNumber(f.properties.AREA);
+    let km2 = attr !== null && attr > 0 ? attr / 1e6 : null;
+    if (km2 === null && f.geometry) {
+      let steradians = geoArea(f);
+      // 環の向きが逆だと地球全体の残りの面積になるので補正する
+      if (steradians > 2 * Math.PI) steradians = 4 * Math.PI - steradians;
+      km2 = steradians * EARTH_RADIUS_KM ** 2;
+    }
+    if (km2) map.set(key, (map.get(key) ?? 0) + km2);
+  }
+  return map;
+}
+
+function divideByArea(values, areaMap) {
+  const out = new Map();
+  for (const [key, v] of values.entries()) {
+    const area = areaMap.get(key);
+    out.set(key, v !== null && v !== undefined && area ? v / area : null);
+  }
+  return out;
 }
 
 function getAreaCodeLengths(geojson) {
@@ -849,33 +1230,6 @@ function useResizeObserver(ref) {
   return size;
 }
 
-function decodeArrayBufferSmart(buf) {
-  const tryDecode = (enc) => {
-    try {
-      return new TextDecoder(enc).decode(buf);
-    } catch {
-      return '';
-    }
-  };
-
-  const utf8 = tryDecode('utf-8');
-  const sjis = tryDecode('shift_jis');
-
-  const score = (txt) => {
-    if (!txt) return -1;
-    let s = 0;
-    if (txt.includes('市区町村コード')) s += 6;
-    if (txt.includes('町丁字コード')) s += 6;
-    if (txt.includes('地域階層レベル')) s += 3;
-    if (txt.includes('KEY_CODE')) s += 6;
-    const repl = (txt.match(/�/g) || []).length;
-    s -= repl / 2000;
-    return s;
-  };
-
-  return score(sjis) > score(utf8) ? sjis : utf8;
-}
-
 async function loadShapefileFromUrl(url) {
   const gj = await shp(url);
   const geojson = Array.isArray(gj) ? gj[0] : gj;
@@ -894,6 +1248,10 @@ function mergeGeojsonCollections(collections) {
   };
 }
 
+/**
+ * 複数の Shapefile を読み込んで 1 つにまとめる。一部が読めなくても続け、
+ * 読めなかったパスを failedUrls で返す（すべて読めなければ例外）。
+ */
 async function loadShapefilesFromUrls(urls) {
   const results = await Promise.allSettled(
     urls.map((url) => loadShapefileFromUrl(url))
@@ -901,6 +1259,7 @@ async function loadShapefilesFromUrls(urls) {
   const success = results
     .filter((r) => r.status === 'fulfilled')
     .map((r) => r.value);
+  const failedUrls = urls.filter((_, i) => results[i].status === 'rejected');
   if (!success.length) {
     const reasons = results
       .filter((r) => r.status === 'rejected')
@@ -911,64 +1270,406 @@ async function loadShapefilesFromUrls(urls) {
       : '地図データの読み込みに失敗しました';
     throw new Error(msg);
   }
-  return mergeGeojsonCollections(success);
+  return { geojson: mergeGeojsonCollections(success), failedUrls };
 }
 
-function loadCsvFromBuffer(buf) {
-  const text = decodeArrayBufferSmart(buf);
-  return parseCsvText(text);
+// 同じ KEY_CODE の町丁字は後から読み込んだ側で置き換える
+function mergeShapeCollections(base, incoming) {
+  const incomingKeys = new Set(
+    (incoming?.features ?? [])
+      .map((f) => normalizeKeyString(f?.properties?.KEY_CODE))
+      .filter(Boolean)
+  );
+  const kept = (base?.features ?? []).filter(
+    (f) => !incomingKeys.has(normalizeKeyString(f?.properties?.KEY_CODE))
+  );
+  return {
+    type: 'FeatureCollection',
+    features: [...kept, ...(incoming?.features ?? [])],
+  };
 }
 
-function looksLikeHtml(text) {
-  if (!text) return false;
-  const sample = text.trim().slice(0, 300).toLowerCase();
-  return sample.includes('<!doctype html') || sample.includes('<html');
+// --- ローカルファイル読み込み（ドラッグ＆ドロップ / ファイル選択） ---
+const SHAPEFILE_PART_EXTENSIONS = ['shp', 'dbf', 'shx', 'prj', 'cpg'];
+
+const LOCAL_DATA_KIND_LABELS = {
+  shapes: '地図境界',
+  boundaries: '市境',
+  population: '人口',
+  household: '世帯',
+  business: '事業所',
+  rail: '鉄道路線',
+  gtfs: 'GTFS',
+  ridership: '乗降客数',
+  addressRef: '位置参照情報',
+  restaurant: '飲食店',
+};
+
+function getFileExtension(name) {
+  const match = /\.([^./\\]+)$/.exec(name || '');
+  return match ? match[1].toLowerCase() : '';
 }
 
-function looksLikeRestaurantCsv(text) {
-  if (!text) return false;
-  return text.includes('店の名前') && text.includes('住所');
+function getFileBaseName(name) {
+  return (name || '').replace(/\.[^./\\]+$/, '');
+}
+
+function isZipBuffer(buf) {
+  if (!buf || buf.byteLength < 4) return false;
+  const b = new Uint8Array(buf, 0, 4);
+  return b[0] === 0x50 && b[1] === 0x4b && b[2] === 0x03 && b[3] === 0x04;
+}
+
+// .shp / .shx は先頭4バイトがファイルコード 9994（ビッグエンディアン）
+function isShapeHeaderBuffer(buf) {
+  if (!buf || buf.byteLength < 100) return false;
+  return new DataView(buf).getInt32(0, false) === 9994;
 }
 
-function findHeaderRowIndex(lines) {
-  const maxScan = Math.min(lines.length, 60);
-  for (let i = 0; i < maxScan; i++) {
-    const line = lines[i] || '';
-    if (line.includes('市区町村コード') && line.includes('町丁字コード'))
-      return i;
-    if (line.includes('KEY_CODE')) return i;
+function parseGeoJsonText(text) {
+  const trimmed = (text || '').replace(/^\ufeff/, '').trim();
+  if (!trimmed.startsWith('{')) return null;
+  let json;
+  try {
+    json = JSON.parse(trimmed);
+  } catch {
+    return null;
   }
-  return 0;
+  if (json?.type === 'FeatureCollection' && Array.isArray(json.features))
+    return json;
+  if (json?.type === 'Feature')
+    return { type: 'FeatureCollection', features: [json] };
+  return null;
 }
 
-function parseCsvText(text) {
-  const lines = text.split(/\r?\n/);
-  const headerIdx = findHeaderRowIndex(lines);
-  const sliced = lines.slice(headerIdx).join('\n');
+function detectAreaCsvKind(text) {
+  if (!looksLikeAreaCsv(text)) return '';
+  const head = text.split(/\r?\n/).slice(0, 80).join('\n');
+  if (head.includes('世帯員の年齢による世帯の種類') || head.includes('単独世帯'))
+    return 'household';
+  if (head.includes('男女') && head.includes('歳')) return 'population';
+  if (/事業所|従業者|産業/.test(head)) return 'business';
+  return '';
+}
 
-  const parsed = Papa.parse(sliced, {
-    header: true,
-    skipEmptyLines: true,
-    dynamicTyping: false,
-  });
+/**
+ * 選択/ドロップされたファイルを中身から判別して読み込む（ブラウザ内のみで処理）。
+ * - zip: Shapefile 一式
+ * - .shp/.dbf/.shx/.prj/.cpg: 同名ファイルをまとめて Shapefile として解析
+ * - GeoJSON: KEY_CODE を持てば町丁字境界、線・点のみ（N02 含む）なら鉄道路線、それ以外は市境
+ * - CSV: h03（人口）/ h06（世帯）/ 経済センサス（事業所）/ 乗降客数（駅ID・年・乗降客数）/
+ *   位置参照情報（街区・大字町丁目レベル）/ 飲食店（店の名前・住所）
+ * - GTFS の stops.txt / shapes.txt / routes.txt / trips.txt: まとめて鉄道路線
+ */
+async function readLocalDataFiles(fileList) {
+  const result = {
+    shapes: [],
+    boundaries: [],
+    population: [],
+    household: [],
+    business: [],
+    rail: [],
+    ridership: [],
+    addressRef: [],
+    restaurant: [],
+    loaded: [],
+    errors: [],
+  };
+  const shapeParts = new Map();
+  const gtfsParts = {};
+  // Shapefile / GeoJSON のレイヤーは N02 などの路線データなら鉄道、それ以外は町丁字境界
+  const pushShapeLayer = (layer, source) => {
+    if (isRailGeoJson(layer)) {
+      result.rail.push({ ...parseRailGeoJson(layer), source });
+      return 'rail';
+    }
+    if (isPointOnlyGeoJson(layer)) throw new Error(POINT_LAYER_ERROR);
+    result.shapes.push(layer);
+    return 'shapes';
+  };
+  const textDecoder = new TextDecoder();
+
+  for (const file of Array.from(fileList || [])) {
+    const ext = getFileExtension(file.name);
+    try {
+      const buf = await file.arrayBuffer();
+
+      if (isZipBuffer(buf)) {
+        const gj = await shp(buf);
+        const layers = (Array.isArray(gj) ? gj : [gj]).filter(
+          (layer) => layer?.features?.length
+        );
+        if (!layers.length) throw new Error('zip内にShapefileがありません');
+        const kinds = uniq(
+          layers.map((layer) => pushShapeLayer(layer, file.name))
+        );
+        result.loaded.push(
+          `${file.name}（${kinds
+            .map((kind) => LOCAL_DATA_KIND_LABELS[kind])
+            .join('・')}）`
+        );
+        continue;
+      }
+
+      if (
+        SHAPEFILE_PART_EXTENSIONS.includes(ext) ||
+        (!ext && isShapeHeaderBuffer(buf))
+      ) {
+        const part = ext || 'shp';
+        if ((part === 'shp' || part === 'shx') && !isShapeHeaderBuffer(buf)) {
+          throw new Error('Shapefileのヘッダーが不正です');
+        }
+        const base = getFileBaseName(file.name);
+        const parts = shapeParts.get(base) || {};
+        parts[part] =
+          part === 'cpg' || part === 'prj' ? textDecoder.decode(buf) : buf;
+        shapeParts.set(base, parts);
+        continue;
+      }
+
+      const text = decodeArrayBufferSmart(buf);
+      const geojson = parseGeoJsonText(text);
+      if (geojson) {
+        const hasKeyCode = geojson.features.some(
+          (f) => f?.properties?.KEY_CODE !== undefined
+        );
+        let kind = 'boundaries';
+        if (hasKeyCode) {
+          result.shapes.push(geojson);
+          kind = 'shapes';
+        } else if (isRailGeoJson(geojson)) {
+          result.rail.push({ ...parseRailGeoJson(geojson), source: file.name });
+          kind = 'rail';
+        } else if (isPointOnlyGeoJson(geojson)) {
+          throw new Error(POINT_LAYER_ERROR);
+        } else {
+          result.boundaries.push(geojson);
+        }
+        result.loaded.push(`${file.name}（${LOCAL_DATA_KIND_LABELS[kind]}）`);
+        continue;
+      }
+
+      if (looksLikeHtml(text)) throw new Error('HTMLファイルは読み込めません');
+      const gtfsKind = detectGtfsKind(text);
+      if (gtfsKind) {
+        gtfsParts[gtfsKind] = parseGtfsText(text);
+        result.loaded.push(`${file.name}（${LOCAL_DATA_KIND_LABELS.gtfs}）`);
+        continue;
+      }
+      if (looksLikeRidershipCsv(text)) {
+        result.ridership.push({
+          byYear: parseRidershipRows(parseCsvText(text)),
+          source: file.name,
+        });
+        result.loaded.push(
+          `${file.name}（${LOCAL_DATA_KIND_LABELS.ridership}）`
+        );
+        continue;
+      }
+      if (looksLikeRestaurantCsv(text)) {
+        result.restaurant.push(
+          ...parseCsvText(text).map((row) => ({
+            ...row,
+            読み込み元: getFileBaseName(file.name),
+          }))
+        );
+        result.loaded.push(
+          `${file.name}（${LOCAL_DATA_KIND_LABELS.restaurant}）`
+        );
+        continue;
+      }
+      if (looksLikeAddressRefCsv(text)) {
+        result.addressRef.push(...parseCsvText(text));
+        result.loaded.push(
+          `${file.name}（${LOCAL_DATA_KIND_LABELS.addressRef}）`
+        );
+        continue;
+      }
+      const kind = detectAreaCsvKind(text);
+      if (!kind) throw new Error('データ形式を判別できませんでした');
+      result[kind].push(...parseCsvText(text));
+      result.loaded.push(`${file.name}（${LOCAL_DATA_KIND_LABELS[kind]}）`);
+    } catch (e) {
+      result.errors.push(`${file.name}: ${e?.message || String(e)}`);
+    }
+  }
 
-  const rows = (parsed.data || []).filter((r) => r && typeof r === 'object');
+  for (const [base, parts] of shapeParts.entries()) {
+    if (!parts.shp) {
+      result.errors.push(`${base}: .shp が見つかりません`);
+      continue;
+    }
+    try {
+      const geojson = await shp({
+        shp: parts.shp,
+        dbf: parts.dbf,
+        cpg: parts.cpg,
+        prj: parts.prj,
+      });
+      if (!geojson?.features?.length)
+        throw new Error('GeoJSON変換に失敗しました（featuresがありません）');
+      const kind = pushShapeLayer(geojson, `${base}.shp`);
+      result.loaded.push(
+        `${base}.shp（${LOCAL_DATA_KIND_LABELS[kind]}${
+          parts.dbf ? '' : '・属性なし'
+        }）`
+      );
+    } catch (e) {
+      result.errors.push(`${base}.shp: ${e?.message || String(e)}`);
+    }
+  }
 
-  // 先頭の「行番号列（4/5など）」を除去
-  const cleaned = rows.map((r) => {
-    const obj = { ...r };
-    for (const k of Object.keys(obj)) {
-      const nk = (k || '').trim();
-      if (!nk) delete obj[k];
+  if (Object.keys(gtfsParts).length) {
+    try {
+      result.rail.push({ ...buildGtfsRailNetwork(gtfsParts), source: 'GTFS' });
+    } catch (e) {
+      result.errors.push(`GTFS: ${e?.message || String(e)}`);
     }
-    for (const k of Object.keys(obj)) {
-      if (/^\d+$/.test(k)) delete obj[k];
+  }
+
+  return result;
+}
+
+function loadCsvFromBuffer(buf) {
+  const text = decodeArrayBufferSmart(buf);
+  return parseCsvText(text);
+}
+
+function looksLikeRestaurantCsv(text) {
+  if (!text) return false;
+  return text.includes('店の名前') && text.includes('住所');
+}
+
+/**
+ * 先頭30行のうち数値として読める値が3件以上ある列を返す。
+ * isExcluded でコード列などの対象外の列を除く。
+ */
+function detectNumericColumns(rows, isExcluded = () => false) {
+  if (!rows?.length) return [];
+  const sample = rows.slice(0, 30);
+  const keys = Object.keys(rows[0] || {});
+  return keys.filter((k) => {
+    if (!k || isExcluded(k)) return false;
+    let ok = 0;
+    for (const r of sample) {
+      if (safeToNumber(r[k]) === null) continue;
+      ok++;
+      if (ok >= 3) break;
     }
-    if (obj[''] !== undefined) delete obj[''];
-    return obj;
+    return ok >= 3;
   });
+}
+
+/**
+ * 特化係数・2変量の指標に使う分子・分母の候補と、元データごとの初期値を返す。
+ * source: 'household' | 'population' | 'business'
+ */
+function buildAnalysisTermOptions(
+  source,
+  {
+    popAgeColumns,
+    pyramidAgeBands,
+    businessSchema,
+    businessNumericColumns,
+    hhRows,
+  }
+) {
+  if (source === 'population') {
+    const options = [
+      { key: ANALYSIS_POP_NUMER, label: '人口モードの年齢選択' },
+      { key: ANALYSIS_POP_DENOM, label: '人口モードの割合の分母' },
+      { key: ANALYSIS_POP_TOTAL, label: '総人口' },
+      ...(pyramidAgeBands.length
+        ? [
+            {
+              key: ANALYSIS_POP_ELDERLY,
+              label: `${PYRAMID_ELDERLY_MIN_AGE}歳以上`,
+            },
+            {
+              key: ANALYSIS_POP_YOUNG,
+              label: `${PYRAMID_YOUNG_MAX_AGE + 1}歳未満`,
+            },
+          ]
+        : []),
+      ...popAgeColumns.map((c) => ({
+        key: `${ANALYSIS_AGE_TERM_PREFIX}${c}`,
+        label: c,
+      })),
+    ];
+    return {
+      options,
+      numer: ANALYSIS_POP_NUMER,
+      denom: ANALYSIS_POP_DENOM,
+    };
+  }
+
+  if (source === 'business') {
+    const options = [];
+    for (const measure of businessSchema.measures) {
+      options.push({
+        key: buildAnalysisBusinessTerm(measure.key, BUSINESS_ALL_INDUSTRY_KEY),
+        label: `${measure.label}（全産業）`,
+      });
+      for (const industry of businessSchema.industries) {
+        options.push({
+          key: buildAnalysisBusinessTerm(measure.key, industry),
+          label: `${measure.label}（${industry}）`,
+        });
+      }
+    }
+    for (const col of businessNumericColumns) {
+      options.push({
+        key: buildAnalysisBusinessTerm(BUSINESS_COLUMN_MEASURE, col),
+        label: `列: ${col}`,
+      });
+    }
+    // 既定は「最初の産業 ÷ 全産業」（産業を判別できなければ先頭の2列）
+    const measure = businessSchema.measures[0];
+    if (measure && businessSchema.industries.length) {
+      return {
+        options,
+        numer: buildAnalysisBusinessTerm(
+          measure.key,
+          businessSchema.industries[0]
+        ),
+        denom: buildAnalysisBusinessTerm(
+          measure.key,
+          BUSINESS_ALL_INDUSTRY_KEY
+        ),
+      };
+    }
+    return {
+      options,
+      numer: options[0]?.key || '',
+      denom: options[1]?.key || options[0]?.key || '',
+    };
+  }
+
+  // 世帯: h06 の家族類型を先頭に、残りの数値列を続ける
+  const numeric = detectNumericColumns(
+    hhRows,
+    (k) => isBusinessCodeColumn(k) || k === '世帯員の年齢による世帯の種類'
+  );
+  const preferred = ANALYSIS_METRIC_OPTIONS.filter((k) =>
+    numeric.includes(k)
+  );
+  const columns = uniq([...preferred, ...numeric]);
+  return {
+    options: columns.map((k) => ({ key: k, label: k })),
+    numer: preferred[0] || columns[0] || '',
+    denom: columns.includes('総数') ? '総数' : columns[0] || '',
+  };
+}
+
+// 分析モード（事業所）の分子・分母キー: 「指標|産業」または「column|列名」
+function buildAnalysisBusinessTerm(measureKey, value) {
+  return `${measureKey}|${value}`;
+}
 
-  return cleaned;
+function parseAnalysisBusinessTerm(termKey) {
+  const i = termKey.indexOf('|');
+  if (i < 0) return { measureKey: termKey, value: '' };
+  return { measureKey: termKey.slice(0, i), value: termKey.slice(i + 1) };
 }
 
 function normalizeStationLabel(text) {
@@ -992,37 +1693,440 @@ function parseStationDistance(raw) {
   return { stationName, distanceMeters };
 }
 
-function hashStringToAngle(text) {
+function hashString(text) {
   let hash = 0;
   const str = text || '';
   for (let i = 0; i < str.length; i += 1) {
     hash = (hash << 5) - hash + str.charCodeAt(i);
     hash |= 0;
   }
-  const normalized = Math.abs(hash % 360);
+  return hash;
+}
+
+function hashStringToAngle(text) {
+  const normalized = Math.abs(hashString(text) % 360);
   return (normalized * Math.PI) / 180;
 }
 
-const GSI_ADDRESS_ENDPOINT =
-  'https://msearch.gsi.go.jp/address-search/AddressSearch';
-const GSI_CORS_PROXY = 'https://api.allorigins.win/raw?url=';
+// --- オフライン住所照合（国土交通省 位置参照情報） ---
+// 街区レベル（街区符号・地番ごと）と大字・町丁目レベルの CSV を市ごとに同梱し、ネットワークを使わずに照合する
+const ADDRESS_MATCH_LEVELS = ['街区', '町丁目', '市'];
 
-async function fetchGsiAddressSearch(address) {
-  const baseUrl = `${GSI_ADDRESS_ENDPOINT}?q=${encodeURIComponent(address)}`;
+function looksLikeAddressRefCsv(text) {
+  const header = (text || '').replace(/^\ufeff/, '').split(/\r?\n/, 1)[0];
+  return (
+    header.includes('市区町村名') &&
+    header.includes('緯度') &&
+    header.includes('経度') &&
+    (header.includes('大字・町丁目名') || header.includes('大字町丁目名'))
+  );
+}
 
-  try {
-    const res = await fetch(baseUrl);
-    if (res.ok) return await res.json();
-  } catch (error) {
-    // CORSやネットワークエラー時はフォールバックを試す
-  }
+// 位置の平均を持つ入れ物
+const createLocationSum = () => ({ lat: 0, lon: 0, n: 0 });
+const addLocation = (sum, lat, lon) => {
+  sum.lat += lat;
+  sum.lon += lon;
+  sum.n += 1;
+};
+const meanLocation = (sum) =>
+  sum.n ? { lat: sum.lat / sum.n, lon: sum.lon / sum.n } : null;
 
-  const proxyUrl = `${GSI_CORS_PROXY}${encodeURIComponent(baseUrl)}`;
-  const res = await fetch(proxyUrl);
-  if (!res.ok) {
-    throw new Error(`GSI検索に失敗: ${res.status}`);
+/**
+ * 位置参照情報の行から照合用の索引を作る。
+ * 市区町村名 → { sum, towns: 町名（丁目を除く）→ 丁目番号（無ければ ''）→ { point, blocks } }。
+ * 街区レベルの行は丁目に街区符号ごとの位置を加え、町丁目レベルの行は丁目の代表点になる。
+ */
+function buildAddressReferenceIndex(rows) {
+  const cities = new Map();
+  for (const row of rows || []) {
+    const cityName = normalizeKeyString(row['市区町村名']);
+    const townName = normalizeKeyString(
+      row['大字・町丁目名'] ?? row['大字町丁目名']
+    );
+    const lat = safeToNumber(row['緯度']);
+    const lon = safeToNumber(row['経度']);
+    if (!cityName || !townName || lat === null || lon === null) continue;
+
+    if (!cities.has(cityName))
+      cities.set(cityName, { sum: createLocationSum(), towns: new Map() });
+    const city = cities.get(cityName);
+    const { town: base, chome: chomeKey } = parseTownAddress(townName);
+    if (!city.towns.has(base)) city.towns.set(base, new Map());
+    const town = city.towns.get(base);
+    if (!town.has(chomeKey))
+      town.set(chomeKey, {
+        sum: createLocationSum(),
+        point: null,
+        blocks: new Map(),
+      });
+    const chome = town.get(chomeKey);
+
+    const block = normalizeKeyString(row['街区符号・地番']);
+    if (block) {
+      // 同じ街区に複数行あれば代表フラグの行を優先する
+      const representative = normalizeKeyString(row['代表フラグ']) === '1';
+      if (!chome.blocks.has(block) || representative)
+        chome.blocks.set(block, { lat, lon });
+      addLocation(chome.sum, lat, lon);
+    } else {
+      chome.point = { lat, lon };
+    }
+    addLocation(city.sum, lat, lon);
+  }
+  return cities;
+}
+
+const chomeLocation = (chome) => chome.point || meanLocation(chome.sum);
+
+function townLocation(town) {
+  const sum = createLocationSum();
+  for (const chome of town.values()) {
+    const loc = chomeLocation(chome);
+    if (loc) addLocation(sum, loc.lat, loc.lon);
+  }
+  return meanLocation(sum);
+}
+
+/**
+ * 住所を位置参照情報の索引と照合する。市も特定できなければ null。
+ * 戻り値は { lat, lon, level, partial, candidates }。level は ADDRESS_MATCH_LEVELS のいずれか、
+ * partial は住所に書かれた丁目・番地まで照合できず粗いレベルになったこと、
+ * candidates は { lat, lon, level, label } の候補（先頭が採用した位置）。
+ */
+function geocodeAddressOffline(address, index) {
+  if (!address || !index?.size) return null;
+  const parsed = parseJapaneseAddress(address, { cityNames: index.keys() });
+  const city = index.get(parsed.city);
+  if (!city) return null;
+  const result = (candidates, partial) =>
+    candidates.length ? { ...candidates[0], partial, candidates } : null;
+  const cityResult = () => {
+    const loc = meanLocation(city.sum);
+    return result(loc ? [{ ...loc, level: '市', label: parsed.city }] : [], true);
+  };
+
+  // 町名は完全一致を優先し、無ければ最長の前方一致（建物名が続いた場合など）
+  let townName = city.towns.has(parsed.town) ? parsed.town : null;
+  if (townName === null) {
+    for (const base of city.towns.keys()) {
+      if (!base || !parsed.town.startsWith(base)) continue;
+      if (townName === null || base.length > townName.length) townName = base;
+    }
+  }
+  if (townName === null) {
+    // 「千里山」のように町名の前半しか無ければ、続く町（千里山東・千里山西…）をすべて候補にする
+    const candidates = [];
+    for (const [base, town] of parsed.town ? city.towns : []) {
+      if (!base.startsWith(parsed.town)) continue;
+      const loc = townLocation(town);
+      if (loc)
+        candidates.push({ ...loc, level: '町丁目', label: parsed.city + base });
+    }
+    return candidates.length ? result(candidates, true) : cityResult();
+  }
+  const town = city.towns.get(townName);
+  const numbers = [parsed.chome, ...parsed.block.split('-')].filter(Boolean);
+  const townLabel = parsed.city + townName;
+
+  // 丁目のある町は先頭の数字を丁目、次を街区符号とみなす
+  const hasChome = Array.from(town.keys()).some(Boolean);
+  const chomeKey = hasChome ? numbers[0] ?? '' : '';
+  const chome = town.get(chomeKey);
+  if (!chome) {
+    const loc = townLocation(town);
+    return loc
+      ? result(
+          [{ ...loc, level: '町丁目', label: townLabel }],
+          numbers.length > 0
+        )
+      : cityResult();
+  }
+  const chomeLabel = chomeKey ? `${townLabel}${chomeKey}丁目` : townLabel;
+  const blockNo = hasChome ? numbers[1] : numbers[0];
+  const block = blockNo ? chome.blocks.get(blockNo) : null;
+  if (block)
+    return result(
+      [{ ...block, level: '街区', label: `${chomeLabel} ${blockNo}番` }],
+      false
+    );
+  // 街区レベルのデータが無い丁目は、町丁目まで合えば住所どおりとみなす
+  const loc = chomeLocation(chome);
+  return loc
+    ? result(
+        [{ ...loc, level: '町丁目', label: chomeLabel }],
+        Boolean(blockNo) && chome.blocks.size > 0
+      )
+    : cityResult();
+}
+
+/** 曖昧（候補が複数）・低信頼（市レベル・住所より粗い照合）・不一致の結果は確認待ちにする。 */
+const needsGeocodeReview = (result) =>
+  !result ||
+  result.level === '市' ||
+  result.partial ||
+  result.candidates.length > 1;
+
+// --- 住所照合のキャッシュ（IndexedDB） ---
+// 正規化した住所ごとに照合結果を保存し、再実行や再読み込みの後も照合済みの住所は照合し直さない。
+// status は resolved（自動で確定）/ review（確認待ち）/ accepted（確認して確定）。
+const GEOCODE_CACHE_DB_NAME = 'ibaraki-stats-map:geocode-cache';
+const GEOCODE_CACHE_STORE = 'addresses';
+const GEOCODE_BATCH_SIZE = 200;
+// 手動で位置を指定したときの照合レベル
+const GEOCODE_MANUAL_LEVEL = '手動';
+
+/** IndexedDB を開く。使えない環境では null（キャッシュなしで照合する）。 */
+function openGeocodeCache() {
+  return new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    const req = indexedDB.open(GEOCODE_CACHE_DB_NAME, 1);
+    req.onupgradeneeded = () =>
+      req.result.createObjectStore(GEOCODE_CACHE_STORE, { keyPath: 'key' });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+  });
+}
+
+function runGeocodeCacheTransaction(db, mode, run) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(GEOCODE_CACHE_STORE, mode);
+    const req = run(tx.objectStore(GEOCODE_CACHE_STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function readGeocodeCache(db) {
+  if (!db) return new Map();
+  const entries = await runGeocodeCacheTransaction(db, 'readonly', (store) =>
+    store.getAll()
+  );
+  return new Map((entries || []).map((entry) => [entry.key, entry]));
+}
+
+function writeGeocodeCache(db, entries) {
+  if (!db || !entries.length) return Promise.resolve();
+  return runGeocodeCacheTransaction(db, 'readwrite', (store) => {
+    for (const entry of entries) store.put(entry);
+  });
+}
+
+function clearGeocodeCache(db) {
+  if (!db) return Promise.resolve();
+  return runGeocodeCacheTransaction(db, 'readwrite', (store) => store.clear());
+}
+
+/** キャッシュと照合ジョブで使う住所のキー（都道府県・建物・階数を除いた正規化住所）。 */
+function restaurantAddressKey(row, cityNames) {
+  const parsed = parseJapaneseAddress(row['住所'], { cityNames });
+  return parsed.normalized.slice(parsed.prefecture.length);
+}
+
+/**
+ * 位置参照情報の版（行数と内容のハッシュ）。表を読み込み直して内容が変わったら、
+ * それまでのオフライン照合のキャッシュは使わない。
+ */
+function addressReferenceVersion(rows) {
+  let hash = 0;
+  for (const row of rows || []) {
+    hash = (Math.imul(hash, 31) + hashString(Object.values(row).join('|'))) | 0;
+  }
+  return `${rows?.length ?? 0}-${(hash >>> 0).toString(36)}`;
+}
+
+// geocoder は createGeocoder の戻り値。source（提供元と接続先・参照データの版）も保存する
+function buildGeocodeCacheEntry(key, address, result, geocoder) {
+  return {
+    key,
+    address,
+    provider: geocoder.value,
+    source: geocoder.source,
+    lat: result ? result.lat : null,
+    lon: result ? result.lon : null,
+    level: result ? result.level : '',
+    candidates: result ? result.candidates : [],
+    status: needsGeocodeReview(result) ? 'review' : 'resolved',
+    updatedAt: Date.now(),
+  };
+}
+
+/**
+ * このジョブで使えるキャッシュか。提供元・接続先・位置参照情報の版（source）が同じものだけ使う
+ * （確認して確定した位置は source を問わない）。
+ */
+const isGeocodeCacheEntryUsable = (entry, source) =>
+  entry.status === 'accepted' || entry.source === source;
+
+// --- ジオコーダの提供元 ---
+// どの提供元も createGeocoder(...).geocode(address) で geocodeAddressOffline と同じ形
+// （{ lat, lon, level, partial, candidates } か null）を返す。
+// 通信する提供元は要求の最小間隔（rateLimitMs）と、再試行できる失敗（通信エラー・429・5xx）の
+// 再試行回数（maxRetries）・指数バックオフの初回待ち時間（retryBaseMs）を持つ。
+// baseUrl を差し替えれば、社内のサーバや scripts/mock-geocoder.mjs の代替サーバに向けられる。
+const GEOCODER_PROVIDERS = [
+  {
+    value: 'offline',
+    label: '位置参照情報（オフライン）',
+    network: false,
+    defaultBaseUrl: '',
+    batchSize: GEOCODE_BATCH_SIZE,
+    rateLimitMs: 0,
+    maxRetries: 0,
+    retryBaseMs: 0,
+  },
+  {
+    value: 'gsi',
+    label: '国土地理院 住所検索',
+    network: true,
+    defaultBaseUrl: 'https://msearch.gsi.go.jp/address-search/AddressSearch',
+    // 直接つながらない（CORS 等）ときに使える中継。住所が中継の運営者にも渡るので既定では使わない
+    corsProxy: 'https://api.allorigins.win/raw?url=',
+    batchSize: 1,
+    rateLimitMs: 200,
+    maxRetries: 3,
+    retryBaseMs: 1000,
+  },
+  {
+    value: 'nominatim',
+    label: 'Nominatim 互換',
+    network: true,
+    defaultBaseUrl: 'https://nominatim.openstreetmap.org/search',
+    batchSize: 1,
+    // nominatim.openstreetmap.org の利用規約は 1 秒に 1 件まで
+    rateLimitMs: 1000,
+    maxRetries: 3,
+    retryBaseMs: 2000,
+  },
+];
+const GEOCODER_MAX_CANDIDATES = 5;
+// 通信エラーがこの件数続いたらジョブを一時停止する
+const GEOCODER_MAX_CONSECUTIVE_ERRORS = 3;
+
+const getGeocoderProvider = (value) =>
+  GEOCODER_PROVIDERS.find((p) => p.value === value) || GEOCODER_PROVIDERS[0];
+
+// 住所の書き方から照合レベルを決める（番地まであれば街区、町名までなら町丁目）
+const addressLevelOf = (parsed) =>
+  parsed.block ? '街区' : parsed.town ? '町丁目' : '市';
+
+/** 国土地理院の住所検索。結果は { geometry: { coordinates }, properties: { title } } の配列。 */
+async function searchGsiAddress(baseUrl, address, cityNames, fetchOptions) {
+  const data = await fetchGeocoderJson(baseUrl, { q: address }, fetchOptions);
+  return (Array.isArray(data) ? data : []).flatMap((item) => {
+    const [lon, lat] = item?.geometry?.coordinates || [];
+    const label = normalizeKeyString(item?.properties?.title);
+    if (!Number.isFinite(lon) || !Number.isFinite(lat) || !label) return [];
+    const parsed = parseJapaneseAddress(label, { cityNames });
+    const level = addressLevelOf(parsed);
+    return [{ lat, lon, level, label, city: parsed.city }];
+  });
+}
+
+/** Nominatim 互換の検索（format=jsonv2）。place_rank から照合レベルを決める。 */
+async function searchNominatim(baseUrl, address, cityNames, fetchOptions) {
+  const data = await fetchGeocoderJson(
+    baseUrl,
+    {
+      q: address,
+      format: 'jsonv2',
+      limit: String(GEOCODER_MAX_CANDIDATES),
+      countrycodes: 'jp',
+      'accept-language': 'ja',
+    },
+    fetchOptions
+  );
+  return (Array.isArray(data) ? data : []).flatMap((item) => {
+    const lat = safeToNumber(item?.lat);
+    const lon = safeToNumber(item?.lon);
+    if (lat === null || lon === null) return [];
+    const rank = safeToNumber(item?.place_rank) ?? 0;
+    const level = rank >= 26 ? '街区' : rank >= 17 ? '町丁目' : '市';
+    return [{ lat, lon, level, label: normalizeKeyString(item?.display_name) }];
+  });
+}
+
+/**
+ * 検索結果を最も細かい照合レベルの候補に絞り、geocodeAddressOffline と同じ形にする。
+ * 住所に書かれたより粗いレベルしか無ければ partial。
+ */
+function summarizeGeocodeCandidates(parsed, results) {
+  const rank = (level) => ADDRESS_MATCH_LEVELS.indexOf(level);
+  // 別の市の結果は除く
+  const inCity = results.filter(
+    (r) => !parsed.city || !r.city || r.city === parsed.city
+  );
+  if (!inCity.length) return null;
+  const best = Math.min(...inCity.map((r) => rank(r.level)));
+  const byLabel = new Map();
+  for (const { lat, lon, level, label } of inCity) {
+    if (rank(level) !== best || byLabel.has(label)) continue;
+    byLabel.set(label, { lat, lon, level, label });
+  }
+  const candidates = Array.from(byLabel.values()).slice(
+    0,
+    GEOCODER_MAX_CANDIDATES
+  );
+  return {
+    ...candidates[0],
+    partial: best > rank(addressLevelOf(parsed)),
+    candidates,
+  };
+}
+
+/**
+ * 提供元の設定から { ...提供元の設定, geocode(address) } を作る。
+ * baseUrl・rateLimitMs を省くと提供元の既定値を使う。offline は addressIndex が必要。
+ */
+function createGeocoder(
+  providerKey,
+  {
+    baseUrl,
+    rateLimitMs,
+    useCorsProxy = false,
+    addressIndex,
+    referenceVersion = '',
+    cityNames = [],
+  } = {}
+) {
+  const provider = getGeocoderProvider(providerKey);
+  const settings = {
+    ...provider,
+    baseUrl: baseUrl || provider.defaultBaseUrl,
+    rateLimitMs: rateLimitMs ?? provider.rateLimitMs,
+  };
+  // キャッシュの出どころ。オフラインは参照データの版、通信する提供元は接続先で区別する
+  settings.source = provider.network
+    ? `${provider.value}:${settings.baseUrl}`
+    : `${provider.value}:${referenceVersion}`;
+  const fetchOptions = {
+    corsProxy: useCorsProxy ? provider.corsProxy || '' : '',
+  };
+  if (!provider.network) {
+    return {
+      ...settings,
+      geocode: async (address) => geocodeAddressOffline(address, addressIndex),
+    };
   }
-  return res.json();
+  const waitTurn = createRateLimiter(settings.rateLimitMs);
+  const search = provider.value === 'gsi' ? searchGsiAddress : searchNominatim;
+  return {
+    ...settings,
+    geocode: async (address) => {
+      const results = await withGeocoderRetry(async () => {
+        await waitTurn();
+        return search(settings.baseUrl, address, cityNames, fetchOptions);
+      }, settings);
+      return summarizeGeocodeCandidates(
+        parseJapaneseAddress(address, { cityNames }),
+        results
+      );
+    },
+  };
 }
 
 function offsetLatLon({ lat, lon }, distanceMeters, angleRad) {
@@ -1036,6 +2140,129 @@ function offsetLatLon({ lat, lon }, distanceMeters, angleRad) {
   return { lat: lat + dLat, lon: lon + dLon };
 }
 
+// --- 町丁ポリゴンに収まる位置の推定 ---
+// 緯度経度の無い店は、住所の町名（Shapefile の S_NAME）に合う町丁の中に置く
+// 駅からの距離の円周を何方向に分けて町丁の中の点を探すか
+const TOWN_PLACEMENT_ANGLE_STEPS = 72;
+// 町丁の中の任意の点を探すときの試行回数
+const TOWN_PLACEMENT_RANDOM_TRIES = 200;
+
+// 町名の表記ゆれ（五月ヶ丘 / 五月が丘、江ノ木町 / 江の木町）を揃えた照合用の町名
+const townMatchKey = (town) =>
+  town.replace(/[ヶヵ]/g, 'が').replace(/ノ/g, 'の');
+
+/**
+ * 町丁ポリゴンの索引。市区町村コード → 照合用の町名（丁目を除く）→ 丁目番号（無ければ ''）→
+ * [{ name, rings, bbox }]。座標は経度・緯度。
+ */
+function buildTownPolygonIndex(geojson) {
+  const index = new Map();
+  for (const feature of geojson?.features || []) {
+    const cityCode = getCityCodeFromFeature(feature);
+    const name = normalizeKeyString(
+      feature?.properties?.S_NAME_JA ?? feature?.properties?.S_NAME
+    );
+    const rings = getPolygonRings(feature?.geometry);
+    if (!cityCode || !name || !rings.length) continue;
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const ring of rings) {
+      for (const [x, y] of ring) {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      }
+    }
+    const { town: townName, chome } = parseTownAddress(name);
+    const town = townMatchKey(townName);
+    if (!index.has(cityCode)) index.set(cityCode, new Map());
+    const towns = index.get(cityCode);
+    if (!towns.has(town)) towns.set(town, new Map());
+    const chomes = towns.get(town);
+    if (!chomes.has(chome)) chomes.set(chome, []);
+    chomes.get(chome).push({ name, rings, bbox: [minX, minY, maxX, maxY] });
+  }
+  return index;
+}
+
+/**
+ * 住所（parseJapaneseAddress の結果）に合う町丁ポリゴンを { name, polygons } で返す。
+ * 無ければ null。町名は完全一致、無ければ最長の前方一致。丁目が分からなければ町全体を返し、
+ * name は丁目の合った町丁名（例: 千里山東一丁目）、町全体なら丁目を除いた町名。
+ */
+function findTownPolygons(index, cityCode, parsed) {
+  const towns = index.get(cityCode);
+  if (!towns || !parsed.town) return null;
+  const town = townMatchKey(parsed.town);
+  let townName = towns.has(town) ? town : null;
+  if (townName === null) {
+    for (const base of towns.keys()) {
+      if (!base || !town.startsWith(base)) continue;
+      if (townName === null || base.length > townName.length) townName = base;
+    }
+  }
+  if (townName === null) return null;
+  const chomes = towns.get(townName);
+  // 丁目のある町は、丁目の書かれていない番地の先頭の数字を丁目とみなす
+  const numbers = [parsed.chome, ...parsed.block.split('-')].filter(Boolean);
+  const hasChome = Array.from(chomes.keys()).some(Boolean);
+  const chomeKey = hasChome ? numbers[0] ?? '' : '';
+  const chomePolygons = chomes.get(chomeKey);
+  if (chomePolygons)
+    return { name: chomePolygons[0].name, polygons: chomePolygons };
+  const polygons = Array.from(chomes.values()).flat();
+  return { name: parseTownAddress(polygons[0].name).town, polygons };
+}
+
+const townPolygonsContain = (polygons, lon, lat) =>
+  polygons.some(
+    ({ rings, bbox }) =>
+      lon >= bbox[0] &&
+      lon <= bbox[2] &&
+      lat >= bbox[1] &&
+      lat <= bbox[3] &&
+      ringsContainPoint(rings, [lon, lat])
+  );
+
+/**
+ * 町丁ポリゴンの中に位置を決める。
+ * 駅と距離があれば、駅からその距離の円周上で angle に近い方向から順に町丁の中の点を探す
+ * （onCircle: true）。見つからなければ seed で決まる町丁の中の任意の点（onCircle: false）。
+ * どちらも無ければ null。
+ */
+function placeInTownPolygons(
+  polygons,
+  { station, distanceMeters, angle, seed }
+) {
+  if (!polygons?.length) return null;
+  if (station && distanceMeters > 0) {
+    const step = (2 * Math.PI) / TOWN_PLACEMENT_ANGLE_STEPS;
+    for (let i = 0; i <= TOWN_PLACEMENT_ANGLE_STEPS / 2; i += 1) {
+      for (const sign of i === 0 ? [1] : [1, -1]) {
+        const point = offsetLatLon(
+          station,
+          distanceMeters,
+          angle + sign * i * step
+        );
+        if (townPolygonsContain(polygons, point.lon, point.lat))
+          return { ...point, onCircle: true };
+      }
+    }
+  }
+  const random = createSeededRandom(hashString(seed));
+  for (let i = 0; i < TOWN_PLACEMENT_RANDOM_TRIES; i += 1) {
+    const { bbox } = polygons[Math.floor(random() * polygons.length)];
+    const lon = bbox[0] + random() * (bbox[2] - bbox[0]);
+    const lat = bbox[1] + random() * (bbox[3] - bbox[1]);
+    if (townPolygonsContain(polygons, lon, lat))
+      return { lat, lon, onCircle: false };
+  }
+  return null;
+}
+
 function lonLatToTile(lon, lat, zoom) {
   const n = 2 ** zoom;
   const x = ((lon + 180) / 360) * n;
@@ -1083,10 +2310,6 @@ function segmentsIntersect(ax, ay, bx, by, cx, cy, dx, dy) {
   return false;
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
 function buildCsvContent(rows, columns) {
   const csv = Papa.unparse(rows, { columns });
   return `\ufeff${csv}`;
@@ -1234,7 +2457,7 @@ function getCityCodeFromFeature(feature) {
   return key.length >= 5 ? key.slice(0, 5) : '';
 }
 
-function getBoundaryCityCodes(feature) {
+function getBoundaryCityCodes(feature, cityNameToCode = {}) {
   if (!feature?.properties) return [];
   const props = feature.properties;
   const codes = new Set();
@@ -1250,8 +2473,8 @@ function getBoundaryCityCodes(feature) {
     if (digits) {
       codes.add(digits[0]);
     }
-    if (CITY_NAME_TO_CODE[v]) {
-      codes.add(CITY_NAME_TO_CODE[v]);
+    if (cityNameToCode[v]) {
+      codes.add(cityNameToCode[v]);
     }
   };
 
@@ -1312,28 +2535,483 @@ async function loadGeoJsonFromUrl(url) {
   }
 }
 
-async function loadCityBoundaryGeoJson() {
+async function loadCityBoundaryGeoJson(path) {
+  if (!path) throw new Error('市境データのパスが指定されていません');
   return {
-    url: CITY_BOUNDARY_GEOJSON_PATH,
-    data: await loadGeoJsonFromUrl(
-      resolvePublicUrl(CITY_BOUNDARY_GEOJSON_PATH)
-    ),
+    url: path,
+    data: await loadGeoJsonFromUrl(resolvePublicUrl(path)),
+  };
+}
+
+function detectCityCodeFromAddress(address, cityNameToCode) {
+  if (!address) return '';
+  const { city } = parseJapaneseAddress(address, {
+    cityNames: Object.keys(cityNameToCode || {}),
+  });
+  return cityNameToCode?.[city] || '';
+}
+
+// --- 鉄道ネットワーク ---
+// 同梱の RAIL_LINES は駅間を直線で結んだ近似。実際の線形は GeoJSON（国土数値情報 N02 を含む）/ GTFS から読み込む
+const DEFAULT_RAIL_NETWORK = {
+  source: '',
+  lines: RAIL_LINES.map((line) => ({
+    ...line,
+    paths: [line.stations.map((s) => [s.lon, s.lat])],
+  })),
+  connectors: RAIL_CONNECTORS,
+};
+
+// 読み込んだ路線名 → 同梱路線の id（一致すれば色と駅IDを引き継ぎ、乗降客数と紐づく）
+// N02 は「運営会社:路線名」、GTFS / 汎用 GeoJSON は路線名で照合する
+const RAIL_LINE_ALIASES = {
+  '大阪高速鉄道:大阪モノレール線': '大阪モノレール本線',
+  '大阪モノレール:大阪モノレール線': '大阪モノレール本線',
+  '大阪高速鉄道:国際文化公園都市モノレール線': '大阪モノレール彩都線',
+  '大阪モノレール:国際文化公園都市モノレール線': '大阪モノレール彩都線',
+  '西日本旅客鉄道:東海道線': 'JR京都線',
+  '西日本旅客鉄道:おおさか東線': 'おおさか東線',
+  '阪急電鉄:京都線': '阪急京都線',
+  '阪急電鉄:千里線': '阪急千里線',
+  '阪急電鉄:宝塚線': '阪急宝塚本線',
+  '北大阪急行電鉄:南北線': '北大阪急行',
+  大阪モノレール線: '大阪モノレール本線',
+  彩都線: '大阪モノレール彩都線',
+  国際文化公園都市モノレール線: '大阪モノレール彩都線',
+  京都本線: '阪急京都線',
+  宝塚線: '阪急宝塚本線',
+  北大阪急行線: '北大阪急行',
+  南北線: '北大阪急行',
+};
+
+const RAIL_FALLBACK_COLORS = schemeTableau10;
+const GTFS_STOP_MATCH_METERS = 150;
+
+const DEFAULT_STATION_IDS = new Map(
+  RAIL_LINES.flatMap((line) =>
+    line.stations.map((s) => [
+      `${line.id}|${normalizeStationLabel(s.name)}`,
+      s.id,
+    ])
+  )
+);
+
+function resolveRailLineId(name, operator = '') {
+  const route = normalizeKeyString(name);
+  if (operator && RAIL_LINE_ALIASES[`${operator}:${route}`]) {
+    return RAIL_LINE_ALIASES[`${operator}:${route}`];
+  }
+  if (RAIL_LINES.some((line) => line.id === route)) return route;
+  return RAIL_LINE_ALIASES[route] || route;
+}
+
+function resolveRailStationId(lineId, name) {
+  const label = normalizeStationLabel(name);
+  return DEFAULT_STATION_IDS.get(`${lineId}|${label}`) || `${lineId}_${label}`;
+}
+
+// 点から折れ線までの最短距離（m）。駅と路線の対応付け用の近似計算
+function pointToPathMeters(lat, lon, path) {
+  const kx = 111320 * Math.cos((lat * Math.PI) / 180);
+  const ky = 110540;
+  let best = Infinity;
+  for (let i = 0; i < path.length; i += 1) {
+    const ax = (path[i][0] - lon) * kx;
+    const ay = (path[i][1] - lat) * ky;
+    if (i === path.length - 1) {
+      best = Math.min(best, Math.hypot(ax, ay));
+      break;
+    }
+    const bx = (path[i + 1][0] - lon) * kx;
+    const by = (path[i + 1][1] - lat) * ky;
+    const dx = bx - ax;
+    const dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+    best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+  }
+  return best;
+}
+
+function findNearestRailLine(lines, lat, lon) {
+  let nearest = null;
+  let bestDistance = Infinity;
+  for (const line of lines) {
+    for (const path of line.paths) {
+      const distance = pointToPathMeters(lat, lon, path);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        nearest = line;
+      }
+    }
+  }
+  return { line: nearest, distance: bestDistance };
+}
+
+// Map<id, line> を配列にし、駅の重複除去と色の割り当てを行う
+function finalizeRailLines(lineMap) {
+  let paletteIndex = 0;
+  return Array.from(lineMap.values())
+    .filter((line) => line.paths.length || line.stations.length)
+    .map((line) => {
+      const builtin = RAIL_LINES.find((l) => l.id === line.id);
+      // 同梱路線は凡例の指定色を優先する
+      const color =
+        builtin?.color ||
+        line.color ||
+        RAIL_FALLBACK_COLORS[paletteIndex++ % RAIL_FALLBACK_COLORS.length];
+      const seen = new Set();
+      const stations = line.stations.filter((s) => {
+        if (seen.has(s.id)) return false;
+        seen.add(s.id);
+        return true;
+      });
+      return { ...line, color, stations };
+    });
+}
+
+function getOrCreateRailLine(lineMap, id, color = '') {
+  if (!lineMap.has(id)) {
+    lineMap.set(id, { id, color, paths: [], stations: [] });
+  }
+  const line = lineMap.get(id);
+  if (!line.color && color) line.color = color;
+  return line;
+}
+
+// 点だけのレイヤーを路線とみなす属性（N02_ で始まる列も路線）
+const RAIL_ATTRIBUTE_KEYS = ['railway', 'line', '路線名'];
+
+const hasRailAttribute = (feature) =>
+  Object.keys(feature?.properties || {}).some(
+    (key) => key.startsWith('N02_') || RAIL_ATTRIBUTE_KEYS.includes(key)
+  );
+
+const isPointOnlyGeoJson = (geojson) =>
+  (geojson?.features ?? []).every((f) => f?.geometry?.type === 'Point');
+const POINT_LAYER_ERROR =
+  '路線の属性（N02_・railway・line・路線名）の無い点だけのレイヤーは読み込めません';
+
+/**
+ * 路線データのレイヤーか。線・点だけで、線（LineString/MultiLineString）か路線の属性を
+ * 含むものに限る（飲食店・駅一覧などの点だけのレイヤーは路線にしない）。
+ */
+function isRailGeoJson(geojson) {
+  const features = geojson?.features ?? [];
+  if (!features.length) return false;
+  if (features.some((f) => f?.properties?.N02_003 !== undefined)) return true;
+  if (features.some((f) => f?.properties?.KEY_CODE !== undefined)) return false;
+  const types = features.map((f) => f?.geometry?.type);
+  if (
+    !types.every((type) =>
+      ['LineString', 'MultiLineString', 'Point'].includes(type)
+    )
+  )
+    return false;
+  return (
+    types.some((type) => type !== 'Point') || features.some(hasRailAttribute)
+  );
+}
+
+/**
+ * 路線 GeoJSON を鉄道ネットワークに変換する。
+ * - 国土数値情報 N02: N02_003=路線名 / N02_004=運営会社 / N02_005=駅名（駅も LineString）
+ * - 汎用: LineString/MultiLineString が路線（line / 路線名 / name）、Point が駅（name / 駅名）
+ *   路線名の無い駅は最寄りの路線に割り当てる
+ */
+function parseRailGeoJson(geojson) {
+  const lineMap = new Map();
+  const stationFeatures = [];
+  for (const f of geojson?.features ?? []) {
+    const p = f?.properties || {};
+    const type = f?.geometry?.type;
+    if (type === 'Point' || p.N02_005 !== undefined) {
+      stationFeatures.push(f);
+      continue;
+    }
+    if (type !== 'LineString' && type !== 'MultiLineString') continue;
+    const id =
+      p.N02_003 !== undefined
+        ? resolveRailLineId(p.N02_003, normalizeKeyString(p.N02_004))
+        : resolveRailLineId(
+            p.line ?? p.line_name ?? p.route ?? p['路線名'] ?? p.name ?? p.id
+          );
+    if (!id) continue;
+    const line = getOrCreateRailLine(lineMap, id, p.color || p.stroke);
+    const coords = f.geometry.coordinates;
+    line.paths.push(...(type === 'LineString' ? [coords] : coords));
+  }
+
+  const lines = Array.from(lineMap.values());
+  for (const f of stationFeatures) {
+    const p = f.properties || {};
+    const name = normalizeStationLabel(
+      normalizeKeyString(
+        p.N02_005 ?? p.station ?? p.station_name ?? p['駅名'] ?? p.name
+      )
+    );
+    const coords =
+      f.geometry?.type === 'Point'
+        ? f.geometry.coordinates
+        : f.geometry?.type === 'LineString'
+          ? f.geometry.coordinates[
+              Math.floor(f.geometry.coordinates.length / 2)
+            ]
+          : null;
+    if (!name || !coords) continue;
+    const [lon, lat] = coords;
+    const lineName =
+      p.N02_003 ?? p.line ?? p.line_name ?? p.route ?? p['路線名'];
+    const lineId = lineName
+      ? resolveRailLineId(lineName, normalizeKeyString(p.N02_004))
+      : findNearestRailLine(lines, lat, lon).line?.id || '（路線不明）';
+    const line = getOrCreateRailLine(lineMap, lineId);
+    line.stations.push({
+      id:
+        normalizeKeyString(p.station_id ?? p.id) ||
+        resolveRailStationId(lineId, name),
+      name,
+      lat,
+      lon,
+    });
+  }
+
+  const out = finalizeRailLines(lineMap);
+  if (!out.length) throw new Error('路線データに路線・駅が見つかりません');
+  return { lines: out, connectors: [] };
+}
+
+// GTFS の各ファイルはヘッダーで判別する
+const GTFS_FILE_COLUMNS = {
+  stops: ['stop_id', 'stop_lat', 'stop_lon'],
+  shapes: ['shape_id', 'shape_pt_lat', 'shape_pt_lon'],
+  routes: ['route_id', 'route_type'],
+  trips: ['trip_id', 'route_id'],
+  stopTimes: ['trip_id', 'stop_id', 'stop_sequence'],
+};
+
+function detectGtfsKind(text) {
+  const header = (text || '')
+    .replace(/^\ufeff/, '')
+    .split(/\r?\n/, 1)[0]
+    .split(',')
+    .map((c) => c.replace(/"/g, '').trim());
+  return (
+    Object.keys(GTFS_FILE_COLUMNS).find((kind) =>
+      GTFS_FILE_COLUMNS[kind].every((col) => header.includes(col))
+    ) || ''
+  );
+}
+
+function parseGtfsText(text) {
+  const parsed = Papa.parse(text.replace(/^\ufeff/, ''), {
+    header: true,
+    skipEmptyLines: true,
+  });
+  return parsed.data;
+}
+
+// 鉄道の route_type: 0 路面電車 / 1 地下鉄 / 2 鉄道 / 12 モノレール と、
+// 拡張型の 100 番台（鉄道）・400 番台（都市鉄道）・900 番台（路面電車）
+function isGtfsRailRoute(route) {
+  const type = Number(route?.route_type);
+  return (
+    [0, 1, 2, 12].includes(type) ||
+    (type >= 100 && type < 200) ||
+    (type >= 400 && type < 500) ||
+    (type >= 900 && type < 1000)
+  );
+}
+
+/**
+ * GTFS（shapes.txt + stops.txt、routes.txt / trips.txt / stop_times.txt は任意）を
+ * 鉄道ネットワークに変換する。線形は shapes.txt、路線名と色は routes.txt。
+ * routes.txt と trips.txt があれば鉄道の route_type の線形だけを使い、stop_times.txt があれば
+ * 鉄道の便が止まる駅だけを、線形から GTFS_STOP_MATCH_METERS 以内の路線に割り当てる。
+ */
+function buildGtfsRailNetwork({
+  stops = [],
+  shapes = [],
+  routes = [],
+  trips = [],
+  stopTimes = [],
+}) {
+  if (!shapes.length) throw new Error('GTFS の shapes.txt が必要です');
+  if (!stops.length) throw new Error('GTFS の stops.txt が必要です');
+  const hasRouteTypes = routes.length > 0 && trips.length > 0;
+  // 鉄道以外（バス等）を含むフィードでは、どの停留所が駅かを stop_times.txt で決める
+  if (
+    hasRouteTypes &&
+    !stopTimes.length &&
+    routes.some((route) => !isGtfsRailRoute(route))
+  ) {
+    throw new Error(
+      'バスなどを含む GTFS は、駅を判別するため stop_times.txt も必要です'
+    );
+  }
+
+  const shapePoints = new Map();
+  for (const row of shapes) {
+    const id = normalizeKeyString(row.shape_id);
+    const lat = Number(row.shape_pt_lat);
+    const lon = Number(row.shape_pt_lon);
+    if (!id || !Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+    if (!shapePoints.has(id)) shapePoints.set(id, []);
+    shapePoints
+      .get(id)
+      .push({ seq: Number(row.shape_pt_sequence) || 0, coord: [lon, lat] });
+  }
+  const routeByShape = new Map();
+  for (const trip of trips) {
+    const shapeId = normalizeKeyString(trip.shape_id);
+    if (shapeId && !routeByShape.has(shapeId)) {
+      routeByShape.set(shapeId, normalizeKeyString(trip.route_id));
+    }
+  }
+  const routeById = new Map(
+    routes.map((r) => [normalizeKeyString(r.route_id), r])
+  );
+
+  const lineMap = new Map();
+  for (const [shapeId, points] of shapePoints.entries()) {
+    const routeId = routeByShape.get(shapeId);
+    const route = routeById.get(routeId);
+    if (hasRouteTypes && !isGtfsRailRoute(route)) continue;
+    const name =
+      normalizeKeyString(route?.route_long_name) ||
+      normalizeKeyString(route?.route_short_name) ||
+      routeId ||
+      shapeId;
+    const color = /^[0-9a-f]{6}$/i.test(route?.route_color ?? '')
+      ? `#${route.route_color}`
+      : '';
+    const line = getOrCreateRailLine(lineMap, resolveRailLineId(name), color);
+    line.paths.push(
+      points.sort((a, b) => a.seq - b.seq).map((p) => p.coord)
+    );
+  }
+
+  // 親駅（location_type=1）があればそれを使い、無ければ乗り場をそのまま駅とする
+  const validStops = stops.filter(
+    (s) =>
+      Number.isFinite(Number(s.stop_lat)) && Number.isFinite(Number(s.stop_lon))
+  );
+  const hasParent = validStops.some((s) => String(s.location_type) === '1');
+  // stop_times.txt があれば、鉄道の便が止まる乗り場とその親駅だけを駅にする
+  let railStopIds = null;
+  if (stopTimes.length) {
+    const railTripIds = new Set(
+      trips
+        .filter((trip) =>
+          isGtfsRailRoute(routeById.get(normalizeKeyString(trip.route_id)))
+        )
+        .map((trip) => normalizeKeyString(trip.trip_id))
+    );
+    railStopIds = new Set();
+    for (const row of stopTimes) {
+      if (railTripIds.has(normalizeKeyString(row.trip_id)))
+        railStopIds.add(normalizeKeyString(row.stop_id));
+    }
+    for (const stop of validStops) {
+      const parent = normalizeKeyString(stop.parent_station);
+      if (parent && railStopIds.has(normalizeKeyString(stop.stop_id)))
+        railStopIds.add(parent);
+    }
+  }
+  const stationStops = validStops.filter(
+    (s) =>
+      (hasParent
+        ? String(s.location_type) === '1'
+        : !s.location_type || String(s.location_type) === '0') &&
+      (!railStopIds || railStopIds.has(normalizeKeyString(s.stop_id)))
+  );
+  for (const stop of stationStops) {
+    const lat = Number(stop.stop_lat);
+    const lon = Number(stop.stop_lon);
+    const name = normalizeStationLabel(normalizeKeyString(stop.stop_name));
+    if (!name) continue;
+    for (const line of lineMap.values()) {
+      const near = line.paths.some(
+        (path) => pointToPathMeters(lat, lon, path) <= GTFS_STOP_MATCH_METERS
+      );
+      if (!near) continue;
+      line.stations.push({
+        id: resolveRailStationId(line.id, name),
+        name,
+        lat,
+        lon,
+      });
+    }
+  }
+
+  const out = finalizeRailLines(lineMap);
+  if (!out.length) throw new Error('GTFS に鉄道路線が見つかりません');
+  return { lines: out, connectors: [] };
+}
+
+// 同じ id の路線は線形と駅をまとめる
+function mergeRailNetworks(networks) {
+  const lineMap = new Map();
+  for (const network of networks) {
+    for (const line of network?.lines ?? []) {
+      const merged = getOrCreateRailLine(lineMap, line.id, line.color);
+      merged.paths.push(...line.paths);
+      merged.stations.push(...line.stations);
+    }
+  }
+  return {
+    lines: finalizeRailLines(lineMap),
+    connectors: networks.flatMap((n) => n?.connectors ?? []),
   };
 }
 
-function buildRailGeoJson() {
+// 表示範囲（地図データの外接矩形＋余白）にかかる線形と駅だけを残す
+function clipRailNetworkToBounds(network, bounds, marginDeg = 0.02) {
+  if (!bounds) return network;
+  const [[minLon, minLat], [maxLon, maxLat]] = bounds;
+  const inside = ([lon, lat]) =>
+    lon >= minLon - marginDeg &&
+    lon <= maxLon + marginDeg &&
+    lat >= minLat - marginDeg &&
+    lat <= maxLat + marginDeg;
+  const lines = network.lines
+    .map((line) => ({
+      ...line,
+      paths: line.paths.filter((path) => path.some(inside)),
+      stations: line.stations.filter((s) => inside([s.lon, s.lat])),
+    }))
+    .filter((line) => line.paths.length || line.stations.length);
+  const connectors = network.connectors.filter((c) =>
+    c.coordinates.some(inside)
+  );
+  return { ...network, lines, connectors };
+}
+
+async function loadRailNetworkFromUrl(path) {
+  const url = resolvePublicUrl(path);
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`路線データの取得に失敗しました (${res.status}) - ${url}`);
+  }
+  const geojson = parseGeoJsonText(await res.text());
+  if (!geojson) {
+    throw new Error(`路線データのJSON解析に失敗しました - ${url}`);
+  }
+  return { ...parseRailGeoJson(geojson), source: path.split('/').pop() };
+}
+
+function buildRailGeoJson(network) {
   return {
     type: 'FeatureCollection',
     features: [
-      ...RAIL_LINES.map((line) => ({
-        type: 'Feature',
-        properties: { id: line.id, color: line.color },
-        geometry: {
-          type: 'LineString',
-          coordinates: line.stations.map((s) => [s.lon, s.lat]),
-        },
-      })),
-      ...RAIL_CONNECTORS.map((c) => ({
+      ...network.lines
+        .filter((line) => line.paths.length)
+        .map((line) => ({
+          type: 'Feature',
+          properties: { id: line.id, color: line.color },
+          geometry: { type: 'MultiLineString', coordinates: line.paths },
+        })),
+      ...network.connectors.map((c) => ({
         type: 'Feature',
         properties: { id: c.id, color: c.color },
         geometry: { type: 'LineString', coordinates: c.coordinates },
@@ -1342,9 +3020,9 @@ function buildRailGeoJson() {
   };
 }
 
-function collectStations() {
+function collectStations(network) {
   const out = [];
-  for (const line of RAIL_LINES) {
+  for (const line of network.lines) {
     for (const s of line.stations)
       out.push({ ...s, lineId: line.id, color: line.color });
   }
@@ -1423,25 +3101,492 @@ function HouseholdTree({ node, selectedKey, onSelect, availableColumns }) {
   );
 }
 
-function Legend({ mode, min, max, midLabel, layout }) {
-  const width = 220;
-  const height = 12;
-  const verticalHeight = 190;
-  const verticalBarWidth = 16;
-  const verticalTickWidth = 8;
-  const verticalLabelGap = 6;
-  const verticalLabelX = verticalBarWidth + verticalTickWidth + verticalLabelGap;
-  const verticalWidth = verticalLabelX + 60;
-  const verticalPadding = 8;
-  const verticalUsableHeight = verticalHeight - verticalPadding * 2;
-
-  const stops = useMemo(() => {
-    const n = 16;
-    const out = [];
-    for (let i = 0; i <= n; i++) out.push(i / n);
-    return out;
-  }, []);
-
+// 塗り分けの配色（d3-scale-chromatic の順序・発散スキーム）。cbSafe: 色覚の違いに配慮した配色
+const COLOR_RAMP_GROUPS = [
+  {
+    label: '順序（単色相）',
+    schemes: [
+      { key: 'Blues', interpolator: interpolateBlues, cbSafe: true },
+      { key: 'Greens', interpolator: interpolateGreens, cbSafe: true },
+      { key: 'Greys', interpolator: interpolateGreys, cbSafe: true },
+      { key: 'Oranges', interpolator: interpolateOranges, cbSafe: true },
+      { key: 'Purples', interpolator: interpolatePurples, cbSafe: true },
+      { key: 'Reds', interpolator: interpolateReds, cbSafe: true },
+    ],
+  },
+  {
+    label: '順序（多色相）',
+    schemes: [
+      { key: 'BuGn', interpolator: interpolateBuGn, cbSafe: true },
+      { key: 'BuPu', interpolator: interpolateBuPu, cbSafe: true },
+      { key: 'GnBu', interpolator: interpolateGnBu, cbSafe: true },
+      { key: 'OrRd', interpolator: interpolateOrRd, cbSafe: true },
+      { key: 'PuBuGn', interpolator: interpolatePuBuGn, cbSafe: true },
+      { key: 'PuBu', interpolator: interpolatePuBu, cbSafe: true },
+      { key: 'PuRd', interpolator: interpolatePuRd, cbSafe: true },
+      { key: 'RdPu', interpolator: interpolateRdPu, cbSafe: true },
+      { key: 'YlGnBu', interpolator: interpolateYlGnBu, cbSafe: true },
+      { key: 'YlGn', interpolator: interpolateYlGn, cbSafe: true },
+      { key: 'YlOrBr', interpolator: interpolateYlOrBr, cbSafe: true },
+      { key: 'YlOrRd', interpolator: interpolateYlOrRd, cbSafe: true },
+      { key: 'Viridis', interpolator: interpolateViridis, cbSafe: true },
+      { key: 'Cividis', interpolator: interpolateCividis, cbSafe: true },
+      { key: 'Inferno', interpolator: interpolateInferno, cbSafe: true },
+      { key: 'Magma', interpolator: interpolateMagma, cbSafe: true },
+      { key: 'Plasma', interpolator: interpolatePlasma, cbSafe: true },
+      { key: 'Turbo', interpolator: interpolateTurbo, cbSafe: false },
+      { key: 'Warm', interpolator: interpolateWarm, cbSafe: false },
+      { key: 'Cool', interpolator: interpolateCool, cbSafe: false },
+      {
+        key: 'CubehelixDefault',
+        interpolator: interpolateCubehelixDefault,
+        cbSafe: false,
+      },
+    ],
+  },
+  {
+    label: '発散',
+    schemes: [
+      { key: 'BrBG', interpolator: interpolateBrBG, cbSafe: true },
+      { key: 'PRGn', interpolator: interpolatePRGn, cbSafe: true },
+      { key: 'PiYG', interpolator: interpolatePiYG, cbSafe: true },
+      { key: 'PuOr', interpolator: interpolatePuOr, cbSafe: true },
+      { key: 'RdBu', interpolator: interpolateRdBu, cbSafe: true },
+      { key: 'RdGy', interpolator: interpolateRdGy, cbSafe: false },
+      { key: 'RdYlBu', interpolator: interpolateRdYlBu, cbSafe: true },
+      { key: 'RdYlGn', interpolator: interpolateRdYlGn, cbSafe: false },
+      { key: 'Spectral', interpolator: interpolateSpectral, cbSafe: false },
+    ],
+  },
+];
+const COLOR_RAMPS = new Map(
+  COLOR_RAMP_GROUPS.flatMap((g) => g.schemes.map((sc) => [sc.key, sc]))
+);
+const CUSTOM_COLOR_RAMP = 'custom';
+const DEFAULT_CUSTOM_RAMP_COLORS = ['#f7fbff', '#08306b'];
+// モードごとの既定の配色。分析は 1.0 より大きい（特化）側を赤にするため RdBu を反転
+const DEFAULT_COLOR_RAMPS = {
+  population: { scheme: 'YlOrRd', reverse: false },
+  household: { scheme: 'Greens', reverse: false },
+  business: { scheme: 'Purples', reverse: false },
+  analysis: { scheme: 'RdBu', reverse: true },
+  'restaurant-analysis': { scheme: 'YlOrRd', reverse: false },
+};
+const COLOR_RAMP_STORAGE_KEY = 'ibaraki-stats-map:color-ramps';
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// カスタム配色の色（#rrggbb の 2〜3 色）。形式が違えば null
+function normalizeRampColors(colors) {
+  if (!Array.isArray(colors)) return null;
+  if (colors.length < 2 || colors.length > 3) return null;
+  return colors.every((c) => HEX_COLOR_PATTERN.test(c)) ? colors : null;
+}
+
+/**
+ * 配色の設定 { scheme, reverse, colors } から t(0=低い値〜1=高い値) → 色 の関数を作る。
+ * scheme が custom のときは colors（2色または3色）を線形補間する。
+ */
+function buildRampInterpolator(spec) {
+  let interpolator;
+  if (spec?.scheme === CUSTOM_COLOR_RAMP) {
+    const colors =
+      normalizeRampColors(spec.colors) || DEFAULT_CUSTOM_RAMP_COLORS;
+    const scale = scaleLinear()
+      .domain(colors.map((_, i) => i / (colors.length - 1)))
+      .range(colors)
+      .clamp(true);
+    interpolator = (t) => scale(t);
+  } else {
+    interpolator =
+      COLOR_RAMPS.get(spec?.scheme)?.interpolator || interpolateYlOrRd;
+  }
+  return spec?.reverse ? (t) => interpolator(1 - t) : interpolator;
+}
+
+// 保存済みの配色（モードごと）を読む。壊れた値や未知のスキーム、
+// 色の形式が違うカスタム配色は無視する
+function loadStoredColorRamps() {
+  try {
+    const parsed = JSON.parse(
+      window.localStorage.getItem(COLOR_RAMP_STORAGE_KEY) || '{}'
+    );
+    const out = {};
+    for (const [mode, spec] of Object.entries(parsed || {})) {
+      if (!DEFAULT_COLOR_RAMPS[mode] || !spec) continue;
+      const colors = normalizeRampColors(spec.colors);
+      const valid =
+        spec.scheme === CUSTOM_COLOR_RAMP
+          ? Boolean(colors)
+          : COLOR_RAMPS.has(spec.scheme);
+      if (!valid) continue;
+      out[mode] = {
+        scheme: spec.scheme,
+        reverse: Boolean(spec.reverse),
+        colors: colors ?? undefined,
+      };
+    }
+    return out;
+  } catch {
+    return {};
+  }
+}
+
+// 2変量コロプレスの 3×3 配色（colors[縦軸の階級][横軸の階級]、0=低い）
+const BIVARIATE_PALETTES = [
+  {
+    value: 'tealPink',
+    label: '青緑 × ピンク',
+    colors: [
+      ['#e8e8e8', '#ace4e4', '#5ac8c8'],
+      ['#dfb0d6', '#a5add3', '#5698b9'],
+      ['#be64ac', '#8c62aa', '#3b4994'],
+    ],
+  },
+  {
+    value: 'redBlue',
+    label: '赤 × 青',
+    colors: [
+      ['#e8e8e8', '#e4acac', '#c85a5a'],
+      ['#b0d5df', '#ad9ea5', '#985356'],
+      ['#64acbe', '#627f8c', '#574249'],
+    ],
+  },
+  {
+    value: 'blueGreen',
+    label: '青 × 緑',
+    colors: [
+      ['#e8e8e8', '#b5c0da', '#6c83b5'],
+      ['#b8d6be', '#90b2b3', '#567994'],
+      ['#73ae80', '#5a9178', '#2a5a5b'],
+    ],
+  },
+];
+const BIVARIATE_TIERS = 3;
+const BIVARIATE_SOURCE_OPTIONS = [
+  { value: 'population', label: '人口（h03）' },
+  { value: 'household', label: '世帯（h06）' },
+  { value: 'business', label: '事業所' },
+];
+// 既定: 高齢化率 × 単独世帯比率
+const DEFAULT_BIVARIATE_X = {
+  source: 'population',
+  numer: ANALYSIS_POP_ELDERLY,
+  denom: ANALYSIS_POP_TOTAL,
+};
+const DEFAULT_BIVARIATE_Y = {
+  source: 'household',
+  numer: '単独世帯',
+  denom: '総数',
+};
+
+// 値 v の 3 段階（0〜2）。breaks は 3 分位の境界値
+function bivariateTierOf(v, breaks) {
+  return Math.min(BIVARIATE_TIERS - 1, classIndexOf(v, breaks));
+}
+
+// 塗り分けの分類方法（continuous 以外は階級区分）
+const CLASSIFICATION_METHODS = [
+  { value: 'continuous', label: '連続（グラデーション）' },
+  { value: 'equal', label: '等間隔' },
+  { value: 'quantile', label: '分位（各階級の地域数を揃える）' },
+  { value: 'jenks', label: '自然分類（Jenks）' },
+  { value: 'stddev', label: '標準偏差' },
+  { value: 'manual', label: '手動（境界値を入力）' },
+];
+const CLASS_COUNT_MIN = 3;
+const CLASS_COUNT_MAX = 9;
+// Jenks は O(k·n²) なので、これを超える件数は等間隔に間引いて計算する
+const JENKS_MAX_SAMPLES = 1000;
+
+/** 「10, 20, 50」のような入力を昇順の境界値にする。 */
+function parseManualBreaks(text) {
+  const values = String(text || '')
+    .split(/[\s,、，]+/)
+    .map((t) => safeToNumber(t))
+    .filter((v) => v !== null);
+  return uniq(values).sort((a, b) => a - b);
+}
+
+/**
+ * 分類方法に応じた内側の境界値（昇順、各階級の上限）を返す。
+ * 値 v は v <= breaks[i] となる最初の階級 i に入る。
+ */
+function computeClassBreaks(values, method, count, manualBreaks = []) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return [];
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const inRange = (b) => b >= min && b < max;
+  const k = clamp(Math.round(count), CLASS_COUNT_MIN, CLASS_COUNT_MAX);
+
+  if (method === 'manual') return manualBreaks.filter(inRange);
+
+  if (method === 'equal') {
+    const step = (max - min) / k;
+    return step > 0
+      ? Array.from({ length: k - 1 }, (_, i) => min + step * (i + 1))
+      : [];
+  }
+
+  if (method === 'quantile') {
+    const breaks = Array.from({ length: k - 1 }, (_, i) =>
+      quantileSorted(sorted, (i + 1) / k)
+    );
+    return uniq(breaks).filter(inRange);
+  }
+
+  if (method === 'stddev') {
+    // 平均を中心に 1σ 幅で区切る（両端の階級は開区間）
+    const mean = sorted.reduce((acc, v) => acc + v, 0) / sorted.length;
+    const sd = Math.sqrt(
+      sorted.reduce((acc, v) => acc + (v - mean) ** 2, 0) / sorted.length
+    );
+    if (!(sd > 0)) return [];
+    const breaks = Array.from(
+      { length: k - 1 },
+      (_, i) => mean + sd * (i + 1 - k / 2)
+    );
+    return breaks.filter(inRange);
+  }
+
+  if (method === 'jenks') {
+    const sample =
+      sorted.length > JENKS_MAX_SAMPLES
+        ? Array.from(
+            { length: JENKS_MAX_SAMPLES },
+            (_, i) =>
+              sorted[
+                Math.round((i * (sorted.length - 1)) / (JENKS_MAX_SAMPLES - 1))
+              ]
+          )
+        : sorted;
+    if (uniq(sample).length <= k) return uniq(sample).slice(0, -1);
+    return uniq(jenksBreaks(sample, k)).filter(inRange);
+  }
+
+  return [];
+}
+
+function classIndexOf(v, breaks) {
+  for (let i = 0; i < breaks.length; i++) {
+    if (v <= breaks[i]) return i;
+  }
+  return breaks.length;
+}
+
+/**
+ * 階級ごとの色を決める。順序尺度の配色は階級数で等分し、
+ * 分析モード（diverging）は 1.0 を境に青・赤をそれぞれ等分する。
+ */
+function buildClassColors(bounds, { interpolator, diverging = false }) {
+  if (!diverging) {
+    const n = bounds.length;
+    return bounds.map((_, i) => interpolator(n === 1 ? 1 : i / (n - 1)));
+  }
+  const below = bounds.filter((b) => b.hi <= 1).length;
+  const above = bounds.filter((b) => b.lo >= 1).length;
+  return bounds.map((b, i) => {
+    // interpolator は 0=最小側, 0.5=中央(1.0), 1=最大側
+    if (b.hi <= 1) return interpolator(0.5 - (0.5 * (below - i)) / below);
+    if (b.lo >= 1) {
+      const j = i - (bounds.length - above);
+      return interpolator(0.5 + (0.5 * (j + 1)) / above);
+    }
+    return interpolator(0.5);
+  });
+}
+
+/**
+ * 2変量コロプレスの凡例（3×3 の正方格子）。
+ * 右ほど横軸の指標が高く、上ほど縦軸の指標が高い。セルには地域数を表示する。
+ */
+function BivariateLegend({
+  palette,
+  xLabel,
+  yLabel,
+  xBreaks,
+  yBreaks,
+  counts,
+  formatX,
+  formatY,
+}) {
+  const cell = 34;
+  const tiers = Array.from({ length: BIVARIATE_TIERS }, (_, i) => i);
+  const breakText = (breaks, format) =>
+    breaks.length ? breaks.map((b) => format(b)).join(' / ') : '-';
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        right: 16,
+        bottom: 16,
+        background: 'rgba(255,255,255,0.92)',
+        border: '1px solid rgba(0,0,0,0.08)',
+        borderRadius: 12,
+        padding: 12,
+        width: 260,
+        boxShadow: '0 8px 24px rgba(0,0,0,0.10)',
+      }}
+    >
+      <div style={{ fontSize: 12, fontWeight: 700, marginBottom: 8 }}>
+        凡例（2変量）
+      </div>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'flex-end' }}>
+        <div
+          style={{
+            writingMode: 'vertical-rl',
+            transform: 'rotate(180deg)',
+            fontSize: 11,
+            height: cell * BIVARIATE_TIERS,
+            textAlign: 'center',
+          }}
+        >
+          {yLabel} →
+        </div>
+        <div>
+          <div
+            style={{
+              display: 'grid',
+              gridTemplateColumns: `repeat(${BIVARIATE_TIERS}, ${cell}px)`,
+            }}
+          >
+            {[...tiers].reverse().flatMap((yTier) =>
+              tiers.map((xTier) => (
+                <div
+                  key={`${xTier}-${yTier}`}
+                  style={{
+                    width: cell,
+                    height: cell,
+                    background: palette.colors[yTier][xTier],
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    fontSize: 10,
+                    color: 'rgba(0,0,0,0.7)',
+                  }}
+                >
+                  {formatNumber(counts?.[yTier]?.[xTier] ?? 0)}
+                </div>
+              ))
+            )}
+          </div>
+          <div style={{ fontSize: 11, marginTop: 4 }}>{xLabel} →</div>
+        </div>
+      </div>
+      <div style={{ marginTop: 8, fontSize: 11, opacity: 0.8 }}>
+        <div>横の境界: {breakText(xBreaks, formatX)}</div>
+        <div>縦の境界: {breakText(yBreaks, formatY)}</div>
+        <div>各指標を 3 分位で低・中・高に分類。数字は地域数。</div>
+      </div>
+    </div>
+  );
+}
+
+// 区分ごとの色と件数の凡例（LISA クラスタ・Gi* の信頼度区分など）。
+// items[].swatch を渡すと色の四角の代わりに表示する（マーカーの見本など）
+function CategoryLegend({ title, items }) {
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        right: 16,
+        bottom: 16,
+        background: 'rgba(255,255,255,0.92)',
+        border: '1px solid rgba(0,0,0,0.08)',
+        borderRadius: 12,
+        padding: 12,
+        width: 260,
+        boxShadow: '0 8px 24px rgba(0,0,0,0.10)',
+      }}
+    >
+      <div style={{ fontSize: 12, fontWeight: 700, marginBottom: 8 }}>
+        凡例（{title}）
+      </div>
+      <div style={{ display: 'grid', gap: 4 }}>
+        {items.map((c) => (
+          <div
+            key={c.key}
+            style={{
+              display: 'flex',
+              gap: 8,
+              alignItems: 'center',
+              fontSize: 12,
+            }}
+          >
+            {c.swatch || (
+              <span
+                style={{
+                  width: 18,
+                  height: 12,
+                  flex: '0 0 auto',
+                  background: c.color,
+                  border: '1px solid rgba(0,0,0,0.2)',
+                  borderRadius: 3,
+                }}
+              />
+            )}
+            <span style={{ flex: 1 }}>{c.label}</span>
+            <span style={{ opacity: 0.75 }}>{formatNumber(c.count ?? 0)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// 有意でない地域の斜線（白地に灰色）
+function HatchPattern({ id, size }) {
+  return (
+    <pattern
+      id={id}
+      width={size}
+      height={size}
+      patternUnits="userSpaceOnUse"
+      patternTransform="rotate(45)"
+    >
+      <rect width={size} height={size} fill="#f7f7f7" />
+      <line
+        x1={0}
+        y1={0}
+        x2={0}
+        y2={size}
+        stroke="#9e9e9e"
+        strokeWidth={size / 3}
+      />
+    </pattern>
+  );
+}
+
+function Legend({
+  mode,
+  min,
+  max,
+  midLabel,
+  layout,
+  formatValue = formatNumber,
+  interpolator = interpolateYlOrRd,
+  classes = null,
+  insignificant = null,
+}) {
+  const width = 220;
+  const height = 12;
+  const verticalHeight = 190;
+  const verticalBarWidth = 16;
+  const verticalTickWidth = 8;
+  const verticalLabelGap = 6;
+  const verticalLabelX = verticalBarWidth + verticalTickWidth + verticalLabelGap;
+  const verticalWidth = verticalLabelX + 60;
+  const verticalPadding = 8;
+  const verticalUsableHeight = verticalHeight - verticalPadding * 2;
+
+  const stops = useMemo(() => {
+    const n = 16;
+    const out = [];
+    for (let i = 0; i <= n; i++) out.push(i / n);
+    return out;
+  }, []);
+
   const gradientId = `grad_${mode}`;
 
   const roundedMax = useMemo(() => {
@@ -1461,14 +3606,8 @@ function Legend({ mode, min, max, midLabel, layout }) {
     return Array.from({ length: 11 }, (_, i) => safeMin + step * i);
   }, [layout, roundedMax]);
 
-  const getColor = (t) => {
-    if (mode === 'population') return interpolateYlOrRd(t);
-    if (mode === 'household') return interpolateGreens(t);
-    if (mode === 'business') return interpolatePurples(t);
-    if (mode === 'restaurant-analysis') return interpolateYlOrRd(t);
-    // analysis (high=red, low=blue) -> legend では青→白→赤に見えるよう調整
-    return interpolateRdBu(1 - t);
-  };
+  // 低い値（左・下）→ 高い値（右・上）の順に塗る
+  const getColor = (t) => interpolator(t);
 
   return (
     <div
@@ -1497,7 +3636,36 @@ function Legend({ mode, min, max, midLabel, layout }) {
           : '分析（特化係数）'}
         ）
       </div>
-      {layout === 'vertical' ? (
+      {classes ? (
+        <div style={{ display: 'grid', gap: 4 }}>
+          {classes.map((c, i) => (
+            <div
+              key={`class-${i}`}
+              style={{
+                display: 'flex',
+                gap: 8,
+                alignItems: 'center',
+                fontSize: 12,
+              }}
+            >
+              <span
+                style={{
+                  width: 18,
+                  height: 12,
+                  flex: '0 0 auto',
+                  background: c.color,
+                  border: '1px solid rgba(0,0,0,0.2)',
+                  borderRadius: 3,
+                }}
+              />
+              <span style={{ flex: 1 }}>
+                {formatValue(c.lo)} – {formatValue(c.hi)}
+              </span>
+              <span style={{ opacity: 0.75 }}>{formatNumber(c.count)}</span>
+            </div>
+          ))}
+        </div>
+      ) : layout === 'vertical' ? (
         <svg
           width={verticalWidth}
           height={verticalHeight}
@@ -1540,7 +3708,7 @@ function Legend({ mode, min, max, midLabel, layout }) {
                   dominantBaseline="middle"
                   fill="rgba(0,0,0,0.82)"
                 >
-                  {formatNumber(tick)}
+                  {formatValue(tick)}
                 </text>
               </g>
             );
@@ -1573,86 +3741,1144 @@ function Legend({ mode, min, max, midLabel, layout }) {
               fontSize: 12,
             }}
           >
-            <span>min: {formatNumber(min)}</span>
+            <span>min: {formatValue(min)}</span>
             {midLabel ? <span>{midLabel}</span> : <span />}
-            <span>max: {formatNumber(max)}</span>
+            <span>max: {formatValue(max)}</span>
           </div>
         </>
       )}
       {mode === 'analysis' && (
         <div style={{ marginTop: 6, fontSize: 12, opacity: 0.8 }}>
-          1.0 が市平均。&nbsp;赤=特化 / 青=非特化
+          1.0 が基準地域の平均。&nbsp;1.0 より大=特化 / 小=非特化
+        </div>
+      )}
+      {insignificant && (
+        <div
+          style={{
+            marginTop: 6,
+            display: 'flex',
+            gap: 6,
+            alignItems: 'center',
+            fontSize: 12,
+          }}
+        >
+          <svg width={18} height={12} style={{ display: 'block' }}>
+            <defs>
+              <HatchPattern id="legend-lq-hatch" size={5} />
+            </defs>
+            <rect
+              x={0.5}
+              y={0.5}
+              width={17}
+              height={11}
+              fill={
+                insignificant.style === 'hatch'
+                  ? 'url(#legend-lq-hatch)'
+                  : LQ_INSIGNIFICANT_FILL
+              }
+              stroke="rgba(0,0,0,0.35)"
+            />
+          </svg>
+          <span>有意でない（{formatNumber(insignificant.count)}地域）</span>
         </div>
       )}
     </div>
   );
 }
 
-export default function App() {
-  const [mode, setMode] = useState(DEFAULT_MODE);
-  const [legendLayout, setLegendLayout] = useState('horizontal');
+// --- 人口ピラミッド（h03 の年齢階級列から作成） ---
+const PYRAMID_YOUNG_MAX_AGE = 14; // 年少人口: 0〜14歳
+const PYRAMID_ELDERLY_MIN_AGE = 65; // 老年人口: 65歳以上
+const PYRAMID_COLORS = { 男: '#4a7bd0', 女: '#e06c8c' };
 
-  // ファイル
-  const [shapeGeo, setShapeGeo] = useState(null);
-  const [shapeErr, setShapeErr] = useState('');
-  const [boundaryGeo, setBoundaryGeo] = useState(null);
-  const [boundaryErr, setBoundaryErr] = useState('');
-  const [boundaryUrl, setBoundaryUrl] = useState('');
+// 「0～4歳」「100歳以上」などの列名から年齢の範囲を取り出す
+function parseAgeBand(column) {
+  const nums = (String(column).match(/\d+/g) || []).map(Number);
+  if (!nums.length) return null;
+  const lower = nums[0];
+  const upper =
+    nums.length >= 2 ? nums[1] : /以上/.test(column) ? Infinity : lower;
+  return { lower, upper };
+}
 
-  const [popRows, setPopRows] = useState(null);
-  const [popErr, setPopErr] = useState('');
+// 重複しない年齢階級だけを若い順に並べる（幅の狭い階級を優先）
+function selectPyramidAgeBands(columns) {
+  const bands = columns
+    .map((column) => ({ column, ...parseAgeBand(column) }))
+    .filter((b) => Number.isFinite(b.lower))
+    .sort((a, b) => a.lower - b.lower || a.upper - b.upper);
+  const out = [];
+  let nextLower = -Infinity;
+  for (const band of bands) {
+    if (band.lower < nextLower) continue;
+    out.push(band);
+    nextLower = band.upper + 1;
+  }
+  return out;
+}
 
-  const [hhRows, setHhRows] = useState(null);
-  const [hhErr, setHhErr] = useState('');
+/**
+ * 町丁ごとの { 男, 女, 総数 } 行を合算して年齢構成を求める。
+ * 男女別の行が無い場合は総数行から率だけを計算する（ピラミッドは描けない）。
+ */
+function buildAgeStructure(entries, bands) {
+  const rows = bands.map((b) => ({ ...b, male: 0, female: 0, total: 0 }));
+  let hasSex = false;
+  for (const entry of entries) {
+    for (const row of rows) {
+      const male = safeToNumber(entry['男']?.[row.column]);
+      const female = safeToNumber(entry['女']?.[row.column]);
+      const total = safeToNumber(entry['総数']?.[row.column]);
+      if (male !== null || female !== null) {
+        hasSex = true;
+        row.male += male ?? 0;
+        row.female += female ?? 0;
+        row.total += (male ?? 0) + (female ?? 0);
+      } else if (total !== null) {
+        row.total += total;
+      }
+    }
+  }
+  const sumWhere = (pred) =>
+    rows.filter(pred).reduce((acc, r) => acc + r.total, 0);
+  const total = sumWhere(() => true);
+  const young = sumWhere((r) => r.upper <= PYRAMID_YOUNG_MAX_AGE);
+  const elderly = sumWhere((r) => r.lower >= PYRAMID_ELDERLY_MIN_AGE);
+  return {
+    rows,
+    hasSex,
+    total,
+    youngRate: total ? (young / total) * 100 : null,
+    elderlyRate: total ? (elderly / total) * 100 : null,
+  };
+}
 
-  const [bizRows, setBizRows] = useState(null);
-  const [restaurantRows, setRestaurantRows] = useState(null);
-  const [restaurantErr, setRestaurantErr] = useState('');
-  const [restaurantGeoStatus, setRestaurantGeoStatus] = useState('');
-  const [restaurantGeoProgress, setRestaurantGeoProgress] = useState({
-    done: 0,
-    total: 0,
-  });
-  const [restaurantGeoRunning, setRestaurantGeoRunning] = useState(false);
-  const [dataLoading, setDataLoading] = useState(false);
+// --- 空間的自己相関（Moran's I / LISA） ---
+const CONTIGUITY_OPTIONS = [
+  { value: 'queen', label: 'クイーン（頂点を共有）' },
+  { value: 'rook', label: 'ルーク（辺を共有）' },
+];
+const MORAN_PERMUTATION_OPTIONS = [99, 499, 999];
+const LISA_ALPHA_OPTIONS = [0.1, 0.05, 0.01];
+// 頂点の一致判定の丸め（度。約 1cm）
+const CONTIGUITY_COORD_PRECISION = 1e7;
+const LISA_CLUSTERS = [
+  { key: 'HH', label: '高-高（ホットスポット）', color: '#d7191c' },
+  { key: 'LL', label: '低-低（コールドスポット）', color: '#2c7bb6' },
+  { key: 'HL', label: '高-低（周囲より高い）', color: '#fdae61' },
+  { key: 'LH', label: '低-高（周囲より低い）', color: '#abd9e9' },
+];
+const LISA_NOT_SIGNIFICANT_COLOR = '#eeeeee';
+// 並べ替え検定の乱数は固定シードにして、再計算しても結果が変わらないようにする
+const SPATIAL_PERMUTATION_SEED = 20240401;
+
+function createSeededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
-  // UI状態
-  const [panelOpen, setPanelOpen] = useState(true);
-  const [showRail, setShowRail] = useState(true);
-  const [railWidth, setRailWidth] = useState(2.4); // ★追加：線幅
-  const [stationRadius, setStationRadius] = useState(5);
-  const [restaurantRadius, setRestaurantRadius] = useState(4);
-  const [restaurantRadiusDraft, setRestaurantRadiusDraft] = useState(4);
-  const [restaurantOverlapThreshold, setRestaurantOverlapThreshold] =
-    useState(0);
-  const [restaurantOverlapThresholdDraft, setRestaurantOverlapThresholdDraft] =
-    useState(0);
-  const [showRestaurantClusterCount, setShowRestaurantClusterCount] =
-    useState(true);
-  const [showStationCatchment, setShowStationCatchment] = useState(false);
-  const [boldCityBoundary, setBoldCityBoundary] = useState(false);
-  const [showBaseMapLayer, setShowBaseMapLayer] = useState(true);
-  const [baseMapStyle, setBaseMapStyle] = useState('osm');
-  const [scaleScope, setScaleScope] = useState('visible'); // visible | all
-  const [restaurantClusterIndex, setRestaurantClusterIndex] = useState({});
+function getPolygonRings(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return geometry.coordinates;
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.flat();
+  return [];
+}
 
-  // 人口
+/**
+ * ポリゴンの隣接関係から近傍リスト（features の添字）を作る。
+ * queen は頂点を 1 つでも共有、rook は辺（連続する 2 頂点）を共有すれば隣接とする。
+ */
+function buildContiguityNeighbors(features, type = 'queen') {
+  const owners = new Map();
+  const vertexKey = ([x, y]) =>
+    `${Math.round(x * CONTIGUITY_COORD_PRECISION)},${Math.round(
+      y * CONTIGUITY_COORD_PRECISION
+    )}`;
+
+  features.forEach((f, index) => {
+    const keys = new Set();
+    for (const ring of getPolygonRings(f?.geometry)) {
+      for (let i = 0; i < ring.length; i++) {
+        const a = vertexKey(ring[i]);
+        if (type !== 'rook') {
+          keys.add(a);
+          continue;
+        }
+        if (i === 0) continue;
+        const b = vertexKey(ring[i - 1]);
+        if (a !== b) keys.add(a < b ? `${a}|${b}` : `${b}|${a}`);
+      }
+    }
+    for (const key of keys) {
+      const list = owners.get(key);
+      if (list) list.push(index);
+      else owners.set(key, [index]);
+    }
+  });
+
+  const neighbors = features.map(() => new Set());
+  for (const list of owners.values()) {
+    if (list.length < 2) continue;
+    for (const i of list) {
+      for (const j of list) {
+        if (i !== j) neighbors[i].add(j);
+      }
+    }
+  }
+  return neighbors.map((set) => Array.from(set));
+}
+
+/**
+ * 値のある地域だけで、行基準化した重みの Moran's I と LISA を計算する。
+ * values は features と同じ順の数値（null は欠損）。近傍の無い地域は除く。
+ * 戻り値の local は values と同じ順（対象外は null）。
+ */
+function computeSpatialAutocorrelation(
+  values,
+  neighbors,
+  { permutations = 999, alpha = 0.05 } = {}
+) {
+  const index = [];
+  const position = new Map();
+  values.forEach((v, i) => {
+    if (v === null || v === undefined || !Number.isFinite(v)) return;
+    if (!neighbors[i]?.some((j) => Number.isFinite(values[j]))) return;
+    position.set(i, index.length);
+    index.push(i);
+  });
+  const n = index.length;
+  if (n < 3) return null;
+
+  const adj = index.map((i) =>
+    neighbors[i].filter((j) => position.has(j)).map((j) => position.get(j))
+  );
+  const raw = index.map((i) => values[i]);
+  const mean = raw.reduce((acc, v) => acc + v, 0) / n;
+  const z = raw.map((v) => v - mean);
+  const m2 = z.reduce((acc, v) => acc + v * v, 0) / n;
+  if (!(m2 > 0)) return null;
+
+  const lagOf = (zs, k) => {
+    const list = adj[k];
+    if (!list.length) return 0;
+    let sum = 0;
+    for (const j of list) sum += zs[j];
+    return sum / list.length;
+  };
+  const moranOf = (zs) => {
+    let num = 0;
+    for (let k = 0; k < n; k++) num += zs[k] * lagOf(zs, k);
+    return num / n / m2;
+  };
+
+  const random = createSeededRandom(SPATIAL_PERMUTATION_SEED);
+  const shuffle = (arr) => {
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  };
+
+  // 大域: 値を全体で並べ替えたときの I の分布と比べる（観測値の符号の側で片側）
+  const observed = moranOf(z);
+  const expected = -1 / (n - 1);
+  let extreme = 0;
+  const shuffled = z.slice();
+  for (let p = 0; p < permutations; p++) {
+    const I = moranOf(shuffle(shuffled));
+    if (observed >= expected ? I >= observed : I <= observed) extreme++;
+  }
+
+  // 局所: 地域 k を固定し、残りの値から近傍数と同じ数を無作為に選ぶ条件付き並べ替え
+  const local = values.map(() => null);
+  const counts = { HH: 0, LL: 0, HL: 0, LH: 0, ns: 0 };
+  for (let k = 0; k < n; k++) {
+    const lag = lagOf(z, k);
+    const Ii = (z[k] / m2) * lag;
+    const size = adj[k].length;
+    let localExtreme = 0;
+    for (let p = 0; p < permutations; p++) {
+      let sum = 0;
+      const picked = new Set();
+      while (picked.size < size) {
+        const j = Math.floor(random() * n);
+        if (j === k || picked.has(j)) continue;
+        picked.add(j);
+        sum += z[j];
+      }
+      const Ip = (z[k] / m2) * (sum / size);
+      if (Ii >= 0 ? Ip >= Ii : Ip <= Ii) localExtreme++;
+    }
+    const pValue = (localExtreme + 1) / (permutations + 1);
+    const cluster =
+      pValue > alpha
+        ? null
+        : z[k] >= 0
+          ? lag >= 0
+            ? 'HH'
+            : 'HL'
+          : lag >= 0
+            ? 'LH'
+            : 'LL';
+    counts[cluster || 'ns'] += 1;
+    local[index[k]] = { Ii, p: pValue, cluster };
+  }
+
+  return {
+    n,
+    moranI: observed,
+    expected,
+    p: (extreme + 1) / (permutations + 1),
+    local,
+    counts,
+  };
+}
+
+// --- 飲食店格子のホットスポット分析（Getis-Ord Gi*） ---
+const GI_STAR_BAND_MIN_METERS = 100;
+const GI_STAR_BAND_MAX_METERS = 3000;
+// z の両側臨界値ごとの区分（上から順に判定）
+const GI_STAR_BINS = [
+  { key: 'hot99', label: 'ホットスポット 99%', minZ: 2.576, color: '#d73027' },
+  { key: 'hot95', label: 'ホットスポット 95%', minZ: 1.96, color: '#fc8d59' },
+  { key: 'hot90', label: 'ホットスポット 90%', minZ: 1.645, color: '#fee090' },
+  { key: 'cold90', label: 'コールドスポット 90%', maxZ: -1.645, color: '#e0f3f8' },
+  { key: 'cold95', label: 'コールドスポット 95%', maxZ: -1.96, color: '#91bfdb' },
+  { key: 'cold99', label: 'コールドスポット 99%', maxZ: -2.576, color: '#4575b4' },
+];
+const GI_STAR_NOT_SIGNIFICANT = {
+  key: 'ns',
+  label: '有意でない',
+  color: '#ffffff',
+};
+
+function giStarBinOf(z) {
+  if (!Number.isFinite(z)) return GI_STAR_NOT_SIGNIFICANT;
+  if (z > 0)
+    return (
+      GI_STAR_BINS.find((b) => b.minZ && z >= b.minZ) ||
+      GI_STAR_NOT_SIGNIFICANT
+    );
+  // コールド側は厳しい区分から判定する
+  return (
+    [...GI_STAR_BINS].reverse().find((b) => b.maxZ && z <= b.maxZ) ||
+    GI_STAR_NOT_SIGNIFICANT
+  );
+}
+
+/**
+ * 格子（平面座標 mx, my [m] と value）ごとの Gi* z スコア。
+ * 重みは中心間距離が bandMeters 以内のセル（自分を含む）を 1 とする。
+ */
+function computeGiStar(cells, bandMeters) {
+  const n = cells.length;
+  if (n < 3) return cells.map(() => null);
+  const values = cells.map((c) => c.value);
+  const mean = values.reduce((acc, v) => acc + v, 0) / n;
+  const variance =
+    values.reduce((acc, v) => acc + v * v, 0) / n - mean * mean;
+  if (!(variance > 0)) return cells.map(() => null);
+  const sd = Math.sqrt(variance);
+
+  // 距離帯の幅のバケットに分け、隣接 3×3 バケットだけを調べる
+  const bucketKey = (bx, by) => `${bx}_${by}`;
+  const buckets = new Map();
+  cells.forEach((c, i) => {
+    const key = bucketKey(
+      Math.floor(c.mx / bandMeters),
+      Math.floor(c.my / bandMeters)
+    );
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(i);
+  });
+  const band2 = bandMeters * bandMeters;
+
+  return cells.map((c) => {
+    const bx = Math.floor(c.mx / bandMeters);
+    const by = Math.floor(c.my / bandMeters);
+    let sum = 0;
+    let w = 0;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        for (const j of buckets.get(bucketKey(bx + dx, by + dy)) || []) {
+          const ddx = cells[j].mx - c.mx;
+          const ddy = cells[j].my - c.my;
+          if (ddx * ddx + ddy * ddy > band2) continue;
+          sum += values[j];
+          w += 1;
+        }
+      }
+    }
+    const denom = sd * Math.sqrt((n * w - w * w) / (n - 1));
+    return denom > 0 ? (sum - mean * w) / denom : null;
+  });
+}
+
+// --- 飲食店分析の格子（正方形 / 六角形 / JIS 地域メッシュ） ---
+const RESTAURANT_GRID_TYPES = [
+  { value: 'square', label: '正方形' },
+  { value: 'hex', label: '六角形' },
+  { value: 'jis', label: '地域メッシュ' },
+];
+const RESTAURANT_GRID_SIZE_MIN_METERS = 100;
+const RESTAURANT_GRID_SIZE_MAX_METERS = 1000;
+const RESTAURANT_GRID_SIZE_STEP_METERS = 50;
+// 地域メッシュ（JIS X 0410）の区画の幅（度）
+const JIS_MESH_LEVELS = [
+  {
+    value: 'third',
+    label: '3次メッシュ（約1km）',
+    latStep: 30 / 3600,
+    lonStep: 45 / 3600,
+  },
+  {
+    value: 'half',
+    label: '2分の1地域メッシュ（約500m）',
+    latStep: 15 / 3600,
+    lonStep: 22.5 / 3600,
+  },
+  {
+    value: 'quarter',
+    label: '4分の1地域メッシュ（約250m）',
+    latStep: 7.5 / 3600,
+    lonStep: 11.25 / 3600,
+  },
+];
+const METERS_PER_DEG_LAT = 111320;
+const RESTAURANT_GRID_CLIP_ID = 'restaurant-grid-clip';
+
+/**
+ * 範囲 bounds（[[西, 南], [東, 北]]）を覆う格子を作る。
+ * 各セルは { id, ring（経緯度の閉じた外周）, center, mx, my（範囲南西端からの m）}。
+ * locate(lon, lat) は地点を含むセルの id を返す。
+ */
+function buildAnalysisGridCells(bounds, { type, sizeMeters, meshLevel }) {
+  const [[minLon, minLat], [maxLon, maxLat]] = bounds;
+  const centerLat = (minLat + maxLat) / 2;
+  const metersPerDegLon =
+    METERS_PER_DEG_LAT * Math.cos((centerLat * Math.PI) / 180);
+  const toMeters = (lon, lat) => [
+    (lon - minLon) * metersPerDegLon,
+    (lat - minLat) * METERS_PER_DEG_LAT,
+  ];
+  const toLonLat = (x, y) => [
+    minLon + x / metersPerDegLon,
+    minLat + y / METERS_PER_DEG_LAT,
+  ];
+  const [spanX, spanY] = toMeters(maxLon, maxLat);
+  const cells = [];
+  const pushCell = (id, ring, center, extra) => {
+    const [mx, my] = toMeters(center[0], center[1]);
+    cells.push({ id, ring: [...ring, ring[0]], center, mx, my, ...extra });
+  };
+
+  if (type === 'jis') {
+    const level =
+      JIS_MESH_LEVELS.find((l) => l.value === meshLevel) || JIS_MESH_LEVELS[0];
+    const { latStep, lonStep } = level;
+    // 経度 100 度・緯度 0 度を原点に揃えるので公的統計のメッシュと一致する
+    const rowOf = (lat) => Math.floor(lat / latStep);
+    const colOf = (lon) => Math.floor((lon - 100) / lonStep);
+    const idAt = (col, row) =>
+      toJisMeshCode(
+        100 + (col + 0.5) * lonStep,
+        (row + 0.5) * latStep,
+        level.value
+      );
+    for (let row = rowOf(minLat); row <= rowOf(maxLat); row++) {
+      for (let col = colOf(minLon); col <= colOf(maxLon); col++) {
+        const west = 100 + col * lonStep;
+        const south = row * latStep;
+        const id = idAt(col, row);
+        pushCell(
+          id,
+          [
+            [west, south],
+            [west + lonStep, south],
+            [west + lonStep, south + latStep],
+            [west, south + latStep],
+          ],
+          [west + lonStep / 2, south + latStep / 2],
+          { code: id }
+        );
+      }
+    }
+    return {
+      cells,
+      locate: (lon, lat) => idAt(colOf(lon), rowOf(lat)),
+    };
+  }
+
+  if (type === 'hex') {
+    // 頂点が上下を向く六角形。sizeMeters は向かい合う辺の間隔
+    const radius = sizeMeters / Math.sqrt(3);
+    const rowHeight = radius * 1.5;
+    const centerOf = (col, row) => [
+      sizeMeters * (col + (row & 1 ? 0.5 : 0)),
+      rowHeight * row,
+    ];
+    for (let row = -1; row * rowHeight <= spanY + radius; row++) {
+      for (let col = -1; col * sizeMeters <= spanX + sizeMeters; col++) {
+        const [cx, cy] = centerOf(col, row);
+        const ring = [];
+        for (let k = 0; k < 6; k++) {
+          const angle = ((60 * k + 30) * Math.PI) / 180;
+          ring.push(
+            toLonLat(
+              cx + radius * Math.cos(angle),
+              cy + radius * Math.sin(angle)
+            )
+          );
+        }
+        pushCell(`hex-${col}-${row}`, ring, toLonLat(cx, cy));
+      }
+    }
+    // 軸座標に変換して立方体座標で丸め、奇数行ずらしの行列番号に戻す
+    const locate = (lon, lat) => {
+      const [x, y] = toMeters(lon, lat);
+      const fq = ((Math.sqrt(3) / 3) * x - y / 3) / radius;
+      const fr = ((2 / 3) * y) / radius;
+      const fs = -fq - fr;
+      let rq = Math.round(fq);
+      let rr = Math.round(fr);
+      const rs = Math.round(fs);
+      const dq = Math.abs(rq - fq);
+      const dr = Math.abs(rr - fr);
+      const ds = Math.abs(rs - fs);
+      if (dq > dr && dq > ds) rq = -rr - rs;
+      else if (dr > ds) rr = -rq - rs;
+      const col = rq + (rr - (rr & 1)) / 2;
+      return `hex-${col}-${rr}`;
+    };
+    return { cells, locate };
+  }
+
+  for (let row = 0; row * sizeMeters <= spanY; row++) {
+    for (let col = 0; col * sizeMeters <= spanX; col++) {
+      const x0 = col * sizeMeters;
+      const y0 = row * sizeMeters;
+      const x1 = x0 + sizeMeters;
+      const y1 = y0 + sizeMeters;
+      pushCell(
+        `grid-${col}-${row}`,
+        [
+          toLonLat(x0, y0),
+          toLonLat(x1, y0),
+          toLonLat(x1, y1),
+          toLonLat(x0, y1),
+        ],
+        toLonLat(x0 + sizeMeters / 2, y0 + sizeMeters / 2)
+      );
+    }
+  }
+  return {
+    cells,
+    locate: (lon, lat) => {
+      const [x, y] = toMeters(lon, lat);
+      return `grid-${Math.floor(x / sizeMeters)}-${Math.floor(y / sizeMeters)}`;
+    },
+  };
+}
+
+/** 経緯度を平面とみなした点の内外判定（偶奇規則なので穴も除外される）。 */
+function ringsContainPoint(rings, [x, y]) {
+  let inside = false;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+  }
+  return inside;
+}
+
+// 格子ごとの指標。zeroBased は配色の下端を 0 に固定するもの
+const RESTAURANT_GRID_METRICS = [
+  { value: 'count', label: '店舗数', zeroBased: true },
+  { value: 'rating', label: '平均評価' },
+  { value: 'comments', label: 'コメント合計', zeroBased: true },
+  { value: 'bookmarks', label: 'ブックマーク合計', zeroBased: true },
+  { value: 'lunch', label: '昼の予算（中央値）' },
+  { value: 'night', label: '夜の予算（中央値）' },
+  { value: 'category', label: 'カテゴリの割合', zeroBased: true },
+];
+
+/** 格子内の飲食店（restaurantPoints の要素）の集計。 */
+function summarizeRestaurantCell(points) {
+  let ratingSum = 0;
+  let ratingCount = 0;
+  let commentTotal = 0;
+  let bookmarkTotal = 0;
+  const lunchBudgets = [];
+  const nightBudgets = [];
+  const categories = new Map();
+  for (const point of points) {
+    if (point.ratingValue !== null) {
+      ratingSum += point.ratingValue;
+      ratingCount += 1;
+    }
+    commentTotal += safeToNumber(point.comments) ?? 0;
+    bookmarkTotal += safeToNumber(point.bookmarks) ?? 0;
+    const lunch = parseBudgetValue(point.budgetLunch);
+    if (lunch !== null) lunchBudgets.push(lunch);
+    const night = parseBudgetValue(point.budgetNight);
+    if (night !== null) nightBudgets.push(night);
+    for (const key of point.categoryKeys) {
+      categories.set(key, (categories.get(key) ?? 0) + 1);
+    }
+  }
+  return {
+    count: points.length,
+    avgRating: ratingCount ? ratingSum / ratingCount : null,
+    ratingCount,
+    commentTotal,
+    bookmarkTotal,
+    medianLunchBudget: median(lunchBudgets) ?? null,
+    medianNightBudget: median(nightBudgets) ?? null,
+    categories,
+  };
+}
+
+function formatRestaurantGridValue(v, metric) {
+  if (metric === 'rating') return formatDecimal(v, 2);
+  if (metric === 'lunch' || metric === 'night') {
+    const text = formatNumber(v === null ? null : Math.round(v));
+    return text === '-' ? text : `￥${text}`;
+  }
+  if (metric === 'category') return formatPercent(v);
+  return formatNumber(v);
+}
+
+const categoryLabelOf = (key) =>
+  key === CATEGORY_NONE_KEY ? CATEGORY_NONE_LABEL : key;
+
+/** 格子のツールチップ用の内訳。category を渡すとそのカテゴリの件数と割合も出す。 */
+function describeRestaurantCell(stats, category = null) {
+  const share = restaurantCellValue(stats, 'category', category);
+  const topCategories = Array.from(stats.categories.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3);
+  return [
+    `飲食店数: ${formatNumber(stats.count)}`,
+    `平均評価: ${formatDecimal(stats.avgRating, 2)}（評価あり ${formatNumber(
+      stats.ratingCount
+    )}件）`,
+    `コメント合計: ${formatNumber(stats.commentTotal)}`,
+    `ブックマーク合計: ${formatNumber(stats.bookmarkTotal)}`,
+    `昼の予算（中央値）: ${formatRestaurantGridValue(
+      stats.medianLunchBudget,
+      'lunch'
+    )}`,
+    `夜の予算（中央値）: ${formatRestaurantGridValue(
+      stats.medianNightBudget,
+      'night'
+    )}`,
+    category
+      ? `${categoryLabelOf(category)}: ${formatNumber(
+          stats.categories.get(category) ?? 0
+        )}件（${formatPercent(share)}）`
+      : null,
+    topCategories.length
+      ? `上位カテゴリ: ${topCategories
+          .map(([key, n]) => `${categoryLabelOf(key)} ${n}`)
+          .join(' / ')}`
+      : null,
+  ].filter(Boolean);
+}
+
+/** 集計から指標の値を取り出す。カテゴリの割合は %（店舗が無い格子は null）。 */
+function restaurantCellValue(stats, metric, categoryKey) {
+  switch (metric) {
+    case 'rating':
+      return stats.avgRating;
+    case 'comments':
+      return stats.commentTotal;
+    case 'bookmarks':
+      return stats.bookmarkTotal;
+    case 'lunch':
+      return stats.medianLunchBudget;
+    case 'night':
+      return stats.medianNightBudget;
+    case 'category':
+      return stats.count
+        ? ((stats.categories.get(categoryKey) ?? 0) / stats.count) * 100
+        : null;
+    default:
+      return stats.count;
+  }
+}
+
+// --- 飲食店のカーネル密度推定（KDE） ---
+const KDE_BANDWIDTH_MIN_METERS = 100;
+const KDE_BANDWIDTH_MAX_METERS = 2000;
+const KDE_BANDWIDTH_STEP_METERS = 50;
+const KDE_WEIGHT_OPTIONS = [
+  { value: 'none', label: 'なし（店舗数）' },
+  { value: 'rating', label: '評価' },
+  { value: 'comments', label: 'コメント数' },
+  { value: 'bookmarks', label: 'ブックマーク数' },
+];
+// ラスタの長辺の最大画素数。画素の大きさはバンド幅の 1/4 を下限にする
+const KDE_MAX_RASTER_SIZE = 400;
+const KDE_TRUNCATE_SIGMAS = 3;
+const KDE_MAX_ALPHA = 0.85;
+
+/**
+ * 点（lon, lat, weight）からガウスカーネルの密度（weight の合計/km²）を求める。
+ * 戻り値の values は北西から行ごとに並んだ width × height の配列。
+ */
+function computeKernelDensity(points, bounds, bandwidthMeters) {
+  const [[minLon, minLat], [maxLon, maxLat]] = bounds;
+  const centerLat = (minLat + maxLat) / 2;
+  const metersPerDegLon =
+    METERS_PER_DEG_LAT * Math.cos((centerLat * Math.PI) / 180);
+  const spanX = (maxLon - minLon) * metersPerDegLon;
+  const spanY = (maxLat - minLat) * METERS_PER_DEG_LAT;
+  const pixel = Math.max(
+    bandwidthMeters / 4,
+    Math.max(spanX, spanY) / KDE_MAX_RASTER_SIZE
+  );
+  const width = Math.max(1, Math.ceil(spanX / pixel));
+  const height = Math.max(1, Math.ceil(spanY / pixel));
+  const values = new Float64Array(width * height);
+
+  const reach = Math.ceil((bandwidthMeters * KDE_TRUNCATE_SIGMAS) / pixel);
+  const twoH2 = 2 * bandwidthMeters * bandwidthMeters;
+  // 1 点あたりの密度（/m²）を /km² に直す係数
+  const norm = 1e6 / (Math.PI * twoH2);
+  for (const { lon, lat, weight } of points) {
+    const x = (lon - minLon) * metersPerDegLon;
+    const y = (maxLat - lat) * METERS_PER_DEG_LAT;
+    const col = Math.floor(x / pixel);
+    const row = Math.floor(y / pixel);
+    for (let r = Math.max(0, row - reach); r <= row + reach; r++) {
+      if (r >= height) break;
+      const dy = (r + 0.5) * pixel - y;
+      for (let c = Math.max(0, col - reach); c <= col + reach; c++) {
+        if (c >= width) break;
+        const dx = (c + 0.5) * pixel - x;
+        values[r * width + c] +=
+          weight * norm * Math.exp(-(dx * dx + dy * dy) / twoH2);
+      }
+    }
+  }
+
+  let max = 0;
+  for (const v of values) if (v > max) max = v;
+  return { width, height, values, max, bounds };
+}
+
+/** 密度ラスタを配色で塗った PNG の data URL。低い値ほど透明にする。 */
+function renderDensityRaster({ width, height, values, max }, interpolator) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (!ctx || !(max > 0)) return null;
+
+  // 配色を 256 段の RGB 表にしておく
+  const lut = document.createElement('canvas');
+  lut.width = 256;
+  lut.height = 1;
+  const lutCtx = lut.getContext('2d');
+  for (let i = 0; i < 256; i++) {
+    lutCtx.fillStyle = interpolator(i / 255);
+    lutCtx.fillRect(i, 0, 1, 1);
+  }
+  const rgb = lutCtx.getImageData(0, 0, 256, 1).data;
+
+  const image = ctx.createImageData(width, height);
+  for (let i = 0; i < values.length; i++) {
+    const t = values[i] / max;
+    const k = Math.min(255, Math.round(t * 255));
+    image.data[i * 4] = rgb[k * 4];
+    image.data[i * 4 + 1] = rgb[k * 4 + 1];
+    image.data[i * 4 + 2] = rgb[k * 4 + 2];
+    image.data[i * 4 + 3] = Math.round(
+      255 * KDE_MAX_ALPHA * Math.min(1, t * 5)
+    );
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas.toDataURL('image/png');
+}
+
+// 人口規模の違う地域と比べられるよう、各階級は総人口に対する構成比（%）で描く
+function PopulationPyramid({
+  title,
+  structure,
+  reference,
+  referenceLabel,
+  onClose,
+}) {
+  const width = 300;
+  const labelWidth = 52;
+  const rowHeight = 11;
+  const half = (width - labelWidth) / 2;
+  const rows = structure?.rows ?? [];
+  const share = (value, total) => (total ? (value / total) * 100 : 0);
+  const refRows = reference?.rows ?? [];
+  const maxShare = Math.max(
+    0.1,
+    ...rows.flatMap((r) => [
+      share(r.male, structure.total),
+      share(r.female, structure.total),
+    ]),
+    ...refRows.flatMap((r) => [
+      share(r.male, reference.total),
+      share(r.female, reference.total),
+    ])
+  );
+  const height = rows.length * rowHeight;
+  // 上が高齢になるよう逆順に描く
+  const yOf = (index) => height - (index + 1) * rowHeight;
+  const barWidth = (value, total) => (share(value, total) / maxShare) * half;
+
+  // 参照（市平均）の構成比を階段状の線で重ねる
+  const refPath = (key, side) => {
+    if (!reference?.hasSex || refRows.length !== rows.length) return '';
+    const center = side < 0 ? half : half + labelWidth;
+    return refRows
+      .map((r, i) => {
+        const x = center + side * barWidth(r[key], reference.total);
+        const y0 = yOf(i) + rowHeight;
+        const y1 = yOf(i);
+        return `${i === 0 ? 'M' : 'L'}${x},${y0}L${x},${y1}`;
+      })
+      .join('');
+  };
+
+  const formatRate = (v) => (v === null ? '-' : `${formatDecimal(v, 1)}%`);
+
+  return (
+    <div
+      style={{
+        background: 'rgba(255,255,255,0.95)',
+        border: '1px solid rgba(0,0,0,0.08)',
+        borderRadius: 12,
+        padding: 12,
+        width: width + 24,
+        boxShadow: '0 8px 24px rgba(0,0,0,0.10)',
+        fontSize: 12,
+      }}
+    >
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 8,
+        }}
+      >
+        <div style={{ fontWeight: 700 }}>人口ピラミッド: {title}</div>
+        <button type="button" onClick={onClose} style={miniBtn}>
+          閉じる
+        </button>
+      </div>
+      {!structure?.total ? (
+        <div style={{ opacity: 0.75 }}>この地域の人口データがありません。</div>
+      ) : (
+        <>
+          {structure.hasSex ? (
+            <svg
+              width={width}
+              height={height + 16}
+              style={{ display: 'block' }}
+            >
+              {rows.map((r, i) => {
+                const y = yOf(i);
+                const male = barWidth(r.male, structure.total);
+                const female = barWidth(r.female, structure.total);
+                return (
+                  <g key={r.column}>
+                    <rect
+                      x={half - male}
+                      y={y + 1}
+                      width={male}
+                      height={rowHeight - 2}
+                      fill={PYRAMID_COLORS['男']}
+                    >
+                      <title>
+                        {`男 ${r.column}: ${formatNumber(
+                          r.male
+                        )}人（${formatDecimal(
+                          share(r.male, structure.total),
+                          1
+                        )}%）`}
+                      </title>
+                    </rect>
+                    <rect
+                      x={half + labelWidth}
+                      y={y + 1}
+                      width={female}
+                      height={rowHeight - 2}
+                      fill={PYRAMID_COLORS['女']}
+                    >
+                      <title>
+                        {`女 ${r.column}: ${formatNumber(
+                          r.female
+                        )}人（${formatDecimal(
+                          share(r.female, structure.total),
+                          1
+                        )}%）`}
+                      </title>
+                    </rect>
+                    {i % 2 === 0 ? (
+                      <text
+                        x={half + labelWidth / 2}
+                        y={y + rowHeight / 2}
+                        fontSize={9}
+                        textAnchor="middle"
+                        dominantBaseline="middle"
+                        fill="#333"
+                      >
+                        {Number.isFinite(r.upper) ? r.lower : `${r.lower}+`}
+                      </text>
+                    ) : null}
+                  </g>
+                );
+              })}
+              <path
+                d={refPath('male', -1)}
+                fill="none"
+                stroke="#111"
+                strokeWidth={1}
+              />
+              <path
+                d={refPath('female', 1)}
+                fill="none"
+                stroke="#111"
+                strokeWidth={1}
+              />
+              <text
+                x={0}
+                y={height + 12}
+                fontSize={10}
+                fill={PYRAMID_COLORS['男']}
+              >
+                男
+              </text>
+              <text
+                x={width}
+                y={height + 12}
+                fontSize={10}
+                textAnchor="end"
+                fill={PYRAMID_COLORS['女']}
+              >
+                女
+              </text>
+              <text
+                x={width / 2}
+                y={height + 12}
+                fontSize={10}
+                textAnchor="middle"
+                fill="#555"
+              >
+                最大 {formatDecimal(maxShare, 1)}%
+              </text>
+            </svg>
+          ) : (
+            <div style={{ opacity: 0.75 }}>
+              男女別の行が無いためピラミッドは表示できません。
+            </div>
+          )}
+          <div style={{ marginTop: 8, display: 'grid', gap: 2 }}>
+            <div>総人口: {formatNumber(structure.total)}人</div>
+            <div>
+              高齢化率（{PYRAMID_ELDERLY_MIN_AGE}歳以上）:{' '}
+              {formatRate(structure.elderlyRate)}
+              {reference
+                ? `（${referenceLabel} ${formatRate(reference.elderlyRate)}）`
+                : ''}
+            </div>
+            <div>
+              年少人口率（{PYRAMID_YOUNG_MAX_AGE + 1}歳未満）:{' '}
+              {formatRate(structure.youngRate)}
+              {reference
+                ? `（${referenceLabel} ${formatRate(reference.youngRate)}）`
+                : ''}
+            </div>
+          </div>
+          {reference?.hasSex ? (
+            <div style={{ marginTop: 4, opacity: 0.7 }}>
+              黒線: {referenceLabel}の構成比
+            </div>
+          ) : null}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function App() {
+  const [mode, setMode] = useState(DEFAULT_MODE);
+  const [legendLayout, setLegendLayout] = useState('horizontal');
+
+  // ファイル
+  const [dataManifest, setDataManifest] = useState(null);
+  const [manifestErr, setManifestErr] = useState('');
+  const [shapeGeo, setShapeGeo] = useState(null);
+  const [shapeErr, setShapeErr] = useState('');
+  const [boundaryGeo, setBoundaryGeo] = useState(null);
+  const [boundaryErr, setBoundaryErr] = useState('');
+  const [boundaryUrl, setBoundaryUrl] = useState('');
+
+  const [popRows, setPopRows] = useState(null);
+  const [popErr, setPopErr] = useState('');
+
+  const [hhRows, setHhRows] = useState(null);
+  const [hhErr, setHhErr] = useState('');
+
+  const [bizRows, setBizRows] = useState(null);
+  const [bizErr, setBizErr] = useState('');
+  const [bizSource, setBizSource] = useState('');
+  // manifest にあるが /data に無かった（読み飛ばした）ファイル。「種類: 名前」の一覧
+  const [missingDataFiles, setMissingDataFiles] = useState([]);
+  const [restaurantRows, setRestaurantRows] = useState(null);
+  const [restaurantErr, setRestaurantErr] = useState('');
+  const [restaurantDuplicateCount, setRestaurantDuplicateCount] = useState(0);
+  // 位置参照情報（オフライン住所照合用）
+  const [addressRefRows, setAddressRefRows] = useState(null);
+  const [addressRefErr, setAddressRefErr] = useState('');
+  const [addressRefSource, setAddressRefSource] = useState('');
+  const [restaurantGeoStatus, setRestaurantGeoStatus] = useState('');
+  const [restaurantGeoProgress, setRestaurantGeoProgress] = useState({
+    done: 0,
+    total: 0,
+  });
+  // 位置の修正モード（飲食店マーカーをドラッグして位置を直す）と、修正した位置
+  const [restaurantEditMode, setRestaurantEditMode] = useState(false);
+  const [restaurantCorrections, setRestaurantCorrections] = useState(
+    loadStoredRestaurantCorrections
+  );
+  // ドラッグ中の店舗 { id, lat, lon, moved }
+  const [draggingRestaurant, setDraggingRestaurant] = useState(null);
+  // ドラッグの直後に続く click で重なりの切り替えをしないための印
+  const restaurantDragMovedRef = useRef(false);
+  // 住所検索の提供元と、提供元ごとの接続先・要求間隔（未指定は既定値）
+  const [geocoderProvider, setGeocoderProvider] = useState('offline');
+  const [geocoderBaseUrls, setGeocoderBaseUrls] = useState({});
+  const [geocoderRateLimits, setGeocoderRateLimits] = useState({});
+  const [geocoderUseCorsProxy, setGeocoderUseCorsProxy] = useState(false);
+  // 照合ジョブ: idle | running | paused
+  const [restaurantGeoJobState, setRestaurantGeoJobState] = useState('idle');
+  // 確認待ちの住所（曖昧・低信頼・不一致）と、選択中の住所の仮の位置
+  const [restaurantGeoReview, setRestaurantGeoReview] = useState([]);
+  const [restaurantGeoReviewKey, setRestaurantGeoReviewKey] = useState(null);
+  const [restaurantGeoReviewPoint, setRestaurantGeoReviewPoint] =
+    useState(null);
+  const [draggingGeoReviewPoint, setDraggingGeoReviewPoint] = useState(false);
+  // 一時停止・再開できるよう、処理中のジョブ（停止要求を含む）は ref に持つ
+  const restaurantGeoJobRef = useRef(null);
+  const geocodeCacheRef = useRef(null);
+  const [dataLoading, setDataLoading] = useState(false);
+
+  // ローカルファイル読み込み
+  const [localImportMode, setLocalImportMode] = useState('merge'); // merge | replace
+  const [localImporting, setLocalImporting] = useState(false);
+  const [localImportStatus, setLocalImportStatus] = useState('');
+  const [localImportErr, setLocalImportErr] = useState('');
+  const [localDropActive, setLocalDropActive] = useState(false);
+
+  // UI状態
+  const [panelOpen, setPanelOpen] = useState(true);
+  const [showRail, setShowRail] = useState(true);
+  const [railNetwork, setRailNetwork] = useState(DEFAULT_RAIL_NETWORK);
+  const [railErr, setRailErr] = useState('');
+  const [railWidth, setRailWidth] = useState(2.4); // ★追加：線幅
+  const [stationRadius, setStationRadius] = useState(5);
+  const [restaurantRadius, setRestaurantRadius] = useState(4);
+  const [restaurantRadiusDraft, setRestaurantRadiusDraft] = useState(4);
+  const [restaurantOverlapThreshold, setRestaurantOverlapThreshold] =
+    useState(0);
+  const [restaurantOverlapThresholdDraft, setRestaurantOverlapThresholdDraft] =
+    useState(0);
+  const [showRestaurantClusterCount, setShowRestaurantClusterCount] =
+    useState(true);
+  const [showStationCatchment, setShowStationCatchment] = useState(false);
+  const [boldCityBoundary, setBoldCityBoundary] = useState(false);
+  const [showBaseMapLayer, setShowBaseMapLayer] = useState(true);
+  const [baseMapStyle, setBaseMapStyle] = useState('osm');
+  const [scaleScope, setScaleScope] = useState('visible'); // visible | all
+  const [classMethod, setClassMethod] = useState('continuous');
+  const [classCount, setClassCount] = useState(5);
+  const [manualBreaksText, setManualBreaksText] = useState('');
+  // モードごとの配色（ブラウザに保存）
+  const [colorRamps, setColorRamps] = useState(loadStoredColorRamps);
+  const [restaurantClusterIndex, setRestaurantClusterIndex] = useState({});
+
+  // 人口
   const [sexSel, setSexSel] = useState({ 男: true, 女: true, 総数: false });
   const [ageSel, setAgeSel] = useState(new Set());
+  const [popMeasure, setPopMeasure] = useState('count'); // count | ratio
+  const [popDenomType, setPopDenomType] = useState('total'); // total | ages
+  const [popDenomAgeSel, setPopDenomAgeSel] = useState(new Set());
+  const [densityMode, setDensityMode] = useState(false); // 面積あたり（/km²）
+  // 人口ピラミッドの対象: { type: 'area', key, name } | { type: 'city', code }
+  const [pyramidTarget, setPyramidTarget] = useState(null);
 
   // 世帯
   const [hhRowType, setHhRowType] = useState('総数');
   const [hhMetric, setHhMetric] = useState('総数');
 
   // 事業所
+  const [bizMeasure, setBizMeasure] = useState('');
+  const [bizIndustry, setBizIndustry] = useState(BUSINESS_ALL_INDUSTRY_KEY);
   const [bizMetric, setBizMetric] = useState('');
 
   // 分析（特化係数）
-  const [analysisMetric, setAnalysisMetric] = useState('単独世帯');
+  const [analysisMetric, setAnalysisMetric] = useState('単独世帯'); // 分子
+  const [analysisDenom, setAnalysisDenom] = useState('総数'); // 分母
+  const [analysisSource, setAnalysisSource] = useState('household'); // household | population | business
+  const [analysisReference, setAnalysisReference] = useState(
+    ANALYSIS_REFERENCE_ALL
+  ); // all | city | 市区町村コード
+  // 飲食店分析: 格子の値 / ホットスポット（Gi*）表示と距離帯 / 密度（KDE）表示
+  const [restaurantGridView, setRestaurantGridView] = useState('grid'); // grid | hotspot | kde
+  // 格子の値: 指標（RESTAURANT_GRID_METRICS）と、割合を求めるカテゴリ
+  const [restaurantGridMetric, setRestaurantGridMetric] = useState('count');
+  const [restaurantGridCategory, setRestaurantGridCategory] = useState('');
+  const [giBandMeters, setGiBandMeters] = useState(500);
+  const [kdeBandwidth, setKdeBandwidth] = useState(400);
+  const [kdeWeight, setKdeWeight] = useState('none'); // none | rating | comments | bookmarks
+  // 飲食店分析の格子: 形（square | hex | jis）・大きさ（m）・地域メッシュの次数
+  const [restaurantGridType, setRestaurantGridType] = useState('square');
+  const [restaurantGridSize, setRestaurantGridSize] = useState(250);
+  const [jisMeshLevel, setJisMeshLevel] = useState('quarter');
+  // 空間的自己相関: 計算の有無・隣接の定義・並べ替え回数・LISA の有意水準・LISA 表示
+  const [spatialStatsOn, setSpatialStatsOn] = useState(false);
+  const [contiguityType, setContiguityType] = useState('queen'); // queen | rook
+  const [moranPermutations, setMoranPermutations] = useState(499);
+  const [lisaAlpha, setLisaAlpha] = useState(0.05);
+  const [lisaView, setLisaView] = useState(false);
+  // 2変量: 横軸・縦軸の指標 { source, numer, denom('' は実数) } と配色
+  const [bivariateX, setBivariateX] = useState(DEFAULT_BIVARIATE_X);
+  const [bivariateY, setBivariateY] = useState(DEFAULT_BIVARIATE_Y);
+  const [bivariatePalette, setBivariatePalette] = useState(
+    BIVARIATE_PALETTES[0].value
+  );
+  // 特化係数の有意性: 判定方法・有意水準・最小分母・有意でない地域の表示
+  const [lqTest, setLqTest] = useState('off'); // off | z | poisson
+  const [lqLevel, setLqLevel] = useState(0.05);
+  const [lqMinDenom, setLqMinDenom] = useState(0);
+  const [lqInsignificantStyle, setLqInsignificantStyle] = useState('hatch'); // hatch | grey
 
   // 飲食店（評価フィルタ）
   const [ratingSel, setRatingSel] = useState(new Set());
   const [categorySel, setCategorySel] = useState(new Set());
+  // 表示する位置の確からしさ（RESTAURANT_PRECISION_LEVELS の key）
+  const [restaurantPrecisionSel, setRestaurantPrecisionSel] = useState(
+    () => new Set(DEFAULT_RESTAURANT_PRECISION_KEYS)
+  );
   const [restaurantMarkerColor, setRestaurantMarkerColor] = useState('red');
 
   // 駅インジケーター
@@ -1671,6 +4897,14 @@ export default function App() {
   );
   const [draggingRidershipIndicator, setDraggingRidershipIndicator] =
     useState(null);
+  const [ridershipSeries, setRidershipSeries] = useState(
+    DEFAULT_RIDERSHIP_SERIES
+  );
+  const [ridershipErr, setRidershipErr] = useState('');
+  const [ridershipView, setRidershipView] = useState('year'); // year | change
+  const [ridershipYear, setRidershipYear] = useState(RIDERSHIP_UNDATED_YEAR);
+  const [ridershipYearA, setRidershipYearA] = useState(RIDERSHIP_UNDATED_YEAR);
+  const [ridershipYearB, setRidershipYearB] = useState(RIDERSHIP_UNDATED_YEAR);
 
   // Tooltip
   const [hover, setHover] = useState({
@@ -1689,8 +4923,22 @@ export default function App() {
 
   const { width, height } = useResizeObserver(containerRef);
 
-  const railGeo = useMemo(() => buildRailGeoJson(), []);
-  const stations = useMemo(() => collectStations(), []);
+  const shapeBounds = useMemo(
+    () => (shapeGeo?.features?.length ? geoBounds(shapeGeo) : null),
+    [shapeGeo]
+  );
+  const visibleRailNetwork = useMemo(
+    () => clipRailNetworkToBounds(railNetwork, shapeBounds),
+    [railNetwork, shapeBounds]
+  );
+  const railGeo = useMemo(
+    () => buildRailGeoJson(visibleRailNetwork),
+    [visibleRailNetwork]
+  );
+  const stations = useMemo(
+    () => collectStations(visibleRailNetwork),
+    [visibleRailNetwork]
+  );
   const stationLookup = useMemo(() => {
     const map = new Map();
     for (const station of stations) {
@@ -1699,34 +4947,67 @@ export default function App() {
     }
     return map;
   }, [stations]);
+  const manifestCities = useMemo(
+    () => dataManifest?.cities ?? [],
+    [dataManifest]
+  );
+  const cityCodeLabels = useMemo(
+    () => Object.fromEntries(manifestCities.map((c) => [c.code, c.label])),
+    [manifestCities]
+  );
+  const cityNameToCode = useMemo(
+    () => Object.fromEntries(manifestCities.map((c) => [c.label, c.code])),
+    [manifestCities]
+  );
+  const manifestFileNames = useMemo(() => {
+    const fileName = (path) => path.split('/').pop();
+    const collect = (key) =>
+      uniq([
+        ...(dataManifest?.[key] ?? []),
+        ...manifestCities.flatMap((c) => c[key]),
+      ]).map(fileName);
+    return {
+      population: collect('population'),
+      household: collect('household'),
+      business: collect('business'),
+      restaurant: manifestCities
+        .filter((c) => c.restaurant)
+        .map((c) => fileName(c.restaurant.geoCsv || c.restaurant.csv)),
+    };
+  }, [dataManifest, manifestCities]);
   const activeCityCodes = useMemo(() => {
     const available = getCityCodesFromGeojson(shapeGeo);
     if (!available.length) return [];
     const availableSet = new Set(available);
-    const filtered = TARGET_CITY_CODES.filter((code) =>
-      availableSet.has(code)
-    );
-    return filtered.length ? filtered : available;
-  }, [shapeGeo]);
+    const targetCodes = manifestCities.map((c) => c.code);
+    const filtered = targetCodes.filter((code) => availableSet.has(code));
+    // ローカル読み込みで追加された市区町村は manifest の並びの後ろに付ける
+    const extra = available.filter((code) => !targetCodes.includes(code));
+    return [...filtered, ...extra];
+  }, [shapeGeo, manifestCities]);
   const [selectedCityCodes, setSelectedCityCodes] = useState([]);
   const cityNameMap = useMemo(() => buildCityNameMap(shapeGeo), [shapeGeo]);
   const cityCentroidMap = useMemo(
     () => buildCityCentroidMap(shapeGeo),
     [shapeGeo]
   );
+  const townPolygonIndex = useMemo(
+    () => buildTownPolygonIndex(shapeGeo),
+    [shapeGeo]
+  );
   const activeCityNames = useMemo(
     () =>
       activeCityCodes.map(
-        (code) => cityNameMap.get(code) || CITY_CODE_LABELS[code] || code
+        (code) => cityNameMap.get(code) || cityCodeLabels[code] || code
       ),
-    [activeCityCodes, cityNameMap]
+    [activeCityCodes, cityNameMap, cityCodeLabels]
   );
   const selectedCityNames = useMemo(
     () =>
       selectedCityCodes.map(
-        (code) => cityNameMap.get(code) || CITY_CODE_LABELS[code] || code
+        (code) => cityNameMap.get(code) || cityCodeLabels[code] || code
       ),
-    [selectedCityCodes, cityNameMap]
+    [selectedCityCodes, cityNameMap, cityCodeLabels]
   );
   useEffect(() => {
     if (!activeCityCodes.length) return;
@@ -1792,21 +5073,58 @@ export default function App() {
       setShapeErr('');
       setPopErr('');
       setHhErr('');
+      setBizErr('');
       setRestaurantErr('');
       setRestaurantGeoStatus('');
       setRestaurantGeoProgress({ done: 0, total: 0 });
-      setRestaurantGeoRunning(false);
+      if (restaurantGeoJobRef.current)
+        restaurantGeoJobRef.current.control = 'cancel';
+      restaurantGeoJobRef.current = null;
+      setRestaurantGeoJobState('idle');
+      setRestaurantGeoReview([]);
+      setRestaurantGeoReviewKey(null);
       setBoundaryErr('');
+      setRailErr('');
+      setRidershipErr('');
+      setRidershipSeries(DEFAULT_RIDERSHIP_SERIES);
       setShapeGeo(null);
       setBoundaryGeo(null);
       setBoundaryUrl('');
       setPopRows(null);
       setHhRows(null);
+      setBizRows(null);
+      setBizSource('');
+      setMissingDataFiles([]);
       setRestaurantRows(null);
 
+      let manifest;
+      try {
+        manifest = await loadDataManifest();
+      } catch (e) {
+        if (!active) return;
+        setManifestErr(e?.message || String(e));
+        setDataLoading(false);
+        return;
+      }
+      if (!active) return;
+      setManifestErr('');
+      setDataManifest(manifest);
+      if (manifest.geocoder) {
+        const { provider, baseUrl, rateLimitMs } = manifest.geocoder;
+        setGeocoderProvider(provider);
+        if (baseUrl)
+          setGeocoderBaseUrls((prev) => ({ ...prev, [provider]: baseUrl }));
+        if (rateLimitMs !== null)
+          setGeocoderRateLimits((prev) => ({
+            ...prev,
+            [provider]: rateLimitMs,
+          }));
+      }
+      const dataFiles = buildDataFilesFromManifest(manifest);
+
       const loadShape = async () => {
-        if (DEFAULT_DATA_FILES.shapeBases?.length) {
-          return loadShapefilesFromUrls(DEFAULT_DATA_FILES.shapeBases);
+        if (dataFiles.shapeBases?.length) {
+          return loadShapefilesFromUrls(dataFiles.shapeBases);
         }
         throw new Error('地図データのパスが指定されていません');
       };
@@ -1832,35 +5150,72 @@ export default function App() {
         }
       };
 
+      const loadRestaurants = () =>
+        Promise.allSettled(
+          dataFiles.restaurantCsvs.map((r) =>
+            loadRestaurantCsv(r.primary, r.fallback)
+          )
+        );
+
+      const loadRail = () =>
+        dataFiles.rail
+          ? loadRailNetworkFromUrl(dataFiles.rail)
+          : Promise.resolve(DEFAULT_RAIL_NETWORK);
+
       const [
         shapeRes,
         popRes,
         hhRes,
-        restaurantSuitaRes,
-        restaurantToyonakaRes,
+        bizRes,
+        restaurantRes,
         boundaryRes,
+        railRes,
+        ridershipRes,
+        addressRefRes,
       ] = await Promise.allSettled([
         loadShape(),
-        fetchBuffer(DEFAULT_DATA_FILES.populationCsv),
-        fetchBuffer(DEFAULT_DATA_FILES.householdCsv),
-        loadRestaurantCsv(
-          DEFAULT_DATA_FILES.restaurantSuitaGeoCsv,
-          DEFAULT_DATA_FILES.restaurantSuitaCsv
-        ),
-        loadRestaurantCsv(
-          DEFAULT_DATA_FILES.restaurantToyonakaGeoCsv,
-          DEFAULT_DATA_FILES.restaurantToyonakaCsv
-        ),
-        loadCityBoundaryGeoJson(),
+        fetchAreaCsvs(dataFiles.populationCsvs, {
+          label: '人口',
+          optional: true,
+        }),
+        fetchAreaCsvs(dataFiles.householdCsvs, {
+          label: '世帯',
+          optional: true,
+        }),
+        fetchAreaCsvs(dataFiles.businessCsvs, {
+          label: '事業所',
+          optional: true,
+        }),
+        loadRestaurants(),
+        loadCityBoundaryGeoJson(dataFiles.boundary),
+        loadRail(),
+        fetchAreaCsvs(dataFiles.ridershipCsvs, {
+          label: '乗降客数',
+          isValid: looksLikeRidershipCsv,
+        }),
+        fetchAreaCsvs(dataFiles.addressRefCsvs, {
+          label: '位置参照情報',
+          optional: true,
+          isValid: looksLikeAddressRefCsv,
+        }),
       ]);
 
       if (!active) return;
 
+      const missingFiles = [];
       if (shapeRes.status === 'fulfilled') {
         try {
-          const geojson = shapeRes.value;
+          const { geojson, failedUrls } = shapeRes.value;
           if (!active) return;
           setShapeGeo(geojson);
+          // 読めなかった市の地図は読み飛ばし、市名を表示する
+          const shapeLabels = new Map(
+            manifest.cities
+              .filter((c) => c.shape)
+              .map((c) => [resolvePublicUrl(c.shape), c.label])
+          );
+          for (const url of failedUrls)
+            missingFiles.push(`地図: ${shapeLabels.get(url) || url}`);
         } catch (e) {
           if (!active) return;
           setShapeErr(e?.message || String(e));
@@ -1874,7 +5229,7 @@ export default function App() {
           const { data, url } = boundaryRes.value || {};
           if (!active) return;
           setBoundaryGeo(data);
-          setBoundaryUrl(url || '');
+          setBoundaryUrl(url ? `/${url}` : '');
         } catch (e) {
           if (!active) return;
           setBoundaryErr(e?.message || String(e));
@@ -1885,38 +5240,66 @@ export default function App() {
         );
       }
 
-      if (popRes.status === 'fulfilled') {
-        try {
-          const rows = loadCsvFromBuffer(popRes.value);
-          if (!active) return;
-          setPopRows(rows);
-        } catch (e) {
-          if (!active) return;
-          setPopErr(e?.message || String(e));
-        }
+      // 路線データが読めなければ同梱の固定座標で表示を続ける
+      if (railRes.status === 'fulfilled') {
+        setRailNetwork(railRes.value);
       } else {
-        setPopErr(popRes.reason?.message || String(popRes.reason));
+        setRailNetwork(DEFAULT_RAIL_NETWORK);
+        setRailErr(railRes.reason?.message || String(railRes.reason));
       }
 
-      if (hhRes.status === 'fulfilled') {
+      if (ridershipRes.status === 'fulfilled') {
+        const { rows, sources, errors } = ridershipRes.value;
         try {
-          const rows = loadCsvFromBuffer(hhRes.value);
-          if (!active) return;
-          setHhRows(rows);
+          if (rows.length) {
+            setRidershipSeries({
+              byYear: parseRidershipRows(rows),
+              source: sources.join(' / '),
+            });
+          }
+          if (errors.length) setRidershipErr(errors.join(' / '));
         } catch (e) {
-          if (!active) return;
-          setHhErr(e?.message || String(e));
+          setRidershipErr(e?.message || String(e));
         }
       } else {
-        setHhErr(hhRes.reason?.message || String(hhRes.reason));
+        setRidershipErr(
+          ridershipRes.reason?.message || String(ridershipRes.reason)
+        );
       }
 
+      const applyAreaCsvResult = (res, setRows, setErr, setSource) => {
+        if (res.status === 'fulfilled') {
+          const { rows, sources, missing, errors } = res.value;
+          if (rows.length) {
+            setRows(rows);
+            if (setSource) setSource(sources.join(' / '));
+          }
+          missingFiles.push(...missing);
+          if (errors.length) setErr(errors.join(' / '));
+        } else {
+          setErr(res.reason?.message || String(res.reason));
+        }
+      };
+      applyAreaCsvResult(popRes, setPopRows, setPopErr);
+      applyAreaCsvResult(hhRes, setHhRows, setHhErr);
+      applyAreaCsvResult(bizRes, setBizRows, setBizErr, setBizSource);
+      applyAreaCsvResult(
+        addressRefRes,
+        setAddressRefRows,
+        setAddressRefErr,
+        setAddressRefSource
+      );
+      setMissingDataFiles(missingFiles);
+
       const restaurantErrors = [];
       const restaurantRowsCombined = [];
-      const restaurantSources = [
-        { res: restaurantSuitaRes, source: '吹田市' },
-        { res: restaurantToyonakaRes, source: '豊中市' },
-      ];
+      const restaurantSources =
+        restaurantRes.status === 'fulfilled'
+          ? restaurantRes.value.map((res, i) => ({
+              res,
+              source: dataFiles.restaurantCsvs[i].source,
+            }))
+          : [];
       for (const { res, source } of restaurantSources) {
         if (res.status === 'fulfilled') {
           try {
@@ -1934,7 +5317,12 @@ export default function App() {
       }
       if (restaurantRowsCombined.length) {
         if (!active) return;
-        setRestaurantRows(restaurantRowsCombined);
+        const { rows, duplicates } = dedupeRestaurantRows(
+          restaurantRowsCombined,
+          manifest.cities.map((c) => c.label)
+        );
+        setRestaurantRows(rows);
+        setRestaurantDuplicateCount(duplicates);
       }
       if (restaurantErrors.length) {
         if (!active) return;
@@ -1966,6 +5354,77 @@ export default function App() {
       .filter((k) => !['総年齢', '平均年齢'].includes(k));
   }, [popRows]);
 
+  const pyramidAgeBands = useMemo(
+    () => selectPyramidAgeBands(popAgeColumns),
+    [popAgeColumns]
+  );
+
+  // 割合の分母: 総人口（「総数」列、無ければ全年齢階級の合計）か第2の年齢選択
+  const popTotalColumns = useMemo(() => {
+    if (Object.keys(popRows?.[0] || {}).includes('総数')) return ['総数'];
+    return pyramidAgeBands.map((b) => b.column);
+  }, [popRows, pyramidAgeBands]);
+  const popDenomColumns = useMemo(() => {
+    if (popDenomType === 'ages') return Array.from(popDenomAgeSel);
+    return popTotalColumns;
+  }, [popDenomType, popDenomAgeSel, popTotalColumns]);
+
+  // 町丁ごとの男女別の行（ピラミッド用。性別・年齢の選択とは独立）
+  // （境界の読み込み前・失敗時は shapeKeySetAll が null なので空）
+  const popRowsByKey = useMemo(
+    () =>
+      groupPopulationRowsByKey(
+        popRows,
+        (r) => buildCompositeKeyFromRow(r, areaCodeLengthsAll, shapeKeySetAll),
+        shapeKeySetAll
+      ),
+    [popRows, areaCodeLengthsAll, shapeKeySetAll]
+  );
+
+  const pyramid = useMemo(() => {
+    if (mode !== 'population' || !pyramidTarget || !pyramidAgeBands.length)
+      return null;
+    const cityLabel = (code) =>
+      cityNameMap.get(code) || cityCodeLabels[code] || code;
+    const structureOf = (codes) =>
+      buildAgeStructure(
+        Array.from(popRowsByKey.entries())
+          .filter(([key]) => codes.includes(key.slice(0, 5)))
+          .map(([, entry]) => entry),
+        pyramidAgeBands
+      );
+
+    if (pyramidTarget.type === 'area') {
+      const code = pyramidTarget.key.slice(0, 5);
+      const entry = popRowsByKey.get(pyramidTarget.key);
+      return {
+        title: `${pyramidTarget.name}（${cityLabel(code)}）`,
+        structure: buildAgeStructure(entry ? [entry] : [], pyramidAgeBands),
+        reference: structureOf([code]),
+        referenceLabel: `${cityLabel(code)}平均`,
+      };
+    }
+    const referenceCodes = selectedCityCodes.length
+      ? selectedCityCodes
+      : activeCityCodes;
+    return {
+      title: cityLabel(pyramidTarget.code),
+      structure: structureOf([pyramidTarget.code]),
+      reference:
+        referenceCodes.length > 1 ? structureOf(referenceCodes) : null,
+      referenceLabel: '表示中の全市平均',
+    };
+  }, [
+    mode,
+    pyramidTarget,
+    pyramidAgeBands,
+    popRowsByKey,
+    cityNameMap,
+    cityCodeLabels,
+    selectedCityCodes,
+    activeCityCodes,
+  ]);
+
   const popSexOptions = useMemo(() => {
     if (!popRows?.length) return [];
     const v = uniq(popRows.map((r) => normalizeKeyString(r['男女'])));
@@ -1985,14 +5444,6 @@ export default function App() {
     return new Set(Object.keys(hhRows[0] || {}));
   }, [hhRows]);
 
-  // ★追加：特化係数の分子候補を「列として存在するものだけ」に絞り込み（なければハードコード全表示）
-  const analysisMetricOptions = useMemo(() => {
-    const base = ANALYSIS_METRIC_OPTIONS;
-    if (!householdAvailableColumns) return base;
-    const filtered = base.filter((k) => householdAvailableColumns.has(k));
-    return filtered.length ? filtered : base;
-  }, [householdAvailableColumns]);
-
   const ratingRanges = useMemo(() => buildRatingRanges(), []);
   const ratingOptions = useMemo(
     () => [
@@ -2034,17 +5485,22 @@ export default function App() {
     return sorted;
   }, [restaurantRows]);
 
-  useEffect(() => {
-    if (!analysisMetricOptions.length) return;
-    if (analysisMetricOptions.includes(analysisMetric)) return;
-    setAnalysisMetric(analysisMetricOptions[0]);
-  }, [analysisMetricOptions, analysisMetric]);
-
   useEffect(() => {
     if (!ratingOptions.length) return;
     if (ratingSel.size) return;
     setRatingSel(new Set(ratingOptions.map((opt) => opt.key)));
   }, [ratingOptions, ratingSel.size]);
+  // 割合を求めるカテゴリは候補に無ければ先頭（最多）に戻す
+  useEffect(() => {
+    if (!restaurantCategoryOptions.length) return;
+    if (
+      restaurantCategoryOptions.some(
+        (opt) => opt.key === restaurantGridCategory
+      )
+    )
+      return;
+    setRestaurantGridCategory(restaurantCategoryOptions[0].key);
+  }, [restaurantCategoryOptions, restaurantGridCategory]);
   useEffect(() => {
     if (!restaurantCategoryOptions.length) return;
     if (categorySel.size) return;
@@ -2053,27 +5509,99 @@ export default function App() {
     );
   }, [restaurantCategoryOptions, categorySel.size]);
 
-  const businessNumericColumns = useMemo(() => {
-    if (!bizRows?.length) return [];
-    const sample = bizRows.slice(0, 30);
-    const keys = Object.keys(bizRows[0] || {});
-    const candidates = keys.filter((k) => {
-      if (!k) return false;
-      if (k.includes('コード') || k.toUpperCase().includes('CODE'))
-        return false;
-      let ok = 0;
-      let seen = 0;
-      for (const r of sample) {
-        const n = safeToNumber(r[k]);
-        if (n === null) continue;
-        seen++;
-        ok++;
-        if (seen >= 5) break;
-      }
-      return ok >= 3;
-    });
-    return candidates;
-  }, [bizRows]);
+  const businessSchema = useMemo(() => buildBusinessSchema(bizRows), [bizRows]);
+
+  const addressRefIndex = useMemo(
+    () => buildAddressReferenceIndex(addressRefRows),
+    [addressRefRows]
+  );
+  const addressRefVersion = useMemo(
+    () => addressReferenceVersion(addressRefRows),
+    [addressRefRows]
+  );
+
+  // 住所から市区町村を切り出すときの市名（位置参照情報と manifest の市）
+  const geocodeCityNames = useMemo(
+    () =>
+      uniq([
+        ...addressRefIndex.keys(),
+        ...(dataManifest?.cities ?? []).map((c) => c.label),
+      ]),
+    [addressRefIndex, dataManifest]
+  );
+
+  const businessNumericColumns = useMemo(
+    () => detectNumericColumns(bizRows, isBusinessCodeColumn),
+    [bizRows]
+  );
+
+  // 特化係数の分子・分母候補（元データごと）と、その初期値
+  const analysisTermContext = useMemo(
+    () => ({
+      popAgeColumns,
+      pyramidAgeBands,
+      businessSchema,
+      businessNumericColumns,
+      hhRows,
+    }),
+    [
+      popAgeColumns,
+      pyramidAgeBands,
+      businessSchema,
+      businessNumericColumns,
+      hhRows,
+    ]
+  );
+  const analysisTerms = useMemo(
+    () => buildAnalysisTermOptions(analysisSource, analysisTermContext),
+    [analysisSource, analysisTermContext]
+  );
+
+  const bivariateTerms = useMemo(
+    () => ({
+      x: buildAnalysisTermOptions(bivariateX.source, analysisTermContext),
+      y: buildAnalysisTermOptions(bivariateY.source, analysisTermContext),
+    }),
+    [bivariateX.source, bivariateY.source, analysisTermContext]
+  );
+
+  // 読み込み状況で候補が変わったら、存在しない分子・分母を初期値に戻す
+  useEffect(() => {
+    const fix = (indicator, terms) => {
+      const keys = terms.options.map((opt) => opt.key);
+      if (!keys.length) return indicator;
+      const numer = keys.includes(indicator.numer)
+        ? indicator.numer
+        : terms.numer;
+      const denom =
+        !indicator.denom || keys.includes(indicator.denom)
+          ? indicator.denom
+          : terms.denom;
+      return numer === indicator.numer && denom === indicator.denom
+        ? indicator
+        : { ...indicator, numer, denom };
+    };
+    setBivariateX((prev) => fix(prev, bivariateTerms.x));
+    setBivariateY((prev) => fix(prev, bivariateTerms.y));
+  }, [bivariateTerms]);
+
+  useEffect(() => {
+    const keys = analysisTerms.options.map((opt) => opt.key);
+    if (!keys.length) return;
+    if (!keys.includes(analysisMetric)) setAnalysisMetric(analysisTerms.numer);
+    if (!keys.includes(analysisDenom)) setAnalysisDenom(analysisTerms.denom);
+  }, [analysisTerms, analysisMetric, analysisDenom]);
+
+  // 基準地域に選んだ市が読み込まれていなければ表示中の全市に戻す
+  useEffect(() => {
+    if (
+      analysisReference === ANALYSIS_REFERENCE_ALL ||
+      analysisReference === ANALYSIS_REFERENCE_EACH_CITY
+    )
+      return;
+    if (activeCityCodes.includes(analysisReference)) return;
+    setAnalysisReference(ANALYSIS_REFERENCE_ALL);
+  }, [analysisReference, activeCityCodes]);
 
   // 初期選択（人口：年齢は全選択 / 事業所：最初の候補）
   useEffect(() => {
@@ -2086,6 +5614,186 @@ export default function App() {
       setBizMetric(businessNumericColumns[0]);
   }, [businessNumericColumns, bizMetric]);
 
+  // 事業所：産業分類を検出できれば事業所数（全産業）を初期表示
+  useEffect(() => {
+    const available = businessSchema.measures.map((m) => m.key);
+    if (
+      bizMeasure &&
+      (bizMeasure === BUSINESS_COLUMN_MEASURE || available.includes(bizMeasure))
+    )
+      return;
+    setBizMeasure(available[0] || BUSINESS_COLUMN_MEASURE);
+  }, [businessSchema, bizMeasure]);
+
+  useEffect(() => {
+    if (bizIndustry === BUSINESS_ALL_INDUSTRY_KEY) return;
+    if (businessSchema.industries.includes(bizIndustry)) return;
+    setBizIndustry(BUSINESS_ALL_INDUSTRY_KEY);
+  }, [businessSchema, bizIndustry]);
+
+  const applyPopRatioPreset = (matchBand) => {
+    setPopMeasure('ratio');
+    setPopDenomType('total');
+    setAgeSel(
+      new Set(pyramidAgeBands.filter(matchBand).map((b) => b.column))
+    );
+  };
+
+  const handleBusinessFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (!files.length) return;
+    setBizErr('');
+    const rows = [];
+    const errors = [];
+    for (const file of files) {
+      try {
+        const text = decodeArrayBufferSmart(await file.arrayBuffer());
+        if (!looksLikeAreaCsv(text)) {
+          throw new Error(
+            `${file.name}: KEY_CODE または 市区町村コード・町丁字コード の列が見つかりません`
+          );
+        }
+        rows.push(...parseCsvText(text));
+      } catch (e) {
+        errors.push(e?.message || String(e));
+      }
+    }
+    if (rows.length) {
+      setBizRows(rows);
+      setBizSource(files.map((f) => f.name).join(' / '));
+      setBizMeasure('');
+      setBizMetric('');
+    }
+    if (errors.length) setBizErr(errors.join(' / '));
+  };
+
+  // 読み込んだ年次は既存に追加する（同梱の年不明データは置き換える）
+  const applyRidershipSeries = (incoming, replace = false) => {
+    setRidershipSeries((prev) =>
+      replace || !prev.source ? incoming : mergeRidershipSeries(prev, incoming)
+    );
+    setRidershipErr('');
+  };
+
+  const handleRidershipFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (!files.length) return;
+    setRidershipErr('');
+    let series = null;
+    const errors = [];
+    for (const file of files) {
+      try {
+        const text = decodeArrayBufferSmart(await file.arrayBuffer());
+        if (!looksLikeRidershipCsv(text)) {
+          throw new Error(
+            `${file.name}: 駅ID・年・乗降客数 の列が見つかりません`
+          );
+        }
+        const incoming = {
+          byYear: parseRidershipRows(parseCsvText(text)),
+          source: file.name,
+        };
+        series = series ? mergeRidershipSeries(series, incoming) : incoming;
+      } catch (e) {
+        errors.push(e?.message || String(e));
+      }
+    }
+    if (series) applyRidershipSeries(series);
+    if (errors.length) setRidershipErr(errors.join(' / '));
+  };
+
+  const handleLocalDataFiles = async (fileList) => {
+    if (!fileList?.length || localImporting) return;
+    setLocalImporting(true);
+    setLocalImportErr('');
+    setLocalImportStatus('ローカルファイルを読み込み中...');
+
+    const result = await readLocalDataFiles(fileList);
+    const replace = localImportMode === 'replace';
+    const mergeRows = (prev, next) =>
+      replace || !prev?.length ? next : [...prev, ...next];
+
+    if (result.shapes.length) {
+      const incoming = mergeGeojsonCollections(result.shapes);
+      setShapeGeo((prev) =>
+        replace || !prev ? incoming : mergeShapeCollections(prev, incoming)
+      );
+      setShapeErr('');
+    }
+    if (result.boundaries.length) {
+      const incoming = mergeGeojsonCollections(result.boundaries);
+      setBoundaryGeo((prev) =>
+        replace || !prev ? incoming : mergeGeojsonCollections([prev, incoming])
+      );
+      setBoundaryUrl('（ローカルファイル）');
+      setBoundaryErr('');
+    }
+    if (result.rail.length) {
+      const incoming = {
+        ...mergeRailNetworks(result.rail),
+        source: uniq(result.rail.map((n) => n.source)).join(' / '),
+      };
+      // 固定座標（同梱）の路線は実際の線形で置き換える
+      setRailNetwork((prev) =>
+        replace || !prev.source
+          ? incoming
+          : {
+              ...mergeRailNetworks([prev, incoming]),
+              source: `${prev.source} / ${incoming.source}`,
+            }
+      );
+      setRailErr('');
+    }
+    if (result.ridership.length) {
+      applyRidershipSeries(
+        result.ridership.reduce((acc, next) =>
+          mergeRidershipSeries(acc, next)
+        ),
+        replace
+      );
+    }
+    if (result.population.length) {
+      setPopRows((prev) => mergeRows(prev, result.population));
+      setAgeSel(new Set());
+      setPopErr('');
+    }
+    if (result.household.length) {
+      setHhRows((prev) => mergeRows(prev, result.household));
+      setHhErr('');
+    }
+    if (result.business.length) {
+      setBizRows((prev) => mergeRows(prev, result.business));
+      setBizSource('（ローカルファイル）');
+      setBizMeasure('');
+      setBizMetric('');
+      setBizErr('');
+    }
+    if (result.addressRef.length) {
+      setAddressRefRows((prev) => mergeRows(prev, result.addressRef));
+      setAddressRefSource('（ローカルファイル）');
+    }
+    if (result.restaurant.length) {
+      // 同梱分と同じく、店名と住所が同じ行は 1 つにまとめる
+      const { rows, duplicates } = dedupeRestaurantRows(
+        mergeRows(restaurantRows, result.restaurant),
+        geocodeCityNames
+      );
+      setRestaurantRows(rows);
+      setRestaurantDuplicateCount(
+        (replace ? 0 : restaurantDuplicateCount) + duplicates
+      );
+      setRestaurantErr('');
+    }
+
+    setLocalImportStatus(
+      result.loaded.length
+        ? `${replace ? '置き換え' : '追加'}: ${result.loaded.join(' / ')}`
+        : ''
+    );
+    if (result.errors.length) setLocalImportErr(result.errors.join('\n'));
+    setLocalImporting(false);
+  };
+
   // --- Compute projection/path ---
   const projection = useMemo(() => {
     if (!displayShapeGeo || !width || !height) return null;
@@ -2114,6 +5822,13 @@ export default function App() {
     const svg = select(svgRef.current);
     const z = zoom()
       .scaleExtent([1, 18])
+      // data-map-drag の付いた印はドラッグで動かすので、地図の移動にしない
+      .filter(
+        (event) =>
+          (!event.ctrlKey || event.type === 'wheel') &&
+          !event.button &&
+          !event.target?.closest?.('[data-map-drag]')
+      )
       .on('zoom', (event) => setTransform(event.transform));
 
     svg.call(z);
@@ -2122,6 +5837,72 @@ export default function App() {
     setTransform(zoomIdentity);
   }, [displayShapeGeo, width, height]);
 
+  // 修正モードで飲食店マーカーをドラッグし、離した位置を修正として保存する
+  const draggingRestaurantId = draggingRestaurant?.id ?? null;
+  useEffect(() => {
+    if (!draggingRestaurantId || !projection) return undefined;
+    let latest = null;
+    const handleMove = (e) => {
+      const rect = svgRef.current?.getBoundingClientRect();
+      if (!rect) return;
+      const lonLat = projection.invert(
+        transform.invert([e.clientX - rect.left, e.clientY - rect.top])
+      );
+      if (!lonLat) return;
+      latest = { lat: lonLat[1], lon: lonLat[0] };
+      setDraggingRestaurant((prev) =>
+        prev ? { ...prev, ...latest, moved: true } : prev
+      );
+    };
+    const handleUp = () => {
+      if (latest) {
+        // 印は直後の click だけに効かせる。マーカーの外で離すと click が来ないので、
+        // click の配送が済んだ後に戻す（残ると次のクリックの切り替えが 1 回効かない）
+        restaurantDragMovedRef.current = true;
+        setTimeout(() => {
+          restaurantDragMovedRef.current = false;
+        }, 0);
+        const moved = { ...latest, updatedAt: Date.now() };
+        setRestaurantCorrections((prev) => ({
+          ...prev,
+          [draggingRestaurantId]: moved,
+        }));
+      }
+      setDraggingRestaurant(null);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  }, [draggingRestaurantId, projection, transform]);
+
+  // 確認待ちの住所の仮の位置をドラッグで動かす
+  useEffect(() => {
+    if (!draggingGeoReviewPoint || !projection) return undefined;
+    const handleMove = (e) => {
+      const rect = svgRef.current?.getBoundingClientRect();
+      if (!rect) return;
+      const lonLat = projection.invert(
+        transform.invert([e.clientX - rect.left, e.clientY - rect.top])
+      );
+      if (!lonLat) return;
+      setRestaurantGeoReviewPoint({
+        lat: lonLat[1],
+        lon: lonLat[0],
+        level: GEOCODE_MANUAL_LEVEL,
+      });
+    };
+    const handleUp = () => setDraggingGeoReviewPoint(false);
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  }, [draggingGeoReviewPoint, projection, transform]);
+
   useEffect(() => {
     if (!draggingIndicator) return undefined;
     const handleMove = (e) => {
@@ -2220,10 +6001,34 @@ export default function App() {
     select(svgRef.current).call(zoomRef.current.transform, zoomIdentity);
   };
 
+  // 面積あたり（/km²）表示。割合（%）は面積で割らない
+  const featureAreaKm2 = useMemo(
+    () => buildFeatureAreaMap(shapeGeo),
+    [shapeGeo]
+  );
+  const densityAvailable =
+    ['population', 'household', 'business'].includes(mode) &&
+    !(mode === 'population' && popMeasure === 'ratio');
+  const densityActive = densityMode && densityAvailable;
+  const densityUnit =
+    mode === 'household'
+      ? '世帯/km²'
+      : mode === 'business'
+      ? bizMeasure === 'establishments'
+        ? '事業所/km²'
+        : bizMeasure === 'employees'
+        ? '人/km²'
+        : '/km²'
+      : '人/km²';
+
+  // details を渡すと、分析モードでは町丁ごとの分子・分母・期待値と検定結果も格納する
+  // indicator を渡すと、モードに関係なくその指標（2変量の各軸）の値を返す
   const buildFeatureValue = ({
     targetCodes,
     areaLengths,
     keySet,
+    details = null,
+    indicator = null,
   }) => {
     const map = new Map();
     const pushValue = (key, val) => {
@@ -2232,9 +6037,11 @@ export default function App() {
     };
 
     if (
-      mode === 'restaurant' ||
-      mode === 'restaurant-analysis' ||
-      mode === 'ridership'
+      !indicator &&
+      (mode === 'restaurant' ||
+        mode === 'restaurant-analysis' ||
+        mode === 'ridership' ||
+        mode === 'bivariate')
     )
       return map;
 
@@ -2247,9 +6054,8 @@ export default function App() {
       return targetCityCodes.has(key.slice(0, 5));
     };
 
-    if (mode === 'population') {
-      if (!popRows?.length) return map;
-
+    // 町丁ごとに「選択中の性別 × 列」の合計（分子: 年齢選択 / 分母: 総人口 or 第2の年齢選択）
+    const collectPopulationTerms = () => {
       const byKey = new Map();
       for (const r of popRows) {
         const key = buildCompositeKeyFromRow(r, areaLengths, keySet);
@@ -2264,24 +6070,137 @@ export default function App() {
         byKey.set(key, entry);
       }
 
-      for (const [key, entry] of byKey.entries()) {
+      const sumColumns = (entry, columns) => {
         let total = 0;
         let hasAny = false;
-
         for (const sex of Object.keys(sexSel)) {
           if (!sexSel[sex]) continue;
           const row = entry[sex];
           if (!row) continue;
 
-          for (const col of ageSel) {
+          for (const col of columns) {
             const v = safeToNumber(row[col]);
             if (v === null) continue;
             total += v;
             hasAny = true;
           }
         }
+        return hasAny ? total : null;
+      };
+
+      return Array.from(byKey.entries()).map(([key, entry]) => ({
+        key,
+        numer: sumColumns(entry, ageSel),
+        denom: sumColumns(entry, popDenomColumns),
+      }));
+    };
+
+    // 条件に合う行の列を KEY_CODE ごとに合算する（allCities: 基準地域の計算用に市で絞らない）
+    const sumByKey = (rows, rowFilter, columns, allCities = false) => {
+      const out = new Map();
+      for (const r of rows ?? []) {
+        if (!rowFilter(r)) continue;
+        const key = buildCompositeKeyFromRow(r, areaLengths, keySet);
+        if (!key) continue;
+        if (!allCities && !isTargetCity(key)) continue;
+
+        let total = 0;
+        let hasAny = false;
+        for (const col of columns) {
+          const v = safeToNumber(r[col]);
+          if (v === null) continue;
+          total += v;
+          hasAny = true;
+        }
+        if (!hasAny) continue;
+        out.set(key, (out.get(key) ?? 0) + total);
+      }
+      return out;
+    };
+
+    // 縦持ちで「全産業」行が無い場合は産業別の行を合算
+    const sumSelection = (rows, selection, allCities = false) => {
+      const out = sumByKey(rows, selection.rowFilter, selection.columns, allCities);
+      if (out.size || !selection.fallbackRowFilter) return out;
+      return sumByKey(
+        rows,
+        selection.fallbackRowFilter,
+        selection.columns,
+        allCities
+      );
+    };
 
-        pushValue(key, hasAny ? total : null);
+    // 分析・2変量の分子/分母キーを、集計対象の行・列・行の条件に変換する
+    const resolveTerm = (source, termKey) => {
+      if (!termKey) return null;
+      if (source === 'population') {
+        if (!popRows?.length) return null;
+        const bandColumns = (pred) =>
+          pyramidAgeBands.filter(pred).map((b) => b.column);
+        const columns =
+          termKey === ANALYSIS_POP_NUMER
+            ? Array.from(ageSel)
+            : termKey === ANALYSIS_POP_DENOM
+              ? popDenomColumns
+              : termKey === ANALYSIS_POP_TOTAL
+                ? popTotalColumns
+                : termKey === ANALYSIS_POP_ELDERLY
+                  ? bandColumns((b) => b.lower >= PYRAMID_ELDERLY_MIN_AGE)
+                  : termKey === ANALYSIS_POP_YOUNG
+                    ? bandColumns((b) => b.upper <= PYRAMID_YOUNG_MAX_AGE)
+                    : [termKey.slice(ANALYSIS_AGE_TERM_PREFIX.length)];
+        return {
+          rows: popRows,
+          columns,
+          rowFilter: (r) => Boolean(sexSel[normalizeKeyString(r['男女'])]),
+        };
+      }
+      if (source === 'business') {
+        if (!bizRows?.length) return null;
+        const { measureKey, value } = parseAnalysisBusinessTerm(termKey);
+        const selection =
+          measureKey === BUSINESS_COLUMN_MEASURE
+            ? { columns: [value], rowFilter: () => true }
+            : resolveBusinessSelection(businessSchema, measureKey, value);
+        return selection ? { ...selection, rows: bizRows } : null;
+      }
+      if (!hhRows?.length) return null;
+      return {
+        rows: hhRows,
+        columns: [termKey],
+        rowFilter: (r) =>
+          normalizeKeyString(r['世帯員の年齢による世帯の種類']) === hhRowType,
+      };
+    };
+
+    // 指標 { source, numer, denom }: 分母があれば 分子÷分母 の %、無ければ分子の合計
+    if (indicator) {
+      const numerTerm = resolveTerm(indicator.source, indicator.numer);
+      if (!numerTerm) return map;
+      const numers = sumSelection(numerTerm.rows, numerTerm);
+      if (!indicator.denom) return numers;
+      const denomTerm = resolveTerm(indicator.source, indicator.denom);
+      if (!denomTerm) return map;
+      const denoms = sumSelection(denomTerm.rows, denomTerm);
+      for (const [key, numer] of numers.entries()) {
+        const denom = denoms.get(key);
+        pushValue(key, denom ? (numer / denom) * 100 : null);
+      }
+      return map;
+    }
+
+    if (mode === 'population') {
+      if (!popRows?.length) return map;
+
+      for (const { key, numer, denom } of collectPopulationTerms()) {
+        if (popMeasure === 'ratio') {
+          pushValue(
+            key,
+            numer !== null && denom ? (numer / denom) * 100 : null
+          );
+        } else {
+          pushValue(key, numer);
+        }
       }
 
       return map;
@@ -2305,64 +6224,88 @@ export default function App() {
     }
 
     if (mode === 'business') {
-      if (!bizRows?.length || !bizMetric) return map;
+      if (!bizRows?.length) return map;
 
-      for (const r of bizRows) {
-        const key = buildCompositeKeyFromRow(r, areaLengths, keySet);
-        if (!key) continue;
-        if (!isTargetCity(key)) continue;
+      const selection =
+        bizMeasure === BUSINESS_COLUMN_MEASURE
+          ? bizMetric
+            ? { columns: [bizMetric], rowFilter: () => true }
+            : null
+          : resolveBusinessSelection(businessSchema, bizMeasure, bizIndustry);
+      if (!selection) return map;
 
-        const v = safeToNumber(r[bizMetric]);
-        if (v === null) continue;
-        map.set(key, (map.get(key) ?? 0) + v);
-      }
-      return map;
+      return sumSelection(bizRows, selection);
     }
 
-    // analysis
-    if (!hhRows?.length) return map;
+    // analysis: 特化係数 = (地域の 分子/分母) ÷ (基準地域の 分子/分母)
+    const numerTerm = resolveTerm(analysisSource, analysisMetric);
+    const denomTerm = resolveTerm(analysisSource, analysisDenom);
+    if (!numerTerm || !denomTerm) return map;
+    const numers = sumSelection(numerTerm.rows, numerTerm, true);
+    const denoms = sumSelection(denomTerm.rows, denomTerm, true);
+
+    // 基準地域: 表示中の全市を合算 / 町丁の所属市 / 指定の市
+    const referenceKeyOf = (key) => {
+      if (analysisReference === ANALYSIS_REFERENCE_ALL)
+        return ANALYSIS_REFERENCE_ALL;
+      if (analysisReference === ANALYSIS_REFERENCE_EACH_CITY)
+        return key.slice(0, 5);
+      return analysisReference;
+    };
+    const isInReference = (key) => {
+      if (analysisReference === ANALYSIS_REFERENCE_ALL) return isTargetCity(key);
+      if (analysisReference === ANALYSIS_REFERENCE_EACH_CITY) return true;
+      return key.slice(0, 5) === analysisReference;
+    };
 
-    let cityNumer = 0;
-    let cityDenom = 0;
+    const referenceTotals = new Map();
     const temp = [];
-
-    for (const r of hhRows) {
-      const key = buildCompositeKeyFromRow(r, areaLengths, keySet);
-      if (!key) continue;
-      if (!isTargetCity(key)) continue;
-
-      const rowType = normalizeKeyString(r['世帯員の年齢による世帯の種類']);
-      if (rowType !== hhRowType) continue;
-
-      const numer = safeToNumber(r[analysisMetric]);
-      const denom = safeToNumber(r['総数']);
-      if (numer === null || denom === null || denom === 0) continue;
-
-      cityNumer += numer;
-      cityDenom += denom;
+    for (const [key, numer] of numers.entries()) {
+      const denom = denoms.get(key);
+      if (!denom) continue;
       temp.push({ key, numer, denom });
-    }
+      if (!isInReference(key)) continue;
 
-    const cityRatio = cityDenom ? cityNumer / cityDenom : null;
-    if (!cityRatio || cityRatio === 0) return map;
+      const ref = referenceKeyOf(key);
+      const total = referenceTotals.get(ref) || { numer: 0, denom: 0 };
+      total.numer += numer;
+      total.denom += denom;
+      referenceTotals.set(ref, total);
+    }
 
     for (const { key, numer, denom } of temp) {
-      const localRatio = numer / denom;
-      const coef = localRatio / cityRatio;
-      map.set(key, coef);
+      if (!isTargetCity(key)) continue;
+      const total = referenceTotals.get(referenceKeyOf(key));
+      const refRatio = total?.denom ? total.numer / total.denom : null;
+      if (!refRatio) continue;
+      map.set(key, numer / denom / refRatio);
+      if (details) {
+        const expected = denom * refRatio;
+        details.set(key, {
+          numer,
+          denom,
+          expected,
+          ...testLocationQuotient(numer, expected),
+        });
+      }
     }
 
     return map;
   };
 
   // --- Data join / values per feature ---
-  const featureValue = useMemo(() => {
-    if (!displayShapeGeo?.features?.length) return new Map();
-    return buildFeatureValue({
+  // 表示中の市 / 全市で 1 回ずつ集計し、分析モードの検定結果（details）も同時に得る
+  const featureValueDisplay = useMemo(() => {
+    const details = new Map();
+    if (!displayShapeGeo?.features?.length)
+      return { values: new Map(), details };
+    const values = buildFeatureValue({
       targetCodes: selectedCityCodes,
       areaLengths: areaCodeLengths,
       keySet: shapeKeySet,
+      details,
     });
+    return { values, details };
   }, [
     mode,
     displayShapeGeo,
@@ -2374,19 +6317,32 @@ export default function App() {
     bizRows,
     sexSel,
     ageSel,
+    popMeasure,
+    popDenomColumns,
+    analysisSource,
     hhRowType,
     hhMetric,
+    bizMeasure,
+    bizIndustry,
     bizMetric,
+    businessSchema,
     analysisMetric,
+    analysisDenom,
+    analysisReference,
+    popTotalColumns,
+    pyramidAgeBands,
   ]);
 
-  const featureValueAll = useMemo(() => {
-    if (!shapeGeo?.features?.length) return new Map();
-    return buildFeatureValue({
+  const featureValueAllScope = useMemo(() => {
+    const details = new Map();
+    if (!shapeGeo?.features?.length) return { values: new Map(), details };
+    const values = buildFeatureValue({
       targetCodes: activeCityCodes,
       areaLengths: areaCodeLengthsAll,
       keySet: shapeKeySetAll,
+      details,
     });
+    return { values, details };
   }, [
     mode,
     shapeGeo,
@@ -2398,47 +6354,306 @@ export default function App() {
     bizRows,
     sexSel,
     ageSel,
+    popMeasure,
+    popDenomColumns,
+    analysisSource,
     hhRowType,
     hhMetric,
+    bizMeasure,
+    bizIndustry,
     bizMetric,
+    businessSchema,
     analysisMetric,
+    analysisDenom,
+    analysisReference,
+    popTotalColumns,
+    pyramidAgeBands,
   ]);
 
+  const featureValue = useMemo(
+    () =>
+      densityActive
+        ? divideByArea(featureValueDisplay.values, featureAreaKm2)
+        : featureValueDisplay.values,
+    [densityActive, featureAreaKm2, featureValueDisplay]
+  );
 
-  // --- Render helpers ---
-  const onFeatureEnter = (e, f) => {
-    const k = normalizeKeyString(f?.properties?.KEY_CODE);
-    const name =
-      normalizeKeyString(f?.properties?.S_NAME_JA) ||
-      normalizeKeyString(f?.properties?.S_NAME) ||
-      '(名称不明)';
-    const v = featureValue.get(k);
-
-    setHover({
-      visible: true,
-      x: e.clientX,
-      y: e.clientY,
-      title: name,
-      lines: [`KEY_CODE: ${k}`, `値: ${formatNumber(v)}`],
-    });
-  };
-
-  const onFeatureMove = (e) => {
-    setHover((h) => ({ ...h, x: e.clientX, y: e.clientY }));
-  };
+  const featureValueAll = useMemo(
+    () =>
+      densityActive
+        ? divideByArea(featureValueAllScope.values, featureAreaKm2)
+        : featureValueAllScope.values,
+    [densityActive, featureAreaKm2, featureValueAllScope]
+  );
 
-  const onFeatureLeave = () => {
-    setHover((h) => ({ ...h, visible: false }));
-  };
+  // 分析モード: 町丁ごとの期待値・z スコア・p 値（表示中の市 / 全市の両スコープ）
+  const analysisDetails = useMemo(
+    () =>
+      mode === 'analysis'
+        ? {
+            display: featureValueDisplay.details,
+            all: featureValueAllScope.details,
+          }
+        : { display: new Map(), all: new Map() },
+    [mode, featureValueDisplay, featureValueAllScope]
+  );
 
-  const getRestaurantClusterPoint = (cluster, index = 0) => {
-    if (!cluster?.points?.length) return null;
-    const safeIndex = index % cluster.points.length;
-    return cluster.points[safeIndex];
-  };
+  // 2変量: 各軸の値と 3 分位の境界、3×3 の地域数
+  const bivariate = useMemo(() => {
+    if (mode !== 'bivariate' || !displayShapeGeo?.features?.length) return null;
+    const displayScope = {
+      targetCodes: selectedCityCodes,
+      areaLengths: areaCodeLengths,
+      keySet: shapeKeySet,
+    };
+    const allScope = {
+      targetCodes: activeCityCodes,
+      areaLengths: areaCodeLengthsAll,
+      keySet: shapeKeySetAll,
+    };
+    const x = buildFeatureValue({ ...displayScope, indicator: bivariateX });
+    const y = buildFeatureValue({ ...displayScope, indicator: bivariateY });
+
+    // 3 分位はスケール範囲の設定に合わせて計算する
+    const valuesIn = (geo, values) =>
+      (geo?.features || [])
+        .map((f) => values.get(normalizeKeyString(f?.properties?.KEY_CODE)))
+        .filter((v) => v !== null && v !== undefined && Number.isFinite(v));
+    const tertiles = (indicator, displayValues) => {
+      const values =
+        scaleScope === 'all'
+          ? valuesIn(
+              shapeGeo,
+              buildFeatureValue({ ...allScope, indicator })
+            )
+          : valuesIn(displayShapeGeo, displayValues);
+      return computeClassBreaks(values, 'quantile', BIVARIATE_TIERS);
+    };
+    const xBreaks = tertiles(bivariateX, x);
+    const yBreaks = tertiles(bivariateY, y);
 
-  const buildRestaurantHover = (point, count = 1) => ({
-    title: point?.name || '店舗情報',
+    const counts = Array.from({ length: BIVARIATE_TIERS }, () =>
+      new Array(BIVARIATE_TIERS).fill(0)
+    );
+    for (const f of displayShapeGeo.features) {
+      const k = normalizeKeyString(f?.properties?.KEY_CODE);
+      const vx = x.get(k);
+      const vy = y.get(k);
+      if (!Number.isFinite(vx) || !Number.isFinite(vy)) continue;
+      counts[bivariateTierOf(vy, yBreaks)][bivariateTierOf(vx, xBreaks)] += 1;
+    }
+    return { x, y, xBreaks, yBreaks, counts };
+  }, [
+    mode,
+    displayShapeGeo,
+    shapeGeo,
+    scaleScope,
+    selectedCityCodes,
+    areaCodeLengths,
+    shapeKeySet,
+    activeCityCodes,
+    areaCodeLengthsAll,
+    shapeKeySetAll,
+    popRows,
+    hhRows,
+    bizRows,
+    sexSel,
+    ageSel,
+    popDenomColumns,
+    popTotalColumns,
+    pyramidAgeBands,
+    hhRowType,
+    businessSchema,
+    bivariateX,
+    bivariateY,
+  ]);
+
+  const bivariatePaletteDef =
+    BIVARIATE_PALETTES.find((p) => p.value === bivariatePalette) ||
+    BIVARIATE_PALETTES[0];
+  const bivariateLabelOf = (indicator, terms) => {
+    const labelOf = (key) =>
+      terms.options.find((opt) => opt.key === key)?.label || key;
+    return indicator.denom
+      ? `${labelOf(indicator.numer)} ÷ ${labelOf(indicator.denom)}`
+      : labelOf(indicator.numer);
+  };
+  const bivariateXLabel = bivariateLabelOf(bivariateX, bivariateTerms.x);
+  const bivariateYLabel = bivariateLabelOf(bivariateY, bivariateTerms.y);
+  const formatBivariateX = bivariateX.denom ? formatPercent : formatNumber;
+  const formatBivariateY = bivariateY.denom ? formatPercent : formatNumber;
+  const bivariateFillOf = (k) => {
+    const vx = bivariate?.x.get(k);
+    const vy = bivariate?.y.get(k);
+    if (!Number.isFinite(vx) || !Number.isFinite(vy)) return '#f2f2f2';
+    return bivariatePaletteDef.colors[bivariateTierOf(vy, bivariate.yBreaks)][
+      bivariateTierOf(vx, bivariate.xBreaks)
+    ];
+  };
+
+  // 空間的自己相関（表示中の町丁の featureValue が対象）
+  const isSpatialStatsMode =
+    mode === 'population' ||
+    mode === 'household' ||
+    mode === 'business' ||
+    mode === 'analysis';
+  const spatialStatsActive = spatialStatsOn && isSpatialStatsMode;
+  const contiguityNeighbors = useMemo(() => {
+    if (!spatialStatsActive || !displayShapeGeo?.features?.length) return null;
+    return buildContiguityNeighbors(displayShapeGeo.features, contiguityType);
+  }, [spatialStatsActive, displayShapeGeo, contiguityType]);
+  const spatialStats = useMemo(() => {
+    if (!contiguityNeighbors) return null;
+    const features = displayShapeGeo.features;
+    const values = features.map((f) => {
+      const v = featureValue.get(normalizeKeyString(f?.properties?.KEY_CODE));
+      return v === null || v === undefined ? null : Number(v);
+    });
+    const result = computeSpatialAutocorrelation(values, contiguityNeighbors, {
+      permutations: moranPermutations,
+      alpha: lisaAlpha,
+    });
+    if (!result) return null;
+    const byKey = new Map();
+    features.forEach((f, i) => {
+      if (result.local[i])
+        byKey.set(normalizeKeyString(f?.properties?.KEY_CODE), result.local[i]);
+    });
+    return { ...result, byKey };
+  }, [
+    contiguityNeighbors,
+    displayShapeGeo,
+    featureValue,
+    moranPermutations,
+    lisaAlpha,
+  ]);
+  const lisaActive = lisaView && Boolean(spatialStats);
+
+  // 有意でない地域の判定条件（絞り込まないときは null）。色の範囲・階級区分はこれに依存する
+  const lqSignificance = useMemo(
+    () =>
+      mode === 'analysis' && (lqTest !== 'off' || lqMinDenom > 0)
+        ? { test: lqTest, level: lqLevel, minDenom: lqMinDenom }
+        : null,
+    [mode, lqTest, lqLevel, lqMinDenom]
+  );
+  const lqFilterActive = Boolean(lqSignificance);
+  const insignificantCount = lqFilterActive
+    ? Array.from(analysisDetails.display.keys()).filter((key) =>
+        isInsignificantIn(analysisDetails.display, key, lqSignificance)
+      ).length
+    : 0;
+
+  // --- Render helpers ---
+  const restaurantKdeView =
+    mode === 'restaurant-analysis' && restaurantGridView === 'kde';
+  const restaurantGridMetricDef =
+    RESTAURANT_GRID_METRICS.find((m) => m.value === restaurantGridMetric) ||
+    RESTAURANT_GRID_METRICS[0];
+  const formatMapValue =
+    mode === 'population' && popMeasure === 'ratio'
+      ? formatPercent
+      : restaurantKdeView
+      ? (v) => {
+          const text = formatDecimal(v, 1);
+          return text === '-' ? text : `${text} /km²`;
+        }
+      : mode === 'restaurant-analysis'
+      ? (v) => formatRestaurantGridValue(v, restaurantGridMetric)
+      : densityActive
+      ? (v) => {
+          const text = formatDecimal(v, 1);
+          return text === '-' ? text : `${text} ${densityUnit}`;
+        }
+      : formatNumber;
+
+  const onFeatureEnter = (e, f) => {
+    const k = normalizeKeyString(f?.properties?.KEY_CODE);
+    const name =
+      normalizeKeyString(f?.properties?.S_NAME_JA) ||
+      normalizeKeyString(f?.properties?.S_NAME) ||
+      '(名称不明)';
+    const v = featureValue.get(k);
+    const lq = mode === 'analysis' ? analysisDetails.display.get(k) : null;
+    const lisa = spatialStatsActive ? spatialStats?.byKey.get(k) : null;
+    const tierLabels = ['低', '中', '高'];
+    const bivariateLine = (label, values, breaks, format) => {
+      const value = values.get(k);
+      return `${label}: ${format(value)}${
+        Number.isFinite(value)
+          ? `（${tierLabels[bivariateTierOf(value, breaks)]}）`
+          : ''
+      }`;
+    };
+
+    setHover({
+      visible: true,
+      x: e.clientX,
+      y: e.clientY,
+      title: name,
+      lines: [
+        `KEY_CODE: ${k}`,
+        ...(mode === 'bivariate' && bivariate
+          ? [
+              bivariateLine(
+                `横: ${bivariateXLabel}`,
+                bivariate.x,
+                bivariate.xBreaks,
+                formatBivariateX
+              ),
+              bivariateLine(
+                `縦: ${bivariateYLabel}`,
+                bivariate.y,
+                bivariate.yBreaks,
+                formatBivariateY
+              ),
+            ]
+          : [`値: ${formatMapValue(v)}`]),
+        densityActive
+          ? `面積: ${formatDecimal(featureAreaKm2.get(k), 3)} km²`
+          : null,
+        lisa
+          ? `LISA: ${
+              LISA_CLUSTERS.find((c) => c.key === lisa.cluster)?.label ||
+              '有意でない'
+            }（Ii=${formatDecimal(lisa.Ii, 2)}, p=${formatDecimal(lisa.p, 3)}）`
+          : null,
+        ...(lq
+          ? [
+              `分子: ${formatNumber(lq.numer)} / 分母: ${formatNumber(lq.denom)}`,
+              `期待値: ${formatDecimal(lq.expected, 1)}`,
+              `z: ${formatDecimal(lq.z, 2)} / p: ${
+                lq.p === null ? '-' : lq.p < 0.001 ? '<0.001' : formatDecimal(lq.p, 3)
+              }`,
+              lqFilterActive
+                ? isInsignificantIn(analysisDetails.display, k, lqSignificance)
+                  ? lq.denom < lqMinDenom
+                    ? '判定: 分母が最小値未満'
+                    : '判定: 有意でない'
+                  : '判定: 有意'
+                : null,
+            ]
+          : []),
+      ].filter(Boolean),
+    });
+  };
+
+  const onFeatureMove = (e) => {
+    setHover((h) => ({ ...h, x: e.clientX, y: e.clientY }));
+  };
+
+  const onFeatureLeave = () => {
+    setHover((h) => ({ ...h, visible: false }));
+  };
+
+  const getRestaurantClusterPoint = (cluster, index = 0) => {
+    if (!cluster?.points?.length) return null;
+    const safeIndex = index % cluster.points.length;
+    return cluster.points[safeIndex];
+  };
+
+  const buildRestaurantHover = (point, count = 1) => ({
+    title: point?.name || '店舗情報',
     lines: [
       count > 1 ? `飲食店数: ${formatNumber(count)}` : null,
       point?.category ? `カテゴリ: ${point.category}` : null,
@@ -2448,6 +6663,9 @@ export default function App() {
       point?.budgetNight ? `夜予算: ${point.budgetNight}` : null,
       point?.budgetLunch ? `昼予算: ${point.budgetLunch}` : null,
       point?.address ? `住所: ${point.address}` : null,
+      point?.precision
+        ? `位置: ${RESTAURANT_PRECISION_BY_KEY.get(point.precision)?.label}`
+        : null,
       point?.hint ? `位置推定: ${point.hint}` : null,
     ].filter(Boolean),
   });
@@ -2470,11 +6688,11 @@ export default function App() {
     if (!targetCodes.length) return [];
     const selectedSet = new Set(targetCodes);
     return boundaryGeo.features.filter((feature) => {
-      const codes = getBoundaryCityCodes(feature);
+      const codes = getBoundaryCityCodes(feature, cityNameToCode);
       if (!codes.length) return false;
       return codes.some((code) => selectedSet.has(code));
     });
-  }, [boundaryGeo, selectedCityCodes, activeCityCodes]);
+  }, [boundaryGeo, selectedCityCodes, activeCityCodes, cityNameToCode]);
 
   const stationPoints = useMemo(() => {
     if (!projection) return [];
@@ -2528,11 +6746,18 @@ export default function App() {
 
   const lineLabelAnchors = useMemo(() => {
     if (!projection) return [];
-    return RAIL_LINES.map((line) => {
-      const index = Math.floor(line.stations.length / 2);
-      const station = line.stations[index] || line.stations[0];
-      if (!station) return null;
-      const pt = projection([station.lon, station.lat]);
+    return visibleRailNetwork.lines.map((line) => {
+      // 中央の駅、駅が無い路線は最長の線形の中間点に置く
+      const station = line.stations[Math.floor(line.stations.length / 2)];
+      const longestPath = line.paths.reduce(
+        (best, path) => (path.length > best.length ? path : best),
+        []
+      );
+      const anchor = station
+        ? [station.lon, station.lat]
+        : longestPath[Math.floor(longestPath.length / 2)];
+      if (!anchor) return null;
+      const pt = projection(anchor);
       if (!pt) return null;
       return {
         id: line.id,
@@ -2542,7 +6767,7 @@ export default function App() {
         y: pt[1],
       };
     }).filter(Boolean);
-  }, [projection]);
+  }, [projection, visibleRailNetwork]);
 
   const lineLabelScreenPoints = useMemo(
     () =>
@@ -2564,6 +6789,62 @@ export default function App() {
       ),
     [stationScreenPoints]
   );
+  const ridershipYears = useMemo(
+    () => getRidershipYears(ridershipSeries),
+    [ridershipSeries]
+  );
+  useEffect(() => {
+    if (!ridershipYears.length) return;
+    const latest = ridershipYears[ridershipYears.length - 1];
+    if (!ridershipYears.includes(ridershipYear)) setRidershipYear(latest);
+    if (!ridershipYears.includes(ridershipYearA))
+      setRidershipYearA(ridershipYears[0]);
+    if (!ridershipYears.includes(ridershipYearB)) setRidershipYearB(latest);
+    if (ridershipYears.length < 2) setRidershipView('year');
+  }, [ridershipYears, ridershipYear, ridershipYearA, ridershipYearB]);
+  const ridershipValues = useMemo(
+    () => ridershipSeries.byYear[ridershipYear] ?? {},
+    [ridershipSeries, ridershipYear]
+  );
+
+  // 年A→年Bの増減（増減率で発散型の色分け：増加=青 / 減少=赤）
+  const ridershipChange = useMemo(() => {
+    const map = new Map();
+    if (ridershipView !== 'change') return { map, scale: null, maxRate: 0 };
+    const valuesA = ridershipSeries.byYear[ridershipYearA] ?? {};
+    const valuesB = ridershipSeries.byYear[ridershipYearB] ?? {};
+    let maxRate = 0;
+    for (const station of stations) {
+      const a = valuesA[station.id];
+      const b = valuesB[station.id];
+      if (!Number.isFinite(a) || !Number.isFinite(b)) continue;
+      const diff = b - a;
+      const rate = a ? (diff / a) * 100 : null;
+      if (Number.isFinite(rate)) maxRate = Math.max(maxRate, Math.abs(rate));
+      map.set(station.id, { a, b, diff, rate });
+    }
+    maxRate = Math.max(1, Math.ceil(maxRate));
+    const scale = scaleDiverging(interpolateRdBu).domain([
+      -maxRate,
+      0,
+      maxRate,
+    ]);
+    return { map, scale, maxRate };
+  }, [
+    ridershipView,
+    ridershipSeries,
+    ridershipYearA,
+    ridershipYearB,
+    stations,
+  ]);
+
+  const getRidershipChangeColor = (stationId) => {
+    const change = ridershipChange.map.get(stationId);
+    if (!change || !ridershipChange.scale || !Number.isFinite(change.rate))
+      return null;
+    return ridershipChange.scale(change.rate);
+  };
+
   // 乗降客数アイコンは /data/人員.png を参照（画像は外部で差し替え可能）
   const ridershipIconUrl = useMemo(
     () => resolvePublicUrl('data/人員.png'),
@@ -2587,109 +6868,184 @@ export default function App() {
     };
   }, [ridershipIconUrl]);
 
-  const restaurantPoints = useMemo(() => {
-    if (!restaurantRows?.length || !projection) return [];
-    const points = [];
-    for (const row of restaurantRows) {
+  // 手動で修正した位置を CSV の緯度経度に上書きした飲食店の行（位置修正 = 1）
+  const correctedRestaurantRows = useMemo(() => {
+    if (!restaurantRows?.length || !Object.keys(restaurantCorrections).length)
+      return restaurantRows;
+    return restaurantRows.map((row) => {
+      const correction = restaurantCorrections[restaurantStoreId(row)];
+      if (!correction) return row;
+      return {
+        ...row,
+        緯度: correction.lat,
+        経度: correction.lon,
+        [RESTAURANT_CORRECTED_COLUMN]: '1',
+      };
+    });
+  }, [restaurantRows, restaurantCorrections]);
+
+  // 飲食店ごとの位置（絞り込み・投影の前）。町丁ポリゴンの中の点探しは重いので、
+  // 評価・カテゴリ・市の選択や地図の大きさを変えても計算し直さない
+  const restaurantPlacements = useMemo(() => {
+    if (!correctedRestaurantRows?.length) return [];
+    const placements = [];
+    for (const row of correctedRestaurantRows) {
       const name = normalizeKeyString(row['店の名前']);
       if (!name) continue;
       const address = normalizeKeyString(row['住所']);
       const ratingValue = safeToNumber(row['評価']);
-      const ratingKey = getRatingRangeKey(ratingValue);
-      if (ratingSel.size && !ratingSel.has(ratingKey)) continue;
       const categories = splitRestaurantCategories(
         row['店のカテゴリ(キーワード)']
       );
-      const categoryKeys = categories.length
-        ? categories
-        : [CATEGORY_NONE_KEY];
-      const categoryLabels = categories.length
-        ? categories
-        : [CATEGORY_NONE_LABEL];
-      if (
-        categorySel.size &&
-        !categoryKeys.some((key) => categorySel.has(key))
-      ) {
-        continue;
-      }
       const latValue = safeToNumber(row['緯度']);
       const lonValue = safeToNumber(row['経度']);
-      let cityCode = '';
-      for (const [cityName, code] of Object.entries(CITY_NAME_TO_CODE)) {
-        if (address.includes(cityName)) {
-          cityCode = code;
-          break;
-        }
-      }
-      if (
-        selectedCityCodes.length &&
-        cityCode &&
-        !selectedCityCodes.includes(cityCode)
-      ) {
-        continue;
-      }
+      const cityCode = detectCityCodeFromAddress(address, cityNameToCode);
       const { stationName, distanceMeters } = parseStationDistance(
         row['駅からの距離']
       );
       const station = stationLookup.get(stationName);
       let coord = null;
       let hint = '';
+      let precision = '';
+      // 緯度経度が無ければ、住所の町丁の中に置く
+      const townMatch =
+        latValue === null || lonValue === null
+          ? findTownPolygons(
+              townPolygonIndex,
+              cityCode,
+              parseJapaneseAddress(address, { cityNames: geocodeCityNames })
+            )
+          : null;
+      const townPlace = placeInTownPolygons(townMatch?.polygons, {
+        station,
+        distanceMeters,
+        angle: hashStringToAngle(`${name}-${address}`),
+        seed: `${name}-${address}`,
+      });
       if (latValue !== null && lonValue !== null) {
         coord = { lat: latValue, lon: lonValue };
-        hint = '住所ジオコーディング';
+        precision = 'geocoded';
+        const matchLevel = normalizeKeyString(row['照合レベル']);
+        if (normalizeKeyString(row[RESTAURANT_CORRECTED_COLUMN]) === '1')
+          hint = '地図上で手動修正';
+        else if (matchLevel === GEOCODE_MANUAL_LEVEL) hint = '位置を手動で指定';
+        else if (matchLevel) {
+          hint = `住所照合（${matchLevel}レベル）`;
+          precision = GEOCODE_LEVEL_PRECISION[matchLevel] || 'geocoded';
+        } else hint = '住所ジオコーディング';
+      } else if (townPlace?.onCircle) {
+        coord = { lat: townPlace.lat, lon: townPlace.lon };
+        hint =
+          `${station.name} 約${distanceMeters}m` + `（${townMatch.name}内）`;
+        precision = 'station';
+      } else if (townPlace) {
+        coord = { lat: townPlace.lat, lon: townPlace.lon };
+        hint = `${townMatch.name}内の任意の点`;
+        precision = 'town';
       } else if (station) {
         const angle = hashStringToAngle(`${name}-${address}`);
         const base = { lat: station.lat, lon: station.lon };
         coord = offsetLatLon(base, distanceMeters ?? 0, angle);
         hint = `${station.name}${distanceMeters ? ` 約${distanceMeters}m` : ''}`;
+        precision = 'station';
       } else if (cityCode && cityCentroidMap.has(cityCode)) {
         coord = cityCentroidMap.get(cityCode);
         hint = '市域中心（推定）';
+        precision = 'city';
       }
-
       if (!coord) continue;
-      const projected = projection([coord.lon, coord.lat]);
-      if (!projected) continue;
 
-      points.push({
-        id: `${name}-${address}`,
+      placements.push({
+        id: restaurantStoreId(row),
         name,
-        x: projected[0],
-        y: projected[1],
         lat: coord.lat,
         lon: coord.lon,
         cityCode,
         category: row['店のカテゴリ(キーワード)'],
-        categories: categoryLabels,
+        categories: categories.length ? categories : [CATEGORY_NONE_LABEL],
+        categoryKeys: categories.length ? categories : [CATEGORY_NONE_KEY],
         description: row['紹介文'],
         rating: row['評価'],
         ratingValue,
+        ratingKey: getRatingRangeKey(ratingValue),
         comments: row['コメント数'],
         bookmarks: row['ブックマーク数'],
         budgetNight: row['夜の予算'],
         budgetLunch: row['昼の予算'],
         address,
         hint,
+        precision,
       });
     }
-    return points;
+    return placements;
   }, [
-    restaurantRows,
-    projection,
+    correctedRestaurantRows,
     stationLookup,
     cityCentroidMap,
+    cityNameToCode,
+    townPolygonIndex,
+    geocodeCityNames,
+  ]);
+
+  // 位置を決められた飲食店（評価・カテゴリ・市で絞り込み、位置の確からしさの絞り込み前）
+  const placedRestaurantPoints = useMemo(() => {
+    if (!projection) return [];
+    const points = [];
+    for (const placement of restaurantPlacements) {
+      if (ratingSel.size && !ratingSel.has(placement.ratingKey)) continue;
+      if (
+        categorySel.size &&
+        !placement.categoryKeys.some((key) => categorySel.has(key))
+      ) {
+        continue;
+      }
+      if (
+        selectedCityCodes.length &&
+        placement.cityCode &&
+        !selectedCityCodes.includes(placement.cityCode)
+      ) {
+        continue;
+      }
+      const projected = projection([placement.lon, placement.lat]);
+      if (!projected) continue;
+      points.push({ ...placement, x: projected[0], y: projected[1] });
+    }
+    return points;
+  }, [
+    restaurantPlacements,
+    projection,
     selectedCityCodes,
     ratingSel,
     categorySel,
   ]);
 
+  // 位置の確からしさごとの件数（凡例用。評価・カテゴリ・市の絞り込み後）
+  const restaurantPrecisionCounts = useMemo(() => {
+    const counts = {};
+    for (const point of placedRestaurantPoints) {
+      counts[point.precision] = (counts[point.precision] ?? 0) + 1;
+    }
+    return counts;
+  }, [placedRestaurantPoints]);
+
+  const restaurantPoints = useMemo(
+    () =>
+      placedRestaurantPoints.filter((point) =>
+        restaurantPrecisionSel.has(point.precision)
+      ),
+    [placedRestaurantPoints, restaurantPrecisionSel]
+  );
+
+  // 確からしさの違う店どうしは 1 つにまとめない
   const restaurantClusters = useMemo(
     () =>
-      buildRestaurantClusters(
-        restaurantPoints,
-        restaurantRadius,
-        transform.k,
-        restaurantOverlapThreshold / 100
+      RESTAURANT_PRECISION_LEVELS.flatMap((level) =>
+        buildRestaurantClusters(
+          restaurantPoints.filter((point) => point.precision === level.key),
+          restaurantRadius,
+          transform.k,
+          restaurantOverlapThreshold / 100
+        ).map((cluster) => ({ ...cluster, precision: level.key }))
       ),
     [restaurantPoints, restaurantRadius, transform.k, restaurantOverlapThreshold]
   );
@@ -2706,38 +7062,6 @@ export default function App() {
     });
   }, [restaurantClusters]);
 
-  const restaurantGeoPoints = useMemo(() => {
-    if (!restaurantRows?.length) return [];
-    const points = [];
-    for (const row of restaurantRows) {
-      const latValue = safeToNumber(row['緯度']);
-      const lonValue = safeToNumber(row['経度']);
-      if (latValue === null || lonValue === null) continue;
-      const address = normalizeKeyString(row['住所']);
-      let cityCode = '';
-      for (const [cityName, code] of Object.entries(CITY_NAME_TO_CODE)) {
-        if (address.includes(cityName)) {
-          cityCode = code;
-          break;
-        }
-      }
-      if (
-        selectedCityCodes.length &&
-        cityCode &&
-        !selectedCityCodes.includes(cityCode)
-      ) {
-        continue;
-      }
-      points.push({
-        id: row['店舗ID'] || row['店の名前'] || `${latValue}-${lonValue}`,
-        lat: latValue,
-        lon: lonValue,
-        cityCode,
-      });
-    }
-    return points;
-  }, [restaurantRows, selectedCityCodes]);
-
   const stationStats = useMemo(() => {
     const statsMap = new Map();
     if (!stations.length || !restaurantPoints.length) return statsMap;
@@ -2810,6 +7134,17 @@ export default function App() {
     return statsMap;
   }, [stations, restaurantPoints]);
 
+  // 駅集計CSVには読み込んだ全ての年の乗降客数を列として出力する
+  const ridershipColumnLabels = useMemo(
+    () =>
+      ridershipYears.map((year) => ({
+        year,
+        label:
+          year === RIDERSHIP_UNDATED_YEAR ? '乗降客数' : `乗降客数（${year}年）`,
+      })),
+    [ridershipYears]
+  );
+
   const stationSummaryRows = useMemo(() => {
     if (!stations.length) return [];
     const toCsvNumber = (value, digits = null) => {
@@ -2829,7 +7164,13 @@ export default function App() {
       const topCategories = stats?.topCategories ?? [];
       return {
         駅名: station.name,
-        乗降客数: toCsvNumber(RIDERSHIP_BY_STATION_ID[station.id]),
+        駅ID: station.id,
+        ...Object.fromEntries(
+          ridershipColumnLabels.map(({ year, label }) => [
+            label,
+            toCsvNumber(ridershipSeries.byYear[year]?.[station.id]),
+          ])
+        ),
         '500m圏内の飲食店数': toCsvNumber(stats?.count ?? 0),
         頻出カテゴリ1位: topCategories[0]?.name ?? '',
         頻出カテゴリ2位: topCategories[1]?.name ?? '',
@@ -2842,12 +7183,14 @@ export default function App() {
         平均夜予算: toCsvNumber(stats?.avgNightBudget ?? null, 1),
       };
     });
-  }, [stations, stationStats]);
+  }, [stations, stationStats, ridershipColumnLabels, ridershipSeries]);
 
+  // 飲食店分析の格子: 絞り込み済みの飲食店（位置を推定した店舗を含む）を集計する
   const restaurantGrid = useMemo(() => {
     if (mode !== 'restaurant-analysis') return [];
+    if (restaurantGridView === 'kde') return [];
     if (!projection) return [];
-    if (!restaurantGeoPoints.length) return [];
+    if (!restaurantPoints.length) return [];
     if (!cityBoundaryFeatures.length) return [];
 
     const boundaryCollection = {
@@ -2865,81 +7208,170 @@ export default function App() {
       return [];
     }
 
-    const [[minLon, minLat], [maxLon, maxLat]] = bounds;
-    const center = geoCentroid(boundaryCollection);
-    const centerLat = center?.[1] ?? 0;
-    const metersPerDegLat = 111320;
-    const latStep = RESTAURANT_GRID_SIZE_METERS / metersPerDegLat;
-    const metersPerDegLon =
-      metersPerDegLat * Math.cos((centerLat * Math.PI) / 180);
-    const lonStep =
-      RESTAURANT_GRID_SIZE_METERS / (metersPerDegLon || metersPerDegLat);
-
-    const countMap = new Map();
-    for (const point of restaurantGeoPoints) {
-      if (
-        point.lon < minLon ||
-        point.lon > maxLon ||
-        point.lat < minLat ||
-        point.lat > maxLat
-      ) {
-        continue;
-      }
-      const xIndex = Math.floor((point.lon - minLon) / lonStep);
-      const yIndex = Math.floor((point.lat - minLat) / latStep);
-      if (xIndex < 0 || yIndex < 0) continue;
-      const key = `${xIndex}_${yIndex}`;
-      countMap.set(key, (countMap.get(key) ?? 0) + 1);
+    const { cells, locate } = buildAnalysisGridCells(bounds, {
+      type: restaurantGridType,
+      sizeMeters: restaurantGridSize,
+      meshLevel: jisMeshLevel,
+    });
+
+    // 選択中の市域に中心か頂点が掛かる格子だけを残す（はみ出しは clipPath で切る）
+    const boundaryParts = cityBoundaryFeatures.map((feature) => ({
+      rings: getPolygonRings(feature.geometry),
+      bounds: geoBounds(feature),
+    }));
+    const insideCity = (pt) =>
+      boundaryParts.some(
+        ({ rings, bounds: [[w, s], [e, n]] }) =>
+          pt[0] >= w &&
+          pt[0] <= e &&
+          pt[1] >= s &&
+          pt[1] <= n &&
+          ringsContainPoint(rings, pt)
+      );
+
+    // 端の格子は市域で切って描くので、集計も市域内の店舗だけにする
+    const pointsByCell = new Map();
+    for (const point of restaurantPoints) {
+      if (!insideCity([point.lon, point.lat])) continue;
+      const id = locate(point.lon, point.lat);
+      if (!pointsByCell.has(id)) pointsByCell.set(id, []);
+      pointsByCell.get(id).push(point);
     }
 
     const grid = [];
-    const maxX = Math.ceil((maxLon - minLon) / lonStep);
-    const maxY = Math.ceil((maxLat - minLat) / latStep);
-
-    for (let y = 0; y <= maxY; y += 1) {
-      const lat = minLat + y * latStep;
-      for (let x = 0; x <= maxX; x += 1) {
-        const lon = minLon + x * lonStep;
-        const p0 = projection([lon, lat]);
-        const p1 = projection([lon + lonStep, lat + latStep]);
-        if (!p0 || !p1) continue;
-
-        const rect = {
-          minX: Math.min(p0[0], p1[0]),
-          maxX: Math.max(p0[0], p1[0]),
-          minY: Math.min(p0[1], p1[1]),
-          maxY: Math.max(p0[1], p1[1]),
-        };
-
-        const key = `${x}_${y}`;
-        const count = countMap.get(key) ?? 0;
-        grid.push({
-          id: `grid-${x}-${y}`,
-          x: rect.minX,
-          y: rect.minY,
-          width: rect.maxX - rect.minX,
-          height: rect.maxY - rect.minY,
-          count,
-        });
-      }
+    for (const cell of cells) {
+      if (!insideCity(cell.center) && !cell.ring.some(insideCity)) continue;
+      const pts = cell.ring.map((pt) => projection(pt));
+      if (pts.some((pt) => !pt)) continue;
+      const stats = summarizeRestaurantCell(pointsByCell.get(cell.id) || []);
+      grid.push({
+        id: cell.id,
+        code: cell.code,
+        mx: cell.mx,
+        my: cell.my,
+        d: `M${pts.map((pt) => pt.join(',')).join('L')}Z`,
+        count: stats.count,
+        stats,
+        value: restaurantCellValue(
+          stats,
+          restaurantGridMetric,
+          restaurantGridCategory
+        ),
+      });
     }
     return grid;
   }, [
     mode,
     projection,
-    restaurantGeoPoints,
+    restaurantPoints,
+    cityBoundaryFeatures,
+    restaurantGridView,
+    restaurantGridType,
+    restaurantGridSize,
+    jisMeshLevel,
+    restaurantGridMetric,
+    restaurantGridCategory,
+  ]);
+
+  const restaurantGridLabel =
+    restaurantGridType === 'jis'
+      ? JIS_MESH_LEVELS.find((l) => l.value === jisMeshLevel)?.label ??
+        '地域メッシュ'
+      : `${restaurantGridSize}m ${
+          restaurantGridType === 'hex' ? '六角形' : '正方形'
+        }格子`;
+
+  // 飲食店分析のホットスポット（Gi*）: 格子ID → { z, bin } と区分ごとの格子数
+  const restaurantHotspots = useMemo(() => {
+    if (restaurantGridView !== 'hotspot' || !restaurantGrid.length) return null;
+    const zs = computeGiStar(
+      restaurantGrid.map((cell) => ({
+        mx: cell.mx,
+        my: cell.my,
+        value: cell.count,
+      })),
+      giBandMeters
+    );
+    const byId = new Map();
+    const counts = {};
+    restaurantGrid.forEach((cell, i) => {
+      const bin = giStarBinOf(zs[i]);
+      byId.set(cell.id, { z: zs[i], bin });
+      counts[bin.key] = (counts[bin.key] ?? 0) + 1;
+    });
+    return { byId, counts };
+  }, [restaurantGridView, restaurantGrid, giBandMeters]);
+  const giStarActive =
+    mode === 'restaurant-analysis' && Boolean(restaurantHotspots);
+
+  // 飲食店の密度（KDE）: 選択中の市境の範囲で計算する。
+  // 入力はマーカー・格子と同じ絞り込み済みの店舗（restaurantPoints）
+  const restaurantKde = useMemo(() => {
+    if (!restaurantKdeView || !cityBoundaryFeatures.length) return null;
+    const bounds = geoBounds({
+      type: 'FeatureCollection',
+      features: cityBoundaryFeatures,
+    });
+    if (!bounds || !bounds.flat().every(Number.isFinite)) return null;
+    const points = [];
+    for (const point of restaurantPoints) {
+      const weight =
+        kdeWeight === 'rating'
+          ? point.ratingValue
+          : kdeWeight === 'comments'
+          ? safeToNumber(point.comments)
+          : kdeWeight === 'bookmarks'
+          ? safeToNumber(point.bookmarks)
+          : 1;
+      if (weight === null || !(weight > 0)) continue;
+      points.push({ lon: point.lon, lat: point.lat, weight });
+    }
+    if (!points.length) return null;
+    return computeKernelDensity(points, bounds, kdeBandwidth);
+  }, [
+    restaurantKdeView,
     cityBoundaryFeatures,
+    restaurantPoints,
+    kdeWeight,
+    kdeBandwidth,
   ]);
 
+  const restaurantKdeImage = useMemo(() => {
+    if (!restaurantKde || !projection) return null;
+    const [[minLon, minLat], [maxLon, maxLat]] = restaurantKde.bounds;
+    const nw = projection([minLon, maxLat]);
+    const se = projection([maxLon, minLat]);
+    if (!nw || !se) return null;
+    const href = renderDensityRaster(restaurantKde, rampInterpolator);
+    if (!href) return null;
+    return {
+      href,
+      x: nw[0],
+      y: nw[1],
+      width: se[0] - nw[0],
+      height: se[1] - nw[1],
+    };
+  }, [restaurantKde, projection, rampInterpolator]);
+
   // --- Stats + color scale ---
   const valueStats = useMemo(() => {
     if (mode === 'restaurant' || mode === 'ridership')
       return { min: 0, max: 1, mid: null };
     if (mode === 'restaurant-analysis') {
-      if (!restaurantGrid.length) return { min: 0, max: 1, mid: null };
-      const counts = restaurantGrid.map((cell) => cell.count);
-      const [mn, mx] = extent(counts);
-      return { min: mn ?? 0, max: mx ?? 1, mid: null };
+      // 密度表示は連続配色のみ（格子の値が無いので分類しない）
+      if (restaurantKdeView)
+        return { min: 0, max: restaurantKde?.max || 1, mid: null };
+      const cellValues = restaurantGrid
+        .map((cell) => cell.value)
+        .filter((v) => v !== null && Number.isFinite(v));
+      if (!cellValues.length) return { min: 0, max: 1, mid: null };
+      const [mn, mx] = extent(cellValues);
+      return {
+        min: restaurantGridMetricDef.zeroBased ? 0 : mn,
+        max: mx,
+        mid: null,
+        values: cellValues,
+      };
     }
     const scopeGeo =
       scaleScope === 'all' ? shapeGeo : displayShapeGeo;
@@ -2949,19 +7381,25 @@ export default function App() {
     if (!scopeGeo?.features?.length)
       return { min: 0, max: 1, mid: null };
 
+    // 有意でない地域は色の範囲の計算から外す
+    const scopeDetails =
+      scaleScope === 'all' ? analysisDetails.all : analysisDetails.display;
+
     const vals = [];
     for (const f of scopeGeo.features) {
       const k = normalizeKeyString(f?.properties?.KEY_CODE);
       const v = scopeValues.get(k);
       if (v === null || v === undefined || Number.isNaN(v)) continue;
+      if (isInsignificantIn(scopeDetails, k, lqSignificance)) continue;
       vals.push(Number(v));
     }
     if (!vals.length) return { min: 0, max: 1, mid: null };
 
     const [mn, mx] = extent(vals);
 
-    if (mode === 'analysis') return { min: mn ?? 0, max: mx ?? 1, mid: 1.0 };
-    return { min: mn ?? 0, max: mx ?? 1, mid: null };
+    if (mode === 'analysis')
+      return { min: mn ?? 0, max: mx ?? 1, mid: 1.0, values: vals };
+    return { min: mn ?? 0, max: mx ?? 1, mid: null, values: vals };
   }, [
     mode,
     displayShapeGeo,
@@ -2970,20 +7408,67 @@ export default function App() {
     featureValueAll,
     scaleScope,
     restaurantGrid,
+    restaurantGridMetricDef,
+    restaurantKdeView,
+    restaurantKde,
+    analysisDetails,
+    lqSignificance,
   ]);
 
-  const colorForValue = useMemo(() => {
+  const colorRampSpec =
+    colorRamps[mode] ||
+    DEFAULT_COLOR_RAMPS[mode] ||
+    DEFAULT_COLOR_RAMPS.population;
+  const rampInterpolator = useMemo(
+    () => buildRampInterpolator(colorRampSpec),
+    [colorRampSpec]
+  );
+  const customRampColors =
+    normalizeRampColors(colorRampSpec.colors) || DEFAULT_CUSTOM_RAMP_COLORS;
+  const updateColorRamp = (patch) => {
+    setColorRamps((prev) => ({
+      ...prev,
+      [mode]: { ...colorRampSpec, ...patch },
+    }));
+  };
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(
+        COLOR_RAMP_STORAGE_KEY,
+        JSON.stringify(colorRamps)
+      );
+    } catch {
+      // 保存できない環境（プライベートモード等）では今回のセッションだけ有効
+    }
+  }, [colorRamps]);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(
+        RESTAURANT_CORRECTION_STORAGE_KEY,
+        JSON.stringify(restaurantCorrections)
+      );
+    } catch {
+      // 保存できない環境では今回のセッションだけ有効
+    }
+  }, [restaurantCorrections]);
+
+  // 連続スケールの色関数（分類なしのときの塗り分け）
+  const continuousColor = useMemo(() => {
     if (mode === 'restaurant' || mode === 'ridership') {
       return () => '#f4f4f4';
     }
     if (mode === 'restaurant-analysis') {
+      // 下端が 0 の指標は 0 を白にする。平均評価・予算は最小〜最大で塗る
       const { min, max } = valueStats;
+      const mn = Number.isFinite(min) ? min : 0;
       const mx = Number.isFinite(max) ? max : 1;
-      const safeMax = mx > 0 ? mx : 1;
+      const span = mx > mn ? mx - mn : 1;
       return (v) => {
-        if (!Number.isFinite(v) || v <= 0) return '#ffffff';
-        const t = Math.min(v / safeMax, 1);
-        return interpolateYlOrRd(t);
+        if (!Number.isFinite(v) || (mn <= 0 && v <= 0)) return '#ffffff';
+        const t = Math.min(Math.max((v - mn) / span, 0), 1);
+        return rampInterpolator(t);
       };
     }
     const { min, max } = valueStats;
@@ -2991,23 +7476,91 @@ export default function App() {
     if (mode === 'analysis') {
       const mx = Math.max(1.0, max || 1.0);
       const mn = Math.min(1.0, min || 1.0);
-      const s = scaleDiverging(interpolateRdBu).domain([mx, 1.0, mn]);
+      const s = scaleDiverging(rampInterpolator).domain([mn, 1.0, mx]);
       return (v) => s(v);
     }
 
-    const seq =
-      mode === 'population'
-        ? scaleSequential(interpolateYlOrRd)
-        : mode === 'household'
-        ? scaleSequential(interpolateGreens)
-        : scaleSequential(interpolatePurples);
-
+    const seq = scaleSequential(rampInterpolator);
     const mn = Number.isFinite(min) ? min : 0;
     const mx = Number.isFinite(max) ? max : 1;
     seq.domain([mn, mx || 1]);
 
     return (v) => seq(v);
-  }, [mode, valueStats]);
+  }, [mode, valueStats, rampInterpolator]);
+
+  const isChoroplethMode =
+    mode !== 'restaurant' && mode !== 'ridership' && mode !== 'bivariate';
+
+  // 階級区分: 境界値・各階級の範囲と色・表示中の地域数
+  const classification = useMemo(() => {
+    if (!isChoroplethMode || classMethod === 'continuous') return null;
+    const values = valueStats.values || [];
+    if (!values.length) return null;
+    const breaks = computeClassBreaks(
+      values,
+      classMethod,
+      classCount,
+      parseManualBreaks(manualBreaksText)
+    );
+    const { min, max } = valueStats;
+    const bounds = Array.from({ length: breaks.length + 1 }, (_, i) => ({
+      lo: i === 0 ? min : breaks[i - 1],
+      hi: i === breaks.length ? max : breaks[i],
+    }));
+    const colors = buildClassColors(bounds, {
+      interpolator: rampInterpolator,
+      diverging: mode === 'analysis',
+    });
+
+    // 地域数は表示中の町丁（飲食店分析は格子）で数える
+    const counts = new Array(bounds.length).fill(0);
+    const displayValues =
+      mode === 'restaurant-analysis'
+        ? restaurantGrid.map((cell) => cell.value)
+        : (displayShapeGeo?.features || [])
+            .map((f) => normalizeKeyString(f?.properties?.KEY_CODE))
+            .filter(
+              (k) =>
+                !isInsignificantIn(analysisDetails.display, k, lqSignificance)
+            )
+            .map((k) => featureValue.get(k));
+    for (const v of displayValues) {
+      if (v === null || v === undefined || Number.isNaN(v)) continue;
+      counts[classIndexOf(Number(v), breaks)] += 1;
+    }
+
+    return {
+      breaks,
+      classes: bounds.map((b, i) => ({
+        ...b,
+        color: colors[i],
+        count: counts[i],
+      })),
+    };
+  }, [
+    isChoroplethMode,
+    classMethod,
+    classCount,
+    manualBreaksText,
+    valueStats,
+    mode,
+    rampInterpolator,
+    restaurantGrid,
+    displayShapeGeo,
+    featureValue,
+    analysisDetails,
+    lqSignificance,
+  ]);
+
+  const colorForValue = useMemo(() => {
+    if (!classification) return continuousColor;
+    return (v) => {
+      if (mode === 'restaurant-analysis' && (!Number.isFinite(v) || v <= 0))
+        return '#ffffff';
+      return classification.classes[classIndexOf(v, classification.breaks)]
+        .color;
+    };
+  }, [classification, continuousColor, mode]);
 
   const cityLabel = useMemo(() => {
     if (!selectedCityNames.length) return '';
@@ -3079,94 +7632,383 @@ export default function App() {
     transform.y,
   ]);
 
-  const handleRestaurantGeocode = async () => {
-    if (!restaurantRows?.length || restaurantGeoRunning) return;
-    setRestaurantGeoRunning(true);
-    setRestaurantGeoStatus('住所の緯度経度を取得中...');
-    setRestaurantGeoProgress({ done: 0, total: restaurantRows.length });
-
-    const rows = restaurantRows.map((row) => ({ ...row }));
-    const baseColumns = Object.keys(rows[0] || {}).filter(
-      (key) => key && key !== '読み込み元'
-    );
-    const columns = [
-      ...baseColumns.filter((key) => key !== '緯度' && key !== '経度'),
-      '緯度',
-      '経度',
-    ];
+  const activeGeocoderProvider = getGeocoderProvider(geocoderProvider);
 
-    const errors = [];
+  const restaurantMarkerFill =
+    RESTAURANT_MARKER_COLORS.find((opt) => opt.value === restaurantMarkerColor)
+      ?.color || '#e53935';
 
-    for (let i = 0; i < rows.length; i += 1) {
-      const row = rows[i];
-      const address = normalizeKeyString(row['住所']);
-      if (!address) {
-        row['緯度'] = '';
-        row['経度'] = '';
-        continue;
-      }
+  const getGeocodeCache = () => {
+    if (!geocodeCacheRef.current) geocodeCacheRef.current = openGeocodeCache();
+    return geocodeCacheRef.current;
+  };
 
-      try {
-        const data = await fetchGsiAddressSearch(address);
-        if (Array.isArray(data) && data.length > 0) {
-          const coords = data[0]?.geometry?.coordinates;
-          if (Array.isArray(coords) && coords.length >= 2) {
-            row['経度'] = coords[0];
-            row['緯度'] = coords[1];
-          } else {
-            row['緯度'] = '';
-            row['経度'] = '';
-          }
-        } else {
-          row['緯度'] = '';
-          row['経度'] = '';
-        }
-      } catch (error) {
-        row['緯度'] = '';
-        row['経度'] = '';
-        errors.push(`${address}: ${error?.message || String(error)}`);
-      }
+  // 確定した照合結果（キー → キャッシュの項目）を緯度経度の無い行に書き込む
+  const applyGeocodeEntries = (entries, cityNames) => {
+    if (!entries.size) return;
+    setRestaurantRows((prev) =>
+      prev
+        ? prev.map((row) => {
+            if (
+              safeToNumber(row['緯度']) !== null &&
+              safeToNumber(row['経度']) !== null
+            )
+              return row;
+            const entry = entries.get(restaurantAddressKey(row, cityNames));
+            if (!entry || entry.lat === null || entry.lon === null) return row;
+            return {
+              ...row,
+              緯度: entry.lat,
+              経度: entry.lon,
+              照合レベル: entry.level,
+            };
+          })
+        : prev
+    );
+  };
 
-      if ((i + 1) % 20 === 0 || i === rows.length - 1) {
-        setRestaurantGeoProgress({ done: i + 1, total: rows.length });
+  const finishRestaurantGeoJob = (job) => {
+    restaurantGeoJobRef.current = null;
+    setRestaurantGeoJobState('idle');
+    const confirmed = new Map();
+    const review = [];
+    for (const entry of job.results.values()) {
+      if (entry.status === 'review') {
+        review.push({ ...entry, names: job.names.get(entry.key) || [] });
+      } else {
+        confirmed.set(entry.key, entry);
       }
-      await sleep(150);
     }
+    applyGeocodeEntries(confirmed, job.cityNames);
+    setRestaurantGeoReview(review);
+    setRestaurantGeoReviewKey(null);
+    const levelCounts = {};
+    for (const entry of confirmed.values()) {
+      levelCounts[entry.level] = (levelCounts[entry.level] ?? 0) + 1;
+    }
+    setRestaurantGeoStatus(
+      `照合完了（${[...ADDRESS_MATCH_LEVELS, GEOCODE_MANUAL_LEVEL]
+        .filter((level) => levelCounts[level])
+        .map((level) => `${level} ${levelCounts[level]}件`)
+        .concat(`確認待ち ${review.length}件`)
+        .join(' / ')}、キャッシュ利用 ${job.cachedCount}件・` +
+        `緯度経度あり ${job.skippedRows}行を省略）` +
+        (job.errorCount
+          ? `。エラー ${job.errorCount}件は次回の実行で照合し直します`
+          : '') +
+        (job.cacheAvailable
+          ? ''
+          : '。キャッシュを使えないため結果は保存されません')
+    );
+  };
 
-    const exportRows = (subset) =>
-      subset.map((row) => {
+  const cancelRestaurantGeoJob = (job) => {
+    if (restaurantGeoJobRef.current !== job) return;
+    restaurantGeoJobRef.current = null;
+    setRestaurantGeoJobState('idle');
+    setRestaurantGeoProgress({ done: 0, total: 0 });
+    setRestaurantGeoStatus(
+      `中止しました（照合済みの ${job.next}件はキャッシュに保存済み）`
+    );
+  };
+
+  const runRestaurantGeoJob = async (job) => {
+    // 再開の連打などで同じジョブを 2 重に回さない
+    if (job.running) return;
+    job.running = true;
+    try {
+      await processRestaurantGeoJob(job);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  const processRestaurantGeoJob = async (job) => {
+    const { geocoder } = job;
+    setRestaurantGeoJobState('running');
+    setRestaurantGeoStatus(`住所を${geocoder.label}で照合中...`);
+    const db = await getGeocodeCache();
+    while (job.next < job.items.length) {
+      if (job.control === 'cancel') {
+        cancelRestaurantGeoJob(job);
+        return;
+      }
+      if (job.control === 'pause') {
+        job.control = null;
+        setRestaurantGeoJobState('paused');
+        setRestaurantGeoStatus('一時停止中');
+        return;
+      }
+      const batch = job.items.slice(job.next, job.next + geocoder.batchSize);
+      const entries = [];
+      let lastError = null;
+      for (const { key, address } of batch) {
+        try {
+          const result = await geocoder.geocode(address);
+          entries.push(
+            buildGeocodeCacheEntry(key, address, result, geocoder)
+          );
+          job.consecutiveErrors = 0;
+        } catch (e) {
+          // 失敗した住所はキャッシュせず、次回の実行で照合し直す
+          job.errorCount += 1;
+          job.consecutiveErrors += 1;
+          lastError = e;
+        }
+      }
+      try {
+        await writeGeocodeCache(db, entries);
+      } catch {
+        // 保存に失敗しても照合は続ける（次回は照合し直しになる）
+      }
+      for (const entry of entries) job.results.set(entry.key, entry);
+      job.next += batch.length;
+      setRestaurantGeoProgress({ done: job.next, total: job.items.length });
+      if (job.consecutiveErrors >= GEOCODER_MAX_CONSECUTIVE_ERRORS) {
+        job.consecutiveErrors = 0;
+        setRestaurantGeoJobState('paused');
+        setRestaurantGeoStatus(
+          `エラーが続いたため一時停止しました: ${
+            lastError?.message || String(lastError)
+          }`
+        );
+        return;
+      }
+      // 進捗を描画させ、一時停止・中止の操作を受け付ける
+      await sleep(0);
+    }
+    if (restaurantGeoJobRef.current === job) finishRestaurantGeoJob(job);
+  };
+
+  // 選んだ提供元で住所を照合して緯度経度を付ける（オフラインなら住所は外部へ送らない）。
+  // 緯度経度のある行とキャッシュ済みの住所は照合せず、同じ住所は 1 回だけ照合する。
+  const handleRestaurantGeocode = async () => {
+    if (!restaurantRows?.length || restaurantGeoJobState !== 'idle') return;
+    // 状態の更新は次の描画まで反映されないので、連打で 2 つ目のジョブが始まらないよう
+    // 最初の await より前にジョブを登録する
+    if (restaurantGeoJobRef.current) return;
+    const provider = getGeocoderProvider(geocoderProvider);
+    if (!provider.network && !addressRefIndex.size) {
+      setRestaurantGeoStatus('位置参照情報が読み込まれていません');
+      return;
+    }
+    const cityNames = geocodeCityNames;
+    const geocoder = createGeocoder(provider.value, {
+      baseUrl: geocoderBaseUrls[provider.value],
+      rateLimitMs: geocoderRateLimits[provider.value],
+      useCorsProxy: geocoderUseCorsProxy,
+      addressIndex: addressRefIndex,
+      referenceVersion: addressRefVersion,
+      cityNames,
+    });
+    const job = {
+      items: [],
+      next: 0,
+      geocoder,
+      results: new Map(),
+      names: new Map(),
+      cityNames,
+      cachedCount: 0,
+      skippedRows: 0,
+      cacheAvailable: false,
+      errorCount: 0,
+      consecutiveErrors: 0,
+      control: null,
+      running: false,
+    };
+    restaurantGeoJobRef.current = job;
+    setRestaurantGeoJobState('running');
+    setRestaurantGeoStatus('照合キャッシュを確認中...');
+
+    const { names } = job;
+    const addresses = new Map();
+    for (const row of restaurantRows) {
+      if (
+        safeToNumber(row['緯度']) !== null &&
+        safeToNumber(row['経度']) !== null
+      ) {
+        job.skippedRows += 1;
+        continue;
+      }
+      const address = normalizeKeyString(row['住所']);
+      if (!address) continue;
+      const key = restaurantAddressKey(row, cityNames);
+      if (!addresses.has(key)) addresses.set(key, address);
+      if (!names.has(key)) names.set(key, []);
+      names.get(key).push(normalizeKeyString(row['店の名前']));
+    }
+
+    const db = await getGeocodeCache();
+    let cached = new Map();
+    try {
+      cached = await readGeocodeCache(db);
+    } catch {
+      // 読めなければすべて照合し直す
+    }
+    for (const [key, address] of addresses) {
+      const entry = cached.get(key);
+      if (entry && isGeocodeCacheEntryUsable(entry, geocoder.source))
+        job.results.set(key, entry);
+      else job.items.push({ key, address });
+    }
+    job.cachedCount = job.results.size;
+    job.cacheAvailable = Boolean(db);
+    setRestaurantGeoProgress({ done: 0, total: job.items.length });
+    await runRestaurantGeoJob(job);
+  };
+
+  const handleRestaurantGeocodePause = () => {
+    const job = restaurantGeoJobRef.current;
+    if (job) job.control = 'pause';
+  };
+
+  const handleRestaurantGeocodeResume = () => {
+    const job = restaurantGeoJobRef.current;
+    if (!job || restaurantGeoJobState !== 'paused') return;
+    runRestaurantGeoJob(job);
+  };
+
+  const handleRestaurantGeocodeCancel = () => {
+    const job = restaurantGeoJobRef.current;
+    if (!job) return;
+    // 一時停止中は処理が動いていないので、ここで終わらせる
+    if (restaurantGeoJobState === 'paused') cancelRestaurantGeoJob(job);
+    else job.control = 'cancel';
+  };
+
+  const handleGeocodeCacheClear = async () => {
+    if (restaurantGeoJobState !== 'idle') return;
+    try {
+      await clearGeocodeCache(await getGeocodeCache());
+      setRestaurantGeoStatus('照合キャッシュを消去しました');
+    } catch (e) {
+      setRestaurantGeoStatus(
+        `キャッシュを消去できませんでした: ${e?.message || String(e)}`
+      );
+    }
+  };
+
+  const selectedGeoReview = useMemo(
+    () =>
+      restaurantGeoReview.find((item) => item.key === restaurantGeoReviewKey) ||
+      null,
+    [restaurantGeoReview, restaurantGeoReviewKey]
+  );
+
+  // ドラッグ中の飲食店の移動先
+  const draggingRestaurantMarker = useMemo(() => {
+    if (!projection || !draggingRestaurant?.moved) return null;
+    const p = projection([draggingRestaurant.lon, draggingRestaurant.lat]);
+    return p ? { x: p[0], y: p[1] } : null;
+  }, [projection, draggingRestaurant]);
+
+  const geoReviewMarker = useMemo(() => {
+    if (!projection || !restaurantGeoReviewPoint) return null;
+    const p = projection([
+      restaurantGeoReviewPoint.lon,
+      restaurantGeoReviewPoint.lat,
+    ]);
+    return p ? { x: p[0], y: p[1] } : null;
+  }, [projection, restaurantGeoReviewPoint]);
+
+  // 確認待ちの住所を選ぶと、先頭の候補（無ければ地図の中心）に仮の位置を置く
+  const selectGeoReview = (item) => {
+    setRestaurantGeoReviewKey(item ? item.key : null);
+    if (!item) {
+      setRestaurantGeoReviewPoint(null);
+      return;
+    }
+    const first = item.candidates[0];
+    if (first) {
+      setRestaurantGeoReviewPoint({
+        lat: first.lat,
+        lon: first.lon,
+        level: first.level,
+      });
+      return;
+    }
+    const center =
+      projection &&
+      projection.invert(transform.invert([width / 2, height / 2]));
+    setRestaurantGeoReviewPoint(
+      center
+        ? { lat: center[1], lon: center[0], level: GEOCODE_MANUAL_LEVEL }
+        : null
+    );
+  };
+
+  // 仮の位置で確定し、キャッシュ（accepted）と飲食店の行に反映して次の住所へ進む
+  const handleGeoReviewAccept = async () => {
+    const item = selectedGeoReview;
+    const point = restaurantGeoReviewPoint;
+    if (!item || !point) return;
+    const entry = {
+      key: item.key,
+      address: item.address,
+      provider: item.provider,
+      source: item.source,
+      lat: point.lat,
+      lon: point.lon,
+      level: point.level,
+      candidates: item.candidates,
+      status: 'accepted',
+      updatedAt: Date.now(),
+    };
+    try {
+      await writeGeocodeCache(await getGeocodeCache(), [entry]);
+    } catch {
+      // 保存できなくても今回の表示には反映する
+    }
+    applyGeocodeEntries(new Map([[entry.key, entry]]), geocodeCityNames);
+    const index = restaurantGeoReview.findIndex((r) => r.key === item.key);
+    const rest = restaurantGeoReview.filter((r) => r.key !== item.key);
+    setRestaurantGeoReview(rest);
+    selectGeoReview(rest[Math.min(index, rest.length - 1)] || null);
+  };
+
+  // 現在の飲食店データ（照合結果・確認済みの位置・手動修正を含む）を
+  // 読み込み元ごとにCSVで出力する。位置修正 列は手動修正した行が 1、それ以外は 0
+  const handleRestaurantGeoExport = () => {
+    const rows = correctedRestaurantRows;
+    if (!rows?.length) return;
+    const fixedColumns = [
+      '緯度',
+      '経度',
+      '照合レベル',
+      RESTAURANT_CORRECTED_COLUMN,
+    ];
+    const baseColumns = Object.keys(rows[0] || {}).filter(
+      (key) => key && key !== '読み込み元' && !fixedColumns.includes(key)
+    );
+    const columns = [...baseColumns, ...fixedColumns];
+    const exportRows = (subset) =>
+      subset.map((row) => {
         const output = {};
         for (const column of columns) {
           output[column] = row[column] ?? '';
         }
+        output[RESTAURANT_CORRECTED_COLUMN] =
+          normalizeKeyString(row[RESTAURANT_CORRECTED_COLUMN]) === '1'
+            ? '1'
+            : '0';
         return output;
       });
 
-    const suitaRows = rows.filter((row) => row['読み込み元'] === '吹田市');
-    const toyonakaRows = rows.filter((row) => row['読み込み元'] === '豊中市');
-
-    if (suitaRows.length) {
-      const content = buildCsvContent(exportRows(suitaRows), columns);
-      downloadCsv(content, '飲食店_吹田_緯度経度付き.csv');
-    }
-    if (toyonakaRows.length) {
-      const content = buildCsvContent(exportRows(toyonakaRows), columns);
-      downloadCsv(content, '飲食店_豊中_緯度経度付き.csv');
+    const sources = uniq(rows.map((row) => row['読み込み元']).filter(Boolean));
+    for (const source of sources) {
+      const subset = rows.filter((row) => row['読み込み元'] === source);
+      if (!subset.length) continue;
+      const content = buildCsvContent(exportRows(subset), columns);
+      downloadCsv(content, getRestaurantGeoFileName(dataManifest, source));
     }
-
-    setRestaurantGeoRunning(false);
-    setRestaurantGeoStatus(
-      errors.length
-        ? `取得完了（エラー ${errors.length}件）`
-        : '取得完了'
-    );
   };
 
   const handleStationSummaryDownload = () => {
     if (!stationSummaryRows.length) return;
     const columns = [
       '駅名',
-      '乗降客数',
+      '駅ID',
+      ...ridershipColumnLabels.map((c) => c.label),
       '500m圏内の飲食店数',
       '頻出カテゴリ1位',
       '頻出カテゴリ2位',
@@ -3201,7 +8043,7 @@ export default function App() {
       const avgRating = stats?.avgRating ?? null;
       const avgLunchBudget = stats?.avgLunchBudget ?? null;
       const avgNightBudget = stats?.avgNightBudget ?? null;
-      const ridership = RIDERSHIP_BY_STATION_ID[station.id] ?? null;
+      const ridership = ridershipValues[station.id] ?? null;
       const commentsPerStore = count ? commentTotal / count : null;
       const bookmarksPerStore = count ? bookmarkTotal / count : null;
       return {
@@ -3284,6 +8126,16 @@ export default function App() {
           height={height}
           style={{ display: 'block', cursor: 'grab' }}
         >
+          <defs>
+            <HatchPattern id={LQ_HATCH_PATTERN_ID} size={6 / transform.k} />
+            {pathGen && cityBoundaryFeatures.length ? (
+              <clipPath id={RESTAURANT_GRID_CLIP_ID}>
+                {cityBoundaryFeatures.map((feature, idx) => (
+                  <path key={`grid-clip-${idx}`} d={pathGen(feature)} />
+                ))}
+              </clipPath>
+            ) : null}
+          </defs>
           <rect x={0} y={0} width={width} height={height} fill="#fff" />
 
           {!displayShapeGeo || !pathGen ? (
@@ -3313,25 +8165,40 @@ export default function App() {
               ) : null}
 
               {mode === 'restaurant-analysis' && restaurantGrid.length ? (
-                <g>
+                <g clipPath={`url(#${RESTAURANT_GRID_CLIP_ID})`}>
                   {restaurantGrid.map((cell) => (
-                    <rect
+                    <path
                       key={cell.id}
-                      x={cell.x}
-                      y={cell.y}
-                      width={cell.width}
-                      height={cell.height}
-                      fill={colorForValue(cell.count)}
+                      d={cell.d}
+                      fill={
+                        giStarActive
+                          ? restaurantHotspots.byId.get(cell.id).bin.color
+                          : colorForValue(cell.value)
+                      }
                       fillOpacity={0.85}
                       onMouseEnter={(e) => {
+                        const hotspot = giStarActive
+                          ? restaurantHotspots.byId.get(cell.id)
+                          : null;
                         setHover({
                           visible: true,
                           x: e.clientX,
                           y: e.clientY,
-                          title: '飲食店分析（250m格子）',
+                          title: `飲食店分析（${restaurantGridLabel}）`,
                           lines: [
-                            `飲食店数: ${formatNumber(cell.count)}`,
-                          ],
+                            cell.code ? `メッシュコード: ${cell.code}` : null,
+                            ...describeRestaurantCell(
+                              cell.stats,
+                              restaurantGridMetric === 'category'
+                                ? restaurantGridCategory
+                                : null
+                            ),
+                            hotspot
+                              ? `Gi* z: ${formatDecimal(hotspot.z, 2)}（${
+                                  hotspot.bin.label
+                                }）`
+                              : null,
+                          ].filter(Boolean),
                         });
                       }}
                       onMouseMove={onFeatureMove}
@@ -3341,6 +8208,19 @@ export default function App() {
                 </g>
               ) : null}
 
+              {mode === 'restaurant-analysis' && restaurantKdeImage ? (
+                <image
+                  href={restaurantKdeImage.href}
+                  x={restaurantKdeImage.x}
+                  y={restaurantKdeImage.y}
+                  width={restaurantKdeImage.width}
+                  height={restaurantKdeImage.height}
+                  preserveAspectRatio="none"
+                  clipPath={`url(#${RESTAURANT_GRID_CLIP_ID})`}
+                  style={{ pointerEvents: 'none' }}
+                />
+              ) : null}
+
               {/* Choropleth polygons */}
               {(!isBaseMapToggleMode || showPlainBaseMapLayer) &&
                 displayShapeGeo.features.map((f, idx) => {
@@ -3351,25 +8231,62 @@ export default function App() {
                   const fill =
                     mode === 'restaurant-analysis'
                       ? 'transparent'
+                      : mode === 'bivariate'
+                      ? bivariateFillOf(k)
+                      : lisaActive
+                      ? LISA_CLUSTERS.find(
+                          (c) => c.key === spatialStats.byKey.get(k)?.cluster
+                        )?.color || LISA_NOT_SIGNIFICANT_COLOR
                       : showPlainBaseMapLayer
                       ? 'transparent'
                       : isRestaurantLikeMode
                       ? '#f4f4f4'
+                      : hasV &&
+                        isInsignificantIn(
+                          analysisDetails.display,
+                          k,
+                          lqSignificance
+                        )
+                      ? lqInsignificantStyle === 'hatch'
+                        ? `url(#${LQ_HATCH_PATTERN_ID})`
+                        : LQ_INSIGNIFICANT_FILL
                       : hasV
                       ? colorForValue(Number(v))
                       : '#f2f2f2';
 
+                  const isPyramidTarget =
+                    mode === 'population' &&
+                    pyramidTarget?.type === 'area' &&
+                    pyramidTarget.key === k;
+
                   return (
                     <path
                       key={`${k}_${idx}`}
                       d={pathGen(f)}
                       fill={fill}
                       stroke={
-                        boldCityBoundary
+                        isPyramidTarget
+                          ? '#111'
+                          : boldCityBoundary
                           ? 'rgba(0,0,0,0.18)'
                           : 'rgba(0,0,0,0.35)'
                       }
-                      strokeWidth={0.6 / transform.k}
+                      strokeWidth={(isPyramidTarget ? 2 : 0.6) / transform.k}
+                      onClick={
+                        mode === 'population'
+                          ? () =>
+                              setPyramidTarget({
+                                type: 'area',
+                                key: k,
+                                name:
+                                  normalizeKeyString(
+                                    f?.properties?.S_NAME_JA
+                                  ) ||
+                                  normalizeKeyString(f?.properties?.S_NAME) ||
+                                  '(名称不明)',
+                              })
+                          : undefined
+                      }
                       onMouseEnter={
                         isRestaurantLikeMode
                           ? undefined
@@ -3404,10 +8321,11 @@ export default function App() {
                     const radius =
                       (restaurantRadius / transform.k) *
                       (1 + 0.1 * cluster.count);
-                    const color =
-                      RESTAURANT_MARKER_COLORS.find(
-                        (opt) => opt.value === restaurantMarkerColor
-                      )?.color || '#e53935';
+                    const color = restaurantMarkerFill;
+                    // 推定位置は薄い塗りと破線の縁で描く
+                    const precision =
+                      RESTAURANT_PRECISION_BY_KEY.get(cluster.precision) ||
+                      RESTAURANT_PRECISION_LEVELS[0];
                     return (
                       <circle
                         key={cluster.id || `cluster-${index}`}
@@ -3415,9 +8333,17 @@ export default function App() {
                         cy={cluster.y}
                         r={radius}
                         fill={color}
-                        fillOpacity={0.7}
-                        stroke="rgba(0,0,0,0.35)"
-                        strokeWidth={0.6 / transform.k}
+                        fillOpacity={precision.fillOpacity}
+                        stroke={precision.dash ? color : 'rgba(0,0,0,0.35)'}
+                        strokeWidth={(precision.dash ? 1.2 : 0.6) / transform.k}
+                        strokeDasharray={
+                          precision.dash
+                            ? precision.dash
+                                .split(' ')
+                                .map((n) => Number(n) / transform.k)
+                                .join(' ')
+                            : undefined
+                        }
                         onMouseEnter={(e) => {
                           if (cluster.point) {
                             setHover({
@@ -3449,7 +8375,38 @@ export default function App() {
                         }}
                         onMouseMove={onFeatureMove}
                         onMouseLeave={onFeatureLeave}
+                        data-map-drag={
+                          restaurantEditMode ? 'restaurant' : undefined
+                        }
+                        cursor={restaurantEditMode ? 'move' : undefined}
+                        onMouseDown={
+                          restaurantEditMode
+                            ? (e) => {
+                                // 重なりは表示中の店舗を動かす（クリックで切り替え）
+                                const point =
+                                  cluster.point ||
+                                  getRestaurantClusterPoint(
+                                    cluster,
+                                    restaurantClusterIndex[cluster.id] ?? 0
+                                  );
+                                if (!point) return;
+                                e.preventDefault();
+                                onFeatureLeave();
+                                restaurantDragMovedRef.current = false;
+                                setDraggingRestaurant({
+                                  id: point.id,
+                                  lat: point.lat,
+                                  lon: point.lon,
+                                  moved: false,
+                                });
+                              }
+                            : undefined
+                        }
                         onClick={(e) => {
+                          if (restaurantDragMovedRef.current) {
+                            restaurantDragMovedRef.current = false;
+                            return;
+                          }
                           if (cluster.count <= 1) return;
                           e.stopPropagation();
                           const nextIndex =
@@ -3475,6 +8432,17 @@ export default function App() {
                       />
                     );
                   })}
+                  {draggingRestaurantMarker ? (
+                    <circle
+                      cx={draggingRestaurantMarker.x}
+                      cy={draggingRestaurantMarker.y}
+                      r={restaurantRadius / transform.k}
+                      fill="none"
+                      stroke="#fb8c00"
+                      strokeWidth={2 / transform.k}
+                      style={{ pointerEvents: 'none' }}
+                    />
+                  ) : null}
                 </g>
               ) : null}
 
@@ -3532,7 +8500,12 @@ export default function App() {
                         cx={s.x}
                         cy={s.y}
                         r={stationRadius / transform.k}
-                        fill="#fff"
+                        fill={
+                          (mode === 'ridership' &&
+                            ridershipView === 'change' &&
+                            getRidershipChangeColor(s.id)) ||
+                          '#fff'
+                        }
                         stroke={s.color}
                         strokeWidth={2 / transform.k}
                       />
@@ -3553,7 +8526,12 @@ export default function App() {
                         y={cluster.y}
                         textAnchor="middle"
                         dominantBaseline="central"
-                        fill="#fff"
+                        fill={
+                          RESTAURANT_PRECISION_BY_KEY.get(cluster.precision)
+                            ?.dash
+                            ? restaurantMarkerFill
+                            : '#fff'
+                        }
                         fontSize={12 / transform.k}
                         fontWeight={700}
                         style={{ pointerEvents: 'none' }}
@@ -3564,6 +8542,52 @@ export default function App() {
                   )
                 : null}
 
+              {/* 確認待ちの住所: 候補（クリックで選択）と、ドラッグできる仮の位置 */}
+              {mode === 'restaurant' && selectedGeoReview && projection ? (
+                <g>
+                  {selectedGeoReview.candidates.map((cand, idx) => {
+                    const p = projection([cand.lon, cand.lat]);
+                    if (!p) return null;
+                    return (
+                      <circle
+                        key={`geo-review-candidate-${idx}`}
+                        cx={p[0]}
+                        cy={p[1]}
+                        r={5 / transform.k}
+                        fill="#fff"
+                        stroke="#fb8c00"
+                        strokeWidth={2 / transform.k}
+                        cursor="pointer"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setRestaurantGeoReviewPoint({
+                            lat: cand.lat,
+                            lon: cand.lon,
+                            level: cand.level,
+                          });
+                        }}
+                      />
+                    );
+                  })}
+                  {geoReviewMarker ? (
+                    <circle
+                      data-map-drag="geo-review"
+                      cx={geoReviewMarker.x}
+                      cy={geoReviewMarker.y}
+                      r={8 / transform.k}
+                      fill="#fb8c00"
+                      stroke="#fff"
+                      strokeWidth={2.5 / transform.k}
+                      cursor={draggingGeoReviewPoint ? 'grabbing' : 'move'}
+                      onMouseDown={(e) => {
+                        e.preventDefault();
+                        setDraggingGeoReviewPoint(true);
+                      }}
+                    />
+                  ) : null}
+                </g>
+              ) : null}
+
               {/* Station labels (topmost) */}
               {showRail && mode !== 'ridership'
                 ? stationLabelPoints.map((s) => {
@@ -3614,8 +8638,13 @@ export default function App() {
             }}
           >
             {stationScreenPoints.map((station) => {
-              const ridership = RIDERSHIP_BY_STATION_ID[station.id];
+              const ridership = ridershipValues[station.id];
               const iconParts = buildRidershipIconFragments(ridership ?? 0);
+              const change =
+                ridershipView === 'change'
+                  ? ridershipChange.map.get(station.id)
+                  : null;
+              const changeColor = getRidershipChangeColor(station.id);
               const offset = ridershipIndicatorOffsets[station.id] || {
                 offsetX: 12,
                 offsetY: -12,
@@ -3633,6 +8662,10 @@ export default function App() {
                     border: '1px solid rgba(0,0,0,0.15)',
                     padding: '8px 10px',
                     boxShadow: '0 6px 16px rgba(0,0,0,0.12)',
+                    borderLeft:
+                      ridershipView === 'change'
+                        ? `6px solid ${changeColor || 'rgba(0,0,0,0.15)'}`
+                        : undefined,
                     minWidth: 140,
                     width: 'fit-content',
                     fontSize: 12,
@@ -3662,46 +8695,79 @@ export default function App() {
                   >
                     <span>{station.name}</span>
                   </div>
-                  <div style={{ marginTop: 4, fontWeight: 700 }}>
-                    乗降客数: {formatNumber(ridership)}
-                  </div>
-                  <div
-                    style={{
-                      marginTop: 6,
-                      display: 'flex',
-                      flexWrap: 'wrap',
-                      gap: RIDERSHIP_ICON_GAP,
-                      width:
-                        ridershipIconWidth * RIDERSHIP_ICON_ROW_COUNT +
-                        RIDERSHIP_ICON_GAP * (RIDERSHIP_ICON_ROW_COUNT - 1),
-                    }}
-                  >
-                    {iconParts.length ? (
-                      iconParts.map((part, index) => (
-                        <div
-                          key={`${station.id}-icon-${index}`}
-                          style={{
-                            width: ridershipIconWidth * part.fraction,
-                            height: ridershipIconSize,
-                            overflow: 'hidden',
-                          }}
-                        >
-                          <img
-                            src={ridershipIconUrl}
-                            alt=""
-                            style={{
-                              width: ridershipIconWidth,
-                              height: ridershipIconSize,
-                              display: 'block',
-                              objectFit: 'contain',
-                            }}
-                          />
+                  {ridershipView === 'change' ? (
+                    change ? (
+                      <div style={{ marginTop: 4 }}>
+                        <div>
+                          {formatRidershipYear(ridershipYearA)}:{' '}
+                          {formatNumber(change.a)}
                         </div>
-                      ))
+                        <div>
+                          {formatRidershipYear(ridershipYearB)}:{' '}
+                          {formatNumber(change.b)}
+                        </div>
+                        <div style={{ fontWeight: 700 }}>
+                          増減: {change.diff > 0 ? '+' : ''}
+                          {formatNumber(change.diff)}
+                          {Number.isFinite(change.rate)
+                            ? `（${change.rate > 0 ? '+' : ''}${formatDecimal(
+                                change.rate
+                              )}%）`
+                            : ''}
+                        </div>
+                      </div>
                     ) : (
-                      <div style={{ opacity: 0.6 }}>データなし</div>
-                    )}
-                  </div>
+                      <div style={{ marginTop: 4, opacity: 0.6 }}>
+                        データなし
+                      </div>
+                    )
+                  ) : (
+                    <>
+                      <div style={{ marginTop: 4, fontWeight: 700 }}>
+                        乗降客数
+                        {ridershipYear ? `（${ridershipYear}年）` : ''}
+                        :{' '}
+                        {formatNumber(ridership)}
+                      </div>
+                      <div
+                        style={{
+                          marginTop: 6,
+                          display: 'flex',
+                          flexWrap: 'wrap',
+                          gap: RIDERSHIP_ICON_GAP,
+                          width:
+                            ridershipIconWidth * RIDERSHIP_ICON_ROW_COUNT +
+                            RIDERSHIP_ICON_GAP * (RIDERSHIP_ICON_ROW_COUNT - 1),
+                        }}
+                      >
+                        {iconParts.length ? (
+                          iconParts.map((part, index) => (
+                            <div
+                              key={`${station.id}-icon-${index}`}
+                              style={{
+                                width: ridershipIconWidth * part.fraction,
+                                height: ridershipIconSize,
+                                overflow: 'hidden',
+                              }}
+                            >
+                              <img
+                                src={ridershipIconUrl}
+                                alt=""
+                                style={{
+                                  width: ridershipIconWidth,
+                                  height: ridershipIconSize,
+                                  display: 'block',
+                                  objectFit: 'contain',
+                                }}
+                              />
+                            </div>
+                          ))
+                        ) : (
+                          <div style={{ opacity: 0.6 }}>データなし</div>
+                        )}
+                      </div>
+                    </>
+                  )}
                 </div>
               );
             })}
@@ -3779,7 +8845,7 @@ export default function App() {
               const stationPos = stationScreenLookup.get(id);
               if (!stationPos) return null;
               const stats = stationStats.get(id);
-              const ridership = RIDERSHIP_BY_STATION_ID[id];
+              const ridership = ridershipValues[id];
               const topCategories = stats?.topCategories ?? [];
               const averageComments =
                 stats?.count ? stats.commentTotal / stats.count : null;
@@ -3994,7 +9060,7 @@ export default function App() {
               <div
                 style={{
                   display: 'grid',
-                  gridTemplateColumns: 'repeat(7, 1fr)',
+                  gridTemplateColumns: 'repeat(4, 1fr)',
                   gap: 6,
                   marginBottom: 12,
                 }}
@@ -4019,6 +9085,11 @@ export default function App() {
                   active={mode === 'analysis'}
                   onClick={() => setMode('analysis')}
                 />
+                <ModeBtn
+                  label="2変量"
+                  active={mode === 'bivariate'}
+                  onClick={() => setMode('bivariate')}
+                />
                 <ModeBtn
                   label="飲食店"
                   active={mode === 'restaurant'}
@@ -4039,23 +9110,37 @@ export default function App() {
               {/* Built-in data */}
               <Section title="同梱データ（初期ロード）">
                 <div style={{ fontSize: 12, opacity: 0.8 }}>
-                  /data フォルダ内のファイルを自動で読み込みます。
+                  /{DATA_MANIFEST_PATH} に記載された /data
+                  フォルダ内のファイルを自動で読み込みます。
                 </div>
+                {manifestErr ? <ErrBox text={manifestErr} /> : null}
                 <ul style={{ margin: '6px 0 0 18px', fontSize: 12 }}>
                   <li>地図境界:</li>
-                  {MAP_SOURCES.map((source) => (
-                    <li key={source.code} style={{ marginLeft: 8 }}>
-                      {source.label}: /{source.path}.shp/.dbf/.prj/.shx/.cpg
+                  {manifestCities.map((city) => (
+                    <li key={city.code} style={{ marginLeft: 8 }}>
+                      {city.label}: /{city.shape}.shp/.dbf/.prj/.shx/.cpg
                     </li>
                   ))}
                   <li>
                     市境:
-                    {boundaryUrl ? ` /${boundaryUrl}` : ' (読み込み中)'}
+                    {boundaryUrl ? ` ${boundaryUrl}` : ' (読み込み中)'}
+                  </li>
+                  <li>
+                    人口:{' '}
+                    {manifestFileNames.population.join(' / ') || '（指定なし）'}
+                  </li>
+                  <li>
+                    世帯:{' '}
+                    {manifestFileNames.household.join(' / ') || '（指定なし）'}
+                  </li>
+                  <li>
+                    事業所:{' '}
+                    {manifestFileNames.business.join(' / ') || '（指定なし）'}
+                    （任意）
                   </li>
-                  <li>人口: h03_27(茨木_人口).csv</li>
-                  <li>世帯: h06_01_27(茨木_世帯).csv</li>
                   <li>
-                    飲食店: 飲食店_吹田_緯度経度付き.csv / 飲食店_豊中_緯度経度付き.csv
+                    飲食店:{' '}
+                    {manifestFileNames.restaurant.join(' / ') || '（指定なし）'}
                   </li>
                 </ul>
                 {selectedCityCodes.length ? (
@@ -4072,7 +9157,94 @@ export default function App() {
                 {boundaryErr ? <ErrBox text={boundaryErr} /> : null}
                 {popErr ? <ErrBox text={popErr} /> : null}
                 {hhErr ? <ErrBox text={hhErr} /> : null}
+                {bizErr ? <ErrBox text={bizErr} /> : null}
                 {restaurantErr ? <ErrBox text={restaurantErr} /> : null}
+                {addressRefErr ? <ErrBox text={addressRefErr} /> : null}
+
+                <div
+                  style={{
+                    marginTop: 10,
+                    fontSize: 12,
+                    fontWeight: 700,
+                    marginBottom: 6,
+                  }}
+                >
+                  ローカルデータの読み込み
+                </div>
+                <div style={{ display: 'flex', gap: 12, fontSize: 12 }}>
+                  {[
+                    { value: 'merge', label: '現在のデータに追加' },
+                    { value: 'replace', label: '置き換え' },
+                  ].map((opt) => (
+                    <label
+                      key={opt.value}
+                      style={{ display: 'flex', gap: 6, alignItems: 'center' }}
+                    >
+                      <input
+                        type="radio"
+                        name="local-import-mode"
+                        value={opt.value}
+                        checked={localImportMode === opt.value}
+                        onChange={(e) => setLocalImportMode(e.target.value)}
+                      />
+                      <span>{opt.label}</span>
+                    </label>
+                  ))}
+                </div>
+                <label
+                  onDragOver={(e) => {
+                    e.preventDefault();
+                    setLocalDropActive(true);
+                  }}
+                  onDragLeave={() => setLocalDropActive(false)}
+                  onDrop={(e) => {
+                    e.preventDefault();
+                    setLocalDropActive(false);
+                    handleLocalDataFiles(e.dataTransfer?.files);
+                  }}
+                  style={{
+                    display: 'block',
+                    marginTop: 8,
+                    padding: 14,
+                    border: `2px dashed ${
+                      localDropActive ? 'rgba(11,94,215,0.7)' : 'rgba(0,0,0,0.2)'
+                    }`,
+                    borderRadius: 10,
+                    background: localDropActive
+                      ? 'rgba(11,94,215,0.06)'
+                      : 'rgba(255,255,255,0.7)',
+                    fontSize: 12,
+                    textAlign: 'center',
+                    cursor: localImporting ? 'wait' : 'pointer',
+                  }}
+                >
+                  <input
+                    type="file"
+                    multiple
+                    accept=".zip,.shp,.dbf,.shx,.prj,.cpg,.csv,.geojson,.json,.txt"
+                    disabled={localImporting}
+                    onChange={(e) => {
+                      handleLocalDataFiles(e.target.files);
+                      e.target.value = '';
+                    }}
+                    style={{ display: 'none' }}
+                  />
+                  {localImporting
+                    ? '読み込み中...'
+                    : 'ここにファイルをドロップ、またはクリックして選択'}
+                  <div style={{ marginTop: 4, opacity: 0.7 }}>
+                    Shapefile（zip / .shp .dbf .shx .prj .cpg）・h03/h06/事業所CSV・GeoJSON・鉄道（N02 / GTFS）
+                  </div>
+                </label>
+                <div style={{ marginTop: 6, fontSize: 12, opacity: 0.8 }}>
+                  ファイルはサーバへ送信せず、ブラウザ内だけで処理します。
+                </div>
+                {localImportStatus ? (
+                  <div style={{ marginTop: 6, fontSize: 12 }}>
+                    {localImportStatus}
+                  </div>
+                ) : null}
+                {localImportErr ? <ErrBox text={localImportErr} /> : null}
               </Section>
 
               <Section title="表示設定">
@@ -4086,6 +9258,23 @@ export default function App() {
                   />
                   <span>市境を濃く表示</span>
                 </label>
+                <label
+                  style={{
+                    display: 'flex',
+                    gap: 10,
+                    alignItems: 'center',
+                    marginTop: 8,
+                    opacity: densityAvailable ? 1 : 0.5,
+                  }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={densityMode}
+                    disabled={!densityAvailable}
+                    onChange={(e) => setDensityMode(e.target.checked)}
+                  />
+                  <span>面積あたり（/km²）で表示（人口・世帯・事業所）</span>
+                </label>
                 {isBaseMapToggleMode && (
                   <label
                     style={{
@@ -4140,42 +9329,218 @@ export default function App() {
                   </select>
                 </div>
 
-                <div style={{ marginTop: 10 }}>
-                  <div
-                    style={{ fontSize: 12, fontWeight: 700, marginBottom: 6 }}
-                  >
-                    凡例の表示方法
-                  </div>
-                  <select
-                    value={legendLayout}
-                    onChange={(e) => setLegendLayout(e.target.value)}
-                    style={selectStyle}
-                  >
-                    <option value="horizontal">従来（横）</option>
-                    <option value="vertical">縦表示</option>
-                  </select>
-                </div>
-              </Section>
-
-              <Section title="表示する市区町村">
-                {activeCityCodes.length ? (
-                  activeCityCodes.map((code) => {
-                    const label =
-                      cityNameMap.get(code) || CITY_CODE_LABELS[code] || code;
-                    const checked = selectedCityCodes.includes(code);
-                    return (
-                      <label
-                        key={code}
+                {isChoroplethMode && (
+                  <div style={{ marginTop: 10 }}>
+                    <div
+                      style={{ fontSize: 12, fontWeight: 700, marginBottom: 6 }}
+                    >
+                      塗り分けの分類
+                    </div>
+                    <select
+                      value={classMethod}
+                      onChange={(e) => setClassMethod(e.target.value)}
+                      style={selectStyle}
+                    >
+                      {CLASSIFICATION_METHODS.map((opt) => (
+                        <option key={opt.value} value={opt.value}>
+                          {opt.label}
+                        </option>
+                      ))}
+                    </select>
+                    {classMethod === 'manual' ? (
+                      <input
+                        type="text"
+                        value={manualBreaksText}
+                        onChange={(e) => setManualBreaksText(e.target.value)}
+                        placeholder="境界値をカンマ区切りで入力（例: 100, 500, 1000）"
                         style={{
-                          display: 'flex',
-                          gap: 8,
-                          alignItems: 'center',
-                          margin: '4px 0',
+                          ...selectStyle,
+                          marginTop: 6,
+                          boxSizing: 'border-box',
                         }}
-                      >
+                      />
+                    ) : classMethod !== 'continuous' ? (
+                      <label style={{ display: 'block', marginTop: 6 }}>
+                        <div style={{ fontSize: 12, marginBottom: 4 }}>
+                          階級数: {classCount}
+                        </div>
                         <input
-                          type="checkbox"
-                          checked={checked}
+                          type="range"
+                          min={CLASS_COUNT_MIN}
+                          max={CLASS_COUNT_MAX}
+                          step={1}
+                          value={classCount}
+                          onChange={(e) => setClassCount(Number(e.target.value))}
+                          style={{ width: '100%' }}
+                        />
+                      </label>
+                    ) : null}
+                    {classMethod !== 'continuous' && (
+                      <div style={{ marginTop: 6, fontSize: 12, opacity: 0.75 }}>
+                        境界値は各階級の上限です（値が境界値以下なら下の階級）。
+                        {classMethod === 'stddev' &&
+                          ' 平均を中心に 1σ 幅で区切ります。'}
+                        {classification &&
+                          classification.classes.length < classCount &&
+                          classMethod !== 'manual' &&
+                          ` 値の分布により ${classification.classes.length} 階級になりました。`}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {isChoroplethMode && (
+                  <div style={{ marginTop: 10 }}>
+                    <div
+                      style={{ fontSize: 12, fontWeight: 700, marginBottom: 6 }}
+                    >
+                      配色（このモード）
+                    </div>
+                    <select
+                      value={colorRampSpec.scheme}
+                      onChange={(e) =>
+                        updateColorRamp({
+                          scheme: e.target.value,
+                          colors: customRampColors,
+                        })
+                      }
+                      style={selectStyle}
+                    >
+                      {COLOR_RAMP_GROUPS.map((group) => (
+                        <optgroup key={group.label} label={group.label}>
+                          {group.schemes.map((sc) => (
+                            <option key={sc.key} value={sc.key}>
+                              {sc.key}
+                              {sc.cbSafe ? '（色覚配慮）' : ''}
+                            </option>
+                          ))}
+                        </optgroup>
+                      ))}
+                      <option value={CUSTOM_COLOR_RAMP}>カスタム（2〜3色）</option>
+                    </select>
+                    <div
+                      style={{
+                        marginTop: 6,
+                        height: 10,
+                        borderRadius: 5,
+                        border: '1px solid rgba(0,0,0,0.1)',
+                        background: `linear-gradient(to right, ${[
+                          0, 0.25, 0.5, 0.75, 1,
+                        ]
+                          .map((t) => rampInterpolator(t))
+                          .join(', ')})`,
+                      }}
+                    />
+                    <div
+                      style={{
+                        display: 'flex',
+                        gap: 12,
+                        alignItems: 'center',
+                        marginTop: 6,
+                        fontSize: 12,
+                        flexWrap: 'wrap',
+                      }}
+                    >
+                      <label
+                        style={{ display: 'flex', gap: 6, alignItems: 'center' }}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={colorRampSpec.reverse}
+                          onChange={(e) =>
+                            updateColorRamp({ reverse: e.target.checked })
+                          }
+                        />
+                        <span>反転</span>
+                      </label>
+                      {colorRampSpec.scheme === CUSTOM_COLOR_RAMP && (
+                        <>
+                          {customRampColors.map((color, i) => (
+                            <input
+                              key={`ramp-color-${i}`}
+                              type="color"
+                              value={color}
+                              onChange={(e) => {
+                                const colors = [...customRampColors];
+                                colors[i] = e.target.value;
+                                updateColorRamp({ colors });
+                              }}
+                              style={{ width: 32, height: 22, padding: 0 }}
+                            />
+                          ))}
+                          <button
+                            style={miniBtn}
+                            onClick={() =>
+                              updateColorRamp({
+                                colors:
+                                  customRampColors.length === 3
+                                    ? [customRampColors[0], customRampColors[2]]
+                                    : [
+                                        customRampColors[0],
+                                        '#ffffff',
+                                        customRampColors[1],
+                                      ],
+                              })
+                            }
+                          >
+                            {customRampColors.length === 3
+                              ? '2色にする'
+                              : '中間色を追加'}
+                          </button>
+                        </>
+                      )}
+                      <button
+                        style={miniBtn}
+                        onClick={() =>
+                          setColorRamps((prev) => {
+                            const next = { ...prev };
+                            delete next[mode];
+                            return next;
+                          })
+                        }
+                      >
+                        既定に戻す
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                <div style={{ marginTop: 10 }}>
+                  <div
+                    style={{ fontSize: 12, fontWeight: 700, marginBottom: 6 }}
+                  >
+                    凡例の表示方法
+                  </div>
+                  <select
+                    value={legendLayout}
+                    onChange={(e) => setLegendLayout(e.target.value)}
+                    style={selectStyle}
+                  >
+                    <option value="horizontal">従来（横）</option>
+                    <option value="vertical">縦表示</option>
+                  </select>
+                </div>
+              </Section>
+
+              <Section title="表示する市区町村">
+                {activeCityCodes.length ? (
+                  activeCityCodes.map((code) => {
+                    const label =
+                      cityNameMap.get(code) || cityCodeLabels[code] || code;
+                    const checked = selectedCityCodes.includes(code);
+                    return (
+                      <label
+                        key={code}
+                        style={{
+                          display: 'flex',
+                          gap: 8,
+                          alignItems: 'center',
+                          margin: '4px 0',
+                        }}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={checked}
                           onChange={(e) => {
                             setSelectedCityCodes((prev) => {
                               const set = new Set(prev);
@@ -4211,6 +9576,25 @@ export default function App() {
                   <span>路線・駅を表示</span>
                 </label>
 
+                <div style={{ marginTop: 8, fontSize: 12 }}>
+                  路線データ:{' '}
+                  {railNetwork.source || '同梱（駅間を直線で結んだ近似）'}
+                  {railNetwork.source ? (
+                    <button
+                      type="button"
+                      onClick={() => setRailNetwork(DEFAULT_RAIL_NETWORK)}
+                      style={{ ...miniBtn, marginLeft: 8 }}
+                    >
+                      同梱の路線に戻す
+                    </button>
+                  ) : null}
+                </div>
+                <div style={{ marginTop: 4, fontSize: 12, opacity: 0.75 }}>
+                  路線 GeoJSON（国土数値情報 N02 可）や GTFS（stops.txt /
+                  shapes.txt）は「同梱データ」欄のドロップ枠から読み込めます。
+                </div>
+                {railErr ? <ErrBox text={railErr} /> : null}
+
                 <label
                   style={{
                     display: 'flex',
@@ -4306,6 +9690,63 @@ export default function App() {
                           fontWeight: 800,
                           marginBottom: 6,
                         }}
+                      >
+                        表示する値
+                      </div>
+                      <div style={{ display: 'flex', gap: 12, fontSize: 12 }}>
+                        {[
+                          { value: 'count', label: '人数' },
+                          { value: 'ratio', label: '割合（分子÷分母, %）' },
+                        ].map((opt) => (
+                          <label
+                            key={opt.value}
+                            style={{
+                              display: 'flex',
+                              gap: 6,
+                              alignItems: 'center',
+                            }}
+                          >
+                            <input
+                              type="radio"
+                              name="pop-measure"
+                              value={opt.value}
+                              checked={popMeasure === opt.value}
+                              onChange={(e) => setPopMeasure(e.target.value)}
+                            />
+                            <span>{opt.label}</span>
+                          </label>
+                        ))}
+                      </div>
+                      <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+                        <button
+                          style={miniBtn}
+                          onClick={() =>
+                            applyPopRatioPreset(
+                              (b) => b.lower >= PYRAMID_ELDERLY_MIN_AGE
+                            )
+                          }
+                        >
+                          高齢化率
+                        </button>
+                        <button
+                          style={miniBtn}
+                          onClick={() =>
+                            applyPopRatioPreset(
+                              (b) => b.upper <= PYRAMID_YOUNG_MAX_AGE
+                            )
+                          }
+                        >
+                          15歳未満割合
+                        </button>
+                      </div>
+
+                      <div
+                        style={{
+                          marginTop: 10,
+                          fontSize: 12,
+                          fontWeight: 800,
+                          marginBottom: 6,
+                        }}
                       >
                         性別
                       </div>
@@ -4345,7 +9786,7 @@ export default function App() {
                         }}
                       >
                         <div style={{ fontSize: 12, fontWeight: 800 }}>
-                          年齢階級
+                          {popMeasure === 'ratio' ? '年齢階級（分子）' : '年齢階級'}
                         </div>
                         <div style={{ display: 'flex', gap: 8 }}>
                           <button
@@ -4407,6 +9848,137 @@ export default function App() {
                         ヒント:
                         「総数」行を使いたい場合は性別で「総数」にチェックを入れてください。
                       </div>
+
+                      {popMeasure === 'ratio' ? (
+                        <>
+                          <div
+                            style={{
+                              marginTop: 12,
+                              fontSize: 12,
+                              fontWeight: 800,
+                              marginBottom: 6,
+                            }}
+                          >
+                            分母（分子と同じ性別で合計）
+                          </div>
+                          <div
+                            style={{ display: 'flex', gap: 12, fontSize: 12 }}
+                          >
+                            {[
+                              { value: 'total', label: '総人口' },
+                              { value: 'ages', label: '年齢階級を選択' },
+                            ].map((opt) => (
+                              <label
+                                key={opt.value}
+                                style={{
+                                  display: 'flex',
+                                  gap: 6,
+                                  alignItems: 'center',
+                                }}
+                              >
+                                <input
+                                  type="radio"
+                                  name="pop-denom-type"
+                                  value={opt.value}
+                                  checked={popDenomType === opt.value}
+                                  onChange={(e) =>
+                                    setPopDenomType(e.target.value)
+                                  }
+                                />
+                                <span>{opt.label}</span>
+                              </label>
+                            ))}
+                          </div>
+                          {popDenomType === 'ages' ? (
+                            <div
+                              style={{
+                                marginTop: 8,
+                                maxHeight: 160,
+                                overflow: 'auto',
+                                border: '1px solid rgba(0,0,0,0.1)',
+                                borderRadius: 10,
+                                padding: 10,
+                                background: 'rgba(255,255,255,0.7)',
+                              }}
+                            >
+                              {popAgeColumns.map((col) => (
+                                <label
+                                  key={col}
+                                  style={{
+                                    display: 'flex',
+                                    gap: 8,
+                                    alignItems: 'center',
+                                    margin: '4px 0',
+                                  }}
+                                >
+                                  <input
+                                    type="checkbox"
+                                    checked={popDenomAgeSel.has(col)}
+                                    onChange={(e) => {
+                                      setPopDenomAgeSel((prev) => {
+                                        const next = new Set(prev);
+                                        if (e.target.checked) next.add(col);
+                                        else next.delete(col);
+                                        return next;
+                                      });
+                                    }}
+                                  />
+                                  <span>{col}</span>
+                                </label>
+                              ))}
+                            </div>
+                          ) : (
+                            <div
+                              style={{ marginTop: 6, fontSize: 12, opacity: 0.8 }}
+                            >
+                              「総数」列（無い場合は全年齢階級の合計）を使います。
+                            </div>
+                          )}
+                        </>
+                      ) : null}
+
+                      <div
+                        style={{
+                          marginTop: 12,
+                          fontSize: 12,
+                          fontWeight: 800,
+                          marginBottom: 6,
+                        }}
+                      >
+                        人口ピラミッド
+                      </div>
+                      <select
+                        value={
+                          pyramidTarget?.type === 'city'
+                            ? pyramidTarget.code
+                            : pyramidTarget?.type === 'area'
+                            ? 'area'
+                            : ''
+                        }
+                        onChange={(e) => {
+                          const value = e.target.value;
+                          if (value === 'area') return;
+                          setPyramidTarget(
+                            value ? { type: 'city', code: value } : null
+                          );
+                        }}
+                        style={selectStyle}
+                      >
+                        <option value="">表示しない</option>
+                        {pyramidTarget?.type === 'area' ? (
+                          <option value="area">
+                            {pyramidTarget.name}（クリックした町丁）
+                          </option>
+                        ) : null}
+                        {activeCityCodes.map((code, index) => (
+                          <option key={code} value={code}>
+                            {activeCityNames[index]}（市全体）
+                          </option>
+                        ))}
+                      </select>
+                      <div style={{ marginTop: 6, fontSize: 12, opacity: 0.8 }}>
+                        地図上の町丁をクリックすると、その町丁のピラミッドを市平均と重ねて表示します。
+                      </div>
                     </>
                   )}
                 </Section>
@@ -4474,37 +10046,115 @@ export default function App() {
               )}
 
               {mode === 'business' && (
-                <Section title="事業所モード（暫定：数値列を選択して塗り分け）">
+                <Section title="事業所モード（経済センサス）">
+                  <div
+                    style={{ fontSize: 12, fontWeight: 800, marginBottom: 6 }}
+                  >
+                    CSVを選択（複数可）
+                  </div>
+                  <input
+                    type="file"
+                    accept=".csv,text/csv"
+                    multiple
+                    onChange={(e) => {
+                      handleBusinessFiles(e.target.files);
+                      e.target.value = '';
+                    }}
+                    style={{ fontSize: 12 }}
+                  />
+                  <div style={{ marginTop: 6, fontSize: 12, opacity: 0.8 }}>
+                    {bizSource
+                      ? `読み込み中のファイル: ${bizSource}`
+                      : '同梱データが無い場合はローカルのCSVを選択してください（ブラウザ内で処理します）。'}
+                  </div>
+                  {bizErr ? <ErrBox text={bizErr} /> : null}
                   {!bizRows ? (
-                    <div style={{ fontSize: 12, opacity: 0.75 }}>
+                    <div style={{ marginTop: 8, fontSize: 12, opacity: 0.75 }}>
                       事業所データは同梱されていません。
                     </div>
                   ) : businessNumericColumns.length === 0 ? (
-                    <div style={{ fontSize: 12, opacity: 0.75 }}>
+                    <div style={{ marginTop: 8, fontSize: 12, opacity: 0.75 }}>
                       数値列が自動検出できませんでした。列名やデータ形式を見直してください。
                     </div>
                   ) : (
                     <>
                       <div
                         style={{
+                          marginTop: 10,
                           fontSize: 12,
                           fontWeight: 800,
                           marginBottom: 6,
                         }}
                       >
-                        可視化する数値列
+                        指標
                       </div>
                       <select
-                        value={bizMetric}
-                        onChange={(e) => setBizMetric(e.target.value)}
+                        value={bizMeasure}
+                        onChange={(e) => setBizMeasure(e.target.value)}
                         style={selectStyle}
                       >
-                        {businessNumericColumns.map((k) => (
-                          <option key={k} value={k}>
-                            {k}
+                        {businessSchema.measures.map((m) => (
+                          <option key={m.key} value={m.key}>
+                            {m.label}
                           </option>
                         ))}
+                        <option value={BUSINESS_COLUMN_MEASURE}>
+                          数値列を直接選択
+                        </option>
                       </select>
+
+                      {bizMeasure === BUSINESS_COLUMN_MEASURE ? (
+                        <>
+                          <div
+                            style={{
+                              marginTop: 10,
+                              fontSize: 12,
+                              fontWeight: 800,
+                              marginBottom: 6,
+                            }}
+                          >
+                            可視化する数値列
+                          </div>
+                          <select
+                            value={bizMetric}
+                            onChange={(e) => setBizMetric(e.target.value)}
+                            style={selectStyle}
+                          >
+                            {businessNumericColumns.map((k) => (
+                              <option key={k} value={k}>
+                                {k}
+                              </option>
+                            ))}
+                          </select>
+                        </>
+                      ) : businessSchema.industries.length ? (
+                        <>
+                          <div
+                            style={{
+                              marginTop: 10,
+                              fontSize: 12,
+                              fontWeight: 800,
+                              marginBottom: 6,
+                            }}
+                          >
+                            産業分類
+                          </div>
+                          <select
+                            value={bizIndustry}
+                            onChange={(e) => setBizIndustry(e.target.value)}
+                            style={selectStyle}
+                          >
+                            <option value={BUSINESS_ALL_INDUSTRY_KEY}>
+                              全産業
+                            </option>
+                            {businessSchema.industries.map((k) => (
+                              <option key={k} value={k}>
+                                {k}
+                              </option>
+                            ))}
+                          </select>
+                        </>
+                      ) : null}
                       <div
                         style={{ marginTop: 10, fontSize: 12, opacity: 0.85 }}
                       >
@@ -4517,71 +10167,581 @@ export default function App() {
 
               {mode === 'analysis' && (
                 <Section title="分析モード（特化係数）">
-                  {!hhRows ? (
+                  <div
+                    style={{ fontSize: 12, fontWeight: 800, marginBottom: 6 }}
+                  >
+                    元データ
+                  </div>
+                  <div
+                    style={{
+                      display: 'flex',
+                      gap: 12,
+                      fontSize: 12,
+                      marginBottom: 10,
+                    }}
+                  >
+                    {[
+                      { value: 'household', label: '世帯（h06）' },
+                      { value: 'population', label: '人口（h03）' },
+                      { value: 'business', label: '事業所' },
+                    ].map((opt) => (
+                      <label
+                        key={opt.value}
+                        style={{ display: 'flex', gap: 6, alignItems: 'center' }}
+                      >
+                        <input
+                          type="radio"
+                          name="analysis-source"
+                          value={opt.value}
+                          checked={analysisSource === opt.value}
+                          onChange={(e) => setAnalysisSource(e.target.value)}
+                        />
+                        <span>{opt.label}</span>
+                      </label>
+                    ))}
+                  </div>
+                  {(
+                    analysisSource === 'population'
+                      ? !popRows
+                      : analysisSource === 'business'
+                        ? !bizRows
+                        : !hhRows
+                  ) ? (
                     <div style={{ fontSize: 12, opacity: 0.75 }}>
-                      世帯データが読み込まれると分析が有効になります。
+                      {analysisSource === 'population'
+                        ? '人口'
+                        : analysisSource === 'business'
+                          ? '事業所'
+                          : '世帯'}
+                      データが読み込まれると分析が有効になります。
                     </div>
                   ) : (
                     <>
+                      {analysisSource === 'household' && (
+                        <>
+                          <div
+                            style={{
+                              fontSize: 12,
+                              fontWeight: 800,
+                              marginBottom: 6,
+                            }}
+                          >
+                            行（世帯員の年齢による世帯の種類）
+                          </div>
+                          <select
+                            value={hhRowType}
+                            onChange={(e) => setHhRowType(e.target.value)}
+                            style={selectStyle}
+                          >
+                            {householdRowTypeOptions.map((v) => (
+                              <option key={v} value={v}>
+                                {v}
+                              </option>
+                            ))}
+                          </select>
+                        </>
+                      )}
+
+                      {[
+                        {
+                          label: '特化係数の対象（分子）',
+                          value: analysisMetric,
+                          onChange: setAnalysisMetric,
+                        },
+                        {
+                          label: '分母',
+                          value: analysisDenom,
+                          onChange: setAnalysisDenom,
+                        },
+                      ].map((term) => (
+                        <div key={term.label}>
+                          <div
+                            style={{
+                              marginTop: 10,
+                              fontSize: 12,
+                              fontWeight: 800,
+                              marginBottom: 6,
+                            }}
+                          >
+                            {term.label}
+                          </div>
+                          <select
+                            value={term.value}
+                            onChange={(e) => term.onChange(e.target.value)}
+                            style={selectStyle}
+                          >
+                            {analysisTerms.options.map((opt) => (
+                              <option key={opt.key} value={opt.key}>
+                                {opt.label}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      ))}
+
                       <div
                         style={{
+                          marginTop: 10,
                           fontSize: 12,
                           fontWeight: 800,
                           marginBottom: 6,
                         }}
                       >
-                        行（世帯員の年齢による世帯の種類）
+                        基準地域
                       </div>
                       <select
-                        value={hhRowType}
-                        onChange={(e) => setHhRowType(e.target.value)}
+                        value={analysisReference}
+                        onChange={(e) => setAnalysisReference(e.target.value)}
                         style={selectStyle}
                       >
-                        {householdRowTypeOptions.map((v) => (
-                          <option key={v} value={v}>
-                            {v}
+                        <option value={ANALYSIS_REFERENCE_ALL}>
+                          表示中の全市
+                        </option>
+                        <option value={ANALYSIS_REFERENCE_EACH_CITY}>
+                          各市ごと（町丁の所属市）
+                        </option>
+                        {activeCityCodes.map((code, i) => (
+                          <option key={code} value={code}>
+                            {activeCityNames[i]}
                           </option>
                         ))}
                       </select>
 
+                      <div
+                        style={{ marginTop: 8, fontSize: 12, opacity: 0.85 }}
+                      >
+                        各地域の「分子 ÷ 分母」を、基準地域全体の「分子 ÷ 分母」で割った倍率を表示します。
+                      </div>
+                      {analysisSource === 'population' && (
+                        <div
+                          style={{ marginTop: 6, fontSize: 12, opacity: 0.75 }}
+                        >
+                          ※性別は人口モードの選択（
+                          {Object.keys(sexSel)
+                            .filter((sx) => sexSel[sx])
+                            .join('・') || '未選択'}
+                          ）を使います。「人口モードの年齢選択」は{ageSel.size}
+                          階級、「割合の分母」は
+                          {popDenomType === 'ages'
+                            ? `${popDenomAgeSel.size}階級`
+                            : '総人口'}
+                          です。
+                        </div>
+                      )}
+                      {analysisSource === 'household' && (
+                        <div
+                          style={{ marginTop: 6, fontSize: 12, opacity: 0.75 }}
+                        >
+                          ※家族類型を先頭に、h06の数値列を表示しています。
+                        </div>
+                      )}
+
                       <div
                         style={{
-                          marginTop: 10,
+                          marginTop: 12,
                           fontSize: 12,
                           fontWeight: 800,
                           marginBottom: 6,
                         }}
                       >
-                        特化係数の対象（分子）
-                      </div>
-                      {/* ★追加：プルダウン */}
-                      <select
-                        value={analysisMetric}
-                        onChange={(e) => setAnalysisMetric(e.target.value)}
-                        style={selectStyle}
-                      >
-                        {analysisMetricOptions.map((k) => (
-                          <option key={k} value={k}>
-                            {k}
-                          </option>
-                        ))}
-                      </select>
-
-                      <div
-                        style={{ marginTop: 8, fontSize: 12, opacity: 0.85 }}
-                      >
-                        分母は「総数」列。市平均比率に対する各地域比率の倍率を表示します。
+                        有意性（小さな地域の外れ値を抑える）
                       </div>
                       <div
-                        style={{ marginTop: 10, fontSize: 12, opacity: 0.75 }}
+                        style={{
+                          display: 'flex',
+                          gap: 12,
+                          fontSize: 12,
+                          flexWrap: 'wrap',
+                        }}
                       >
-                        ※h06の列に存在する指標のみ表示しています（毎回同じフォーマット想定）。
-                      </div>
+                        {LQ_TEST_OPTIONS.map((opt) => (
+                          <label
+                            key={opt.value}
+                            style={{
+                              display: 'flex',
+                              gap: 6,
+                              alignItems: 'center',
+                            }}
+                          >
+                            <input
+                              type="radio"
+                              name="lq-test"
+                              value={opt.value}
+                              checked={lqTest === opt.value}
+                              onChange={(e) => setLqTest(e.target.value)}
+                            />
+                            <span>{opt.label}</span>
+                          </label>
+                        ))}
+                      </div>
+                      <div
+                        style={{
+                          display: 'grid',
+                          gridTemplateColumns: '1fr 1fr',
+                          gap: 8,
+                          marginTop: 8,
+                          fontSize: 12,
+                        }}
+                      >
+                        <label>
+                          <div style={{ marginBottom: 4 }}>有意水準</div>
+                          <select
+                            value={lqLevel}
+                            onChange={(e) => setLqLevel(Number(e.target.value))}
+                            disabled={lqTest === 'off'}
+                            style={selectStyle}
+                          >
+                            {LQ_SIGNIFICANCE_LEVELS.map((opt) => (
+                              <option key={opt.value} value={opt.value}>
+                                {opt.label}（p ≤ {opt.value}）
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                        <label>
+                          <div style={{ marginBottom: 4 }}>最小分母</div>
+                          <input
+                            type="number"
+                            min={0}
+                            step={1}
+                            value={lqMinDenom}
+                            onChange={(e) =>
+                              setLqMinDenom(
+                                Math.max(0, Number(e.target.value) || 0)
+                              )
+                            }
+                            style={{ ...selectStyle, boxSizing: 'border-box' }}
+                          />
+                        </label>
+                      </div>
+                      <div
+                        style={{
+                          display: 'flex',
+                          gap: 12,
+                          marginTop: 8,
+                          fontSize: 12,
+                        }}
+                      >
+                        <span>有意でない地域:</span>
+                        {[
+                          { value: 'hatch', label: '斜線' },
+                          { value: 'grey', label: '灰色' },
+                        ].map((opt) => (
+                          <label
+                            key={opt.value}
+                            style={{
+                              display: 'flex',
+                              gap: 6,
+                              alignItems: 'center',
+                            }}
+                          >
+                            <input
+                              type="radio"
+                              name="lq-insignificant-style"
+                              value={opt.value}
+                              checked={lqInsignificantStyle === opt.value}
+                              onChange={(e) =>
+                                setLqInsignificantStyle(e.target.value)
+                              }
+                            />
+                            <span>{opt.label}</span>
+                          </label>
+                        ))}
+                      </div>
+                      <div
+                        style={{ marginTop: 8, fontSize: 12, opacity: 0.75 }}
+                      >
+                        期待値 = 分母 × 基準地域の比率。分子を観測数として z
+                        スコア、またはポアソン分布の両側 p
+                        値で判定し、有意でない地域と分母が最小分母未満の地域は色の範囲から除きます。
+                        {lqFilterActive &&
+                          ` 現在 ${formatNumber(insignificantCount)} 地域が対象外です。`}
+                      </div>
+                    </>
+                  )}
+                </Section>
+              )}
+
+              {isSpatialStatsMode && (
+                <Section title="空間的自己相関（Moran's I / LISA）">
+                  <label
+                    style={{ display: 'flex', gap: 10, alignItems: 'center' }}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={spatialStatsOn}
+                      onChange={(e) => setSpatialStatsOn(e.target.checked)}
+                    />
+                    <span>表示中の値で計算する</span>
+                  </label>
+                  {spatialStatsOn && (
+                    <>
+                      <div
+                        style={{
+                          display: 'grid',
+                          gridTemplateColumns: '1fr 1fr 1fr',
+                          gap: 8,
+                          marginTop: 8,
+                          fontSize: 12,
+                        }}
+                      >
+                        <label>
+                          <div style={{ marginBottom: 4 }}>隣接</div>
+                          <select
+                            value={contiguityType}
+                            onChange={(e) => setContiguityType(e.target.value)}
+                            style={selectStyle}
+                          >
+                            {CONTIGUITY_OPTIONS.map((opt) => (
+                              <option key={opt.value} value={opt.value}>
+                                {opt.label}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                        <label>
+                          <div style={{ marginBottom: 4 }}>並べ替え回数</div>
+                          <select
+                            value={moranPermutations}
+                            onChange={(e) =>
+                              setMoranPermutations(Number(e.target.value))
+                            }
+                            style={selectStyle}
+                          >
+                            {MORAN_PERMUTATION_OPTIONS.map((n) => (
+                              <option key={n} value={n}>
+                                {n}回
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                        <label>
+                          <div style={{ marginBottom: 4 }}>LISA 有意水準</div>
+                          <select
+                            value={lisaAlpha}
+                            onChange={(e) => setLisaAlpha(Number(e.target.value))}
+                            style={selectStyle}
+                          >
+                            {LISA_ALPHA_OPTIONS.map((a) => (
+                              <option key={a} value={a}>
+                                p ≤ {a}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                      </div>
+
+                      {spatialStats ? (
+                        <div style={{ marginTop: 10, ...kvRow }}>
+                          <div style={{ fontSize: 12 }}>
+                            <div>
+                              Moran's I:{' '}
+                              <b>{formatDecimal(spatialStats.moranI, 3)}</b>
+                              （期待値{' '}
+                              {formatDecimal(spatialStats.expected, 3)}）
+                            </div>
+                            <div>
+                              p値（並べ替え検定）:{' '}
+                              {formatDecimal(spatialStats.p, 3)}
+                              {spatialStats.p <= 0.05
+                                ? spatialStats.moranI >= spatialStats.expected
+                                  ? ' → 似た値が集まっている'
+                                  : ' → 似た値が離れて分布している'
+                                : ' → 有意な空間的自己相関なし'}
+                            </div>
+                            <div style={{ opacity: 0.75 }}>
+                              対象 {formatNumber(spatialStats.n)}{' '}
+                              地域（値が無い・隣接地域が無い町丁は除外）
+                            </div>
+                          </div>
+                        </div>
+                      ) : (
+                        <div
+                          style={{ marginTop: 10, fontSize: 12, opacity: 0.75 }}
+                        >
+                          値のある隣接地域が 3 つ以上必要です。
+                        </div>
+                      )}
+
+                      <label
+                        style={{
+                          display: 'flex',
+                          gap: 10,
+                          alignItems: 'center',
+                          marginTop: 10,
+                          opacity: spatialStats ? 1 : 0.5,
+                        }}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={lisaView}
+                          disabled={!spatialStats}
+                          onChange={(e) => setLisaView(e.target.checked)}
+                        />
+                        <span>LISA クラスタで塗り分ける</span>
+                      </label>
+                      <div
+                        style={{ marginTop: 6, fontSize: 12, opacity: 0.75 }}
+                      >
+                        重みは隣接地域で行基準化。LISA は条件付き並べ替え検定で、高-高・低-低・高-低・低-高のクラスタを表示します。
+                      </div>
                     </>
                   )}
                 </Section>
               )}
 
+              {mode === 'bivariate' && (
+                <Section title="2変量モード（2つの指標の組み合わせ）">
+                  {[
+                    {
+                      axis: 'x',
+                      title: '横軸の指標',
+                      indicator: bivariateX,
+                      setIndicator: setBivariateX,
+                      terms: bivariateTerms.x,
+                    },
+                    {
+                      axis: 'y',
+                      title: '縦軸の指標',
+                      indicator: bivariateY,
+                      setIndicator: setBivariateY,
+                      terms: bivariateTerms.y,
+                    },
+                  ].map(({ axis, title, indicator, setIndicator, terms }) => (
+                    <div key={axis} style={{ marginBottom: 12 }}>
+                      <div
+                        style={{
+                          fontSize: 12,
+                          fontWeight: 800,
+                          marginBottom: 6,
+                        }}
+                      >
+                        {title}
+                      </div>
+                      <select
+                        value={indicator.source}
+                        onChange={(e) => {
+                          const next = buildAnalysisTermOptions(
+                            e.target.value,
+                            analysisTermContext
+                          );
+                          setIndicator({
+                            source: e.target.value,
+                            numer: next.numer,
+                            denom: next.denom,
+                          });
+                        }}
+                        style={selectStyle}
+                      >
+                        {BIVARIATE_SOURCE_OPTIONS.map((opt) => (
+                          <option key={opt.value} value={opt.value}>
+                            {opt.label}
+                          </option>
+                        ))}
+                      </select>
+                      {terms.options.length ? (
+                        <div
+                          style={{
+                            display: 'grid',
+                            gridTemplateColumns: '1fr 1fr',
+                            gap: 8,
+                            marginTop: 6,
+                            fontSize: 12,
+                          }}
+                        >
+                          <label>
+                            <div style={{ marginBottom: 4 }}>分子</div>
+                            <select
+                              value={indicator.numer}
+                              onChange={(e) =>
+                                setIndicator({
+                                  ...indicator,
+                                  numer: e.target.value,
+                                })
+                              }
+                              style={selectStyle}
+                            >
+                              {terms.options.map((opt) => (
+                                <option key={opt.key} value={opt.key}>
+                                  {opt.label}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                          <label>
+                            <div style={{ marginBottom: 4 }}>分母</div>
+                            <select
+                              value={indicator.denom}
+                              onChange={(e) =>
+                                setIndicator({
+                                  ...indicator,
+                                  denom: e.target.value,
+                                })
+                              }
+                              style={selectStyle}
+                            >
+                              <option value="">なし（実数）</option>
+                              {terms.options.map((opt) => (
+                                <option key={opt.key} value={opt.key}>
+                                  {opt.label}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                        </div>
+                      ) : (
+                        <div style={{ marginTop: 6, fontSize: 12, opacity: 0.75 }}>
+                          データが読み込まれると選択できます。
+                        </div>
+                      )}
+                    </div>
+                  ))}
+
+                  <div style={{ display: 'flex', gap: 8, marginBottom: 10 }}>
+                    <button
+                      style={miniBtn}
+                      onClick={() => {
+                        setBivariateX(DEFAULT_BIVARIATE_X);
+                        setBivariateY(DEFAULT_BIVARIATE_Y);
+                      }}
+                    >
+                      高齢化率 × 単独世帯比率
+                    </button>
+                    <button
+                      style={miniBtn}
+                      onClick={() => {
+                        setBivariateX(bivariateY);
+                        setBivariateY(bivariateX);
+                      }}
+                    >
+                      縦横を入れ替え
+                    </button>
+                  </div>
+
+                  <div
+                    style={{ fontSize: 12, fontWeight: 800, marginBottom: 6 }}
+                  >
+                    配色
+                  </div>
+                  <select
+                    value={bivariatePalette}
+                    onChange={(e) => setBivariatePalette(e.target.value)}
+                    style={selectStyle}
+                  >
+                    {BIVARIATE_PALETTES.map((opt) => (
+                      <option key={opt.value} value={opt.value}>
+                        {opt.label}
+                      </option>
+                    ))}
+                  </select>
+                  <div style={{ marginTop: 8, fontSize: 12, opacity: 0.75 }}>
+                    分母を選ぶと「分子 ÷ 分母」の %、なしなら分子の合計を使います。各指標を 3
+                    分位で低・中・高に分け、3×3
+                    の配色で塗り分けます。人口の性別は人口モード、世帯の行は世帯モードの選択に従います。
+                  </div>
+                </Section>
+              )}
+
               {mode === 'restaurant' && (
                 <Section title="飲食店モード（駅距離から位置を推定）">
                   {!restaurantRows ? (
@@ -4742,6 +10902,58 @@ export default function App() {
                       <div style={{ marginTop: 10, fontSize: 12 }}>
                         プロット件数: {restaurantPoints.length}件
                       </div>
+                      <label
+                        style={{
+                          marginTop: 10,
+                          display: 'flex',
+                          gap: 10,
+                          alignItems: 'center',
+                        }}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={restaurantEditMode}
+                          onChange={(e) =>
+                            setRestaurantEditMode(e.target.checked)
+                          }
+                        />
+                        <span>位置の修正モード（マーカーをドラッグ）</span>
+                      </label>
+                      <div
+                        style={{
+                          marginTop: 6,
+                          display: 'flex',
+                          gap: 8,
+                          alignItems: 'center',
+                          fontSize: 12,
+                        }}
+                      >
+                        <span>
+                          修正済み:{' '}
+                          {formatNumber(
+                            Object.keys(restaurantCorrections).length
+                          )}
+                          店舗
+                        </span>
+                        <button
+                          type="button"
+                          style={miniBtn}
+                          disabled={!Object.keys(restaurantCorrections).length}
+                          onClick={() => {
+                            if (
+                              window.confirm(
+                                '手動で修正した位置をすべて消去しますか？'
+                              )
+                            )
+                              setRestaurantCorrections({});
+                          }}
+                        >
+                          修正をすべて消去
+                        </button>
+                      </div>
+                      <div style={{ marginTop: 6, fontSize: 12, opacity: 0.8 }}>
+                        修正モードではマーカーをドラッグした位置を店舗ごとにブラウザへ保存し、CSVの緯度経度より優先して表示します。重なったマーカーはクリックで表示中の店舗を切り替えてから動かします。「緯度経度付きCSVをダウンロード」には位置修正列（修正済みは1）が付きます。
+                      </div>
                       <div style={{ marginTop: 12 }}>
                         <button
                           type="button"
@@ -4778,160 +10990,185 @@ export default function App() {
                             : '駅500m圏を表示中にダウンロードできます。'}
                         </div>
                       </div>
+                      <div style={{ marginTop: 12, fontSize: 12 }}>
+                        <div style={{ fontWeight: 800 }}>住所検索の提供元</div>
+                        <div
+                          style={{
+                            display: 'flex',
+                            gap: 12,
+                            flexWrap: 'wrap',
+                            marginTop: 6,
+                          }}
+                        >
+                          {GEOCODER_PROVIDERS.map((opt) => (
+                            <label
+                              key={opt.value}
+                              style={{
+                                display: 'flex',
+                                gap: 6,
+                                alignItems: 'center',
+                              }}
+                            >
+                              <input
+                                type="radio"
+                                name="geocoder-provider"
+                                value={opt.value}
+                                checked={geocoderProvider === opt.value}
+                                disabled={restaurantGeoJobState !== 'idle'}
+                                onChange={() => setGeocoderProvider(opt.value)}
+                              />
+                              {opt.label}
+                            </label>
+                          ))}
+                        </div>
+                        {activeGeocoderProvider.network ? (
+                          <div
+                            style={{
+                              display: 'grid',
+                              gridTemplateColumns: '1fr 110px',
+                              gap: 8,
+                              marginTop: 8,
+                            }}
+                          >
+                            <label>
+                              <div style={{ marginBottom: 4 }}>接続先URL</div>
+                              <input
+                                type="text"
+                                value={
+                                  geocoderBaseUrls[geocoderProvider] ??
+                                  activeGeocoderProvider.defaultBaseUrl
+                                }
+                                disabled={restaurantGeoJobState !== 'idle'}
+                                onChange={(e) =>
+                                  setGeocoderBaseUrls((prev) => ({
+                                    ...prev,
+                                    [geocoderProvider]: e.target.value.trim(),
+                                  }))
+                                }
+                                style={{
+                                  ...selectStyle,
+                                  boxSizing: 'border-box',
+                                }}
+                              />
+                            </label>
+                            <label>
+                              <div style={{ marginBottom: 4 }}>
+                                要求間隔（ミリ秒）
+                              </div>
+                              <input
+                                type="number"
+                                min={0}
+                                step={100}
+                                value={
+                                  geocoderRateLimits[geocoderProvider] ??
+                                  activeGeocoderProvider.rateLimitMs
+                                }
+                                disabled={restaurantGeoJobState !== 'idle'}
+                                onChange={(e) =>
+                                  setGeocoderRateLimits((prev) => ({
+                                    ...prev,
+                                    [geocoderProvider]: Math.max(
+                                      0,
+                                      Number(e.target.value) || 0
+                                    ),
+                                  }))
+                                }
+                                style={{
+                                  ...selectStyle,
+                                  boxSizing: 'border-box',
+                                }}
+                              />
+                            </label>
+                          </div>
+                        ) : null}
+                        {activeGeocoderProvider.network ? (
+                          <div style={{ marginTop: 6, opacity: 0.8 }}>
+                            住所を接続先へ送信します。失敗（通信エラー・429・5xx）は最大
+                            {activeGeocoderProvider.maxRetries}
+                            回まで間隔を倍にしながら再試行します。接続先を社内のサーバや
+                            scripts/mock-geocoder.mjs に変えられます。
+                          </div>
+                        ) : null}
+                        {activeGeocoderProvider.corsProxy ? (
+                          <label
+                            style={{
+                              display: 'flex',
+                              gap: 6,
+                              alignItems: 'center',
+                              marginTop: 6,
+                            }}
+                          >
+                            <input
+                              type="checkbox"
+                              checked={geocoderUseCorsProxy}
+                              disabled={restaurantGeoJobState !== 'idle'}
+                              onChange={(e) =>
+                                setGeocoderUseCorsProxy(e.target.checked)
+                              }
+                            />
+                            <span>
+                              直接つながらないときは中継（api.allorigins.win）経由で取得する
+                              （住所が中継の運営者にも送信されます）
+                            </span>
+                          </label>
+                        ) : null}
+                        {!activeGeocoderProvider.network &&
+                        !addressRefIndex.size ? (
+                          <div style={{ marginTop: 6, opacity: 0.8 }}>
+                            位置参照情報の CSV を「同梱データ」欄のドロップ領域から読み込むと照合できます。
+                          </div>
+                        ) : null}
+                      </div>
                       <div
                         style={{
                           marginTop: 12,
                           display: 'flex',
-                          justifyContent: 'space-between',
-                          alignItems: 'center',
+                          gap: 8,
+                          flexWrap: 'wrap',
                         }}
                       >
-                        <div style={{ fontSize: 12, fontWeight: 800 }}>
-                          評価フィルタ（0.25刻み）
-                        </div>
-                        <div style={{ display: 'flex', gap: 8 }}>
+                        <button
+                          type="button"
+                          style={btnStyle}
+                          onClick={handleRestaurantGeocode}
+                          disabled={
+                            restaurantGeoJobState !== 'idle' ||
+                            (!activeGeocoderProvider.network &&
+                              !addressRefIndex.size)
+                          }
+                        >
+                          緯度経度取得
+                        </button>
+                        {restaurantGeoJobState === 'running' ? (
                           <button
+                            type="button"
                             style={miniBtn}
-                            onClick={() =>
-                              setRatingSel(
-                                new Set(ratingOptions.map((opt) => opt.key))
-                              )
-                            }
+                            onClick={handleRestaurantGeocodePause}
                           >
-                            全選択
+                            一時停止
                           </button>
+                        ) : null}
+                        {restaurantGeoJobState === 'paused' ? (
                           <button
+                            type="button"
                             style={miniBtn}
-                            onClick={() => setRatingSel(new Set())}
-                          >
-                            全解除
-                          </button>
-                        </div>
-                      </div>
-                      <div
-                        style={{
-                          marginTop: 8,
-                          maxHeight: 180,
-                          overflow: 'auto',
-                          border: '1px solid rgba(0,0,0,0.1)',
-                          borderRadius: 10,
-                          padding: 10,
-                          background: 'rgba(255,255,255,0.7)',
-                        }}
-                      >
-                        {ratingOptions.map((opt) => (
-                          <label
-                            key={opt.key}
-                            style={{
-                              display: 'flex',
-                              gap: 8,
-                              alignItems: 'center',
-                              margin: '4px 0',
-                            }}
-                          >
-                            <input
-                              type="checkbox"
-                              checked={ratingSel.has(opt.key)}
-                              onChange={(e) => {
-                                setRatingSel((prev) => {
-                                  const next = new Set(prev);
-                                  if (e.target.checked) next.add(opt.key);
-                                  else next.delete(opt.key);
-                                  return next;
-                                });
-                              }}
-                            />
-                            <span>{opt.label}</span>
-                          </label>
-                        ))}
-                      </div>
-                      <div
-                        style={{
-                          marginTop: 12,
-                          display: 'flex',
-                          justifyContent: 'space-between',
-                          alignItems: 'center',
-                        }}
-                      >
-                        <div style={{ fontSize: 12, fontWeight: 800 }}>
-                          カテゴリフィルタ
-                        </div>
-                        <div style={{ display: 'flex', gap: 8 }}>
-                          <button
-                            style={miniBtn}
-                            onClick={() =>
-                              setCategorySel(
-                                new Set(
-                                  restaurantCategoryOptions.map((opt) => opt.key)
-                                )
-                              )
-                            }
+                            onClick={handleRestaurantGeocodeResume}
                           >
-                            全選択
+                            再開
                           </button>
+                        ) : null}
+                        {restaurantGeoJobState !== 'idle' ? (
                           <button
+                            type="button"
                             style={miniBtn}
-                            onClick={() => setCategorySel(new Set())}
+                            onClick={handleRestaurantGeocodeCancel}
                           >
-                            全解除
+                            中止
                           </button>
-                        </div>
-                      </div>
-                      <div
-                        style={{
-                          marginTop: 8,
-                          maxHeight: 180,
-                          overflow: 'auto',
-                          border: '1px solid rgba(0,0,0,0.1)',
-                          borderRadius: 10,
-                          padding: 10,
-                          background: 'rgba(255,255,255,0.7)',
-                        }}
-                      >
-                        {restaurantCategoryOptions.length ? (
-                          restaurantCategoryOptions.map((opt) => (
-                            <label
-                              key={opt.key}
-                              style={{
-                                display: 'flex',
-                                gap: 8,
-                                alignItems: 'center',
-                                margin: '4px 0',
-                              }}
-                            >
-                              <input
-                                type="checkbox"
-                                checked={categorySel.has(opt.key)}
-                                onChange={(e) => {
-                                  setCategorySel((prev) => {
-                                    const next = new Set(prev);
-                                    if (e.target.checked) next.add(opt.key);
-                                    else next.delete(opt.key);
-                                    return next;
-                                  });
-                                }}
-                              />
-                              <span>{opt.label}</span>
-                            </label>
-                          ))
-                        ) : (
-                          <div style={{ fontSize: 12, opacity: 0.75 }}>
-                            カテゴリ候補を読み込み中です。
-                          </div>
-                        )}
-                      </div>
-                      <div style={{ marginTop: 12 }}>
-                        <button
-                          type="button"
-                          style={btnStyle}
-                          onClick={handleRestaurantGeocode}
-                          disabled={restaurantGeoRunning}
-                        >
-                          緯度経度取得（国土地理院）
-                        </button>
+                        ) : null}
                       </div>
                       <div style={{ marginTop: 8, fontSize: 12, opacity: 0.8 }}>
-                        住所から緯度経度を取得し、CSVを自動ダウンロードします。
+                        住所を照合して緯度経度と照合レベル（街区 / 町丁目 / 市）を付けます。位置参照情報（オフライン）は同梱の街区・大字・町丁目データと照合し、通信は行いません。緯度経度のある行は照合せず、照合結果は正規化した住所ごとにブラウザへ保存するので、次回は未照合の住所だけを照合します。曖昧・低信頼の結果は確認待ちになります。
                       </div>
                       {restaurantGeoProgress.total > 0 && (
                         <div style={{ marginTop: 6, fontSize: 12 }}>
@@ -4944,34 +11181,765 @@ export default function App() {
                           {restaurantGeoStatus}
                         </div>
                       ) : null}
+                      {restaurantGeoReview.length ? (
+                        <div style={{ marginTop: 12 }}>
+                          <div style={{ fontSize: 12, fontWeight: 800 }}>
+                            確認待ちの住所（{restaurantGeoReview.length}件）
+                          </div>
+                          <div
+                            style={{
+                              marginTop: 8,
+                              maxHeight: 180,
+                              overflow: 'auto',
+                              border: '1px solid rgba(0,0,0,0.1)',
+                              borderRadius: 10,
+                              padding: 10,
+                              background: 'rgba(255,255,255,0.7)',
+                            }}
+                          >
+                            {restaurantGeoReview.map((item) => (
+                              <label
+                                key={item.key}
+                                style={{
+                                  display: 'flex',
+                                  gap: 8,
+                                  alignItems: 'center',
+                                  margin: '4px 0',
+                                  fontSize: 12,
+                                }}
+                              >
+                                <input
+                                  type="radio"
+                                  name="geo-review"
+                                  checked={restaurantGeoReviewKey === item.key}
+                                  onChange={() => selectGeoReview(item)}
+                                />
+                                <span>
+                                  {item.address}（
+                                  {item.candidates.length > 1
+                                    ? `候補${item.candidates.length}件`
+                                    : item.level || '不一致'}
+                                  ）
+                                </span>
+                              </label>
+                            ))}
+                          </div>
+                          {selectedGeoReview ? (
+                            <div style={{ marginTop: 8, fontSize: 12 }}>
+                              <div>
+                                店舗: {selectedGeoReview.names.join('、') || '-'}
+                              </div>
+                              {selectedGeoReview.candidates.map((cand, idx) => (
+                                <label
+                                  key={`${cand.label}-${idx}`}
+                                  style={{
+                                    display: 'flex',
+                                    gap: 6,
+                                    alignItems: 'center',
+                                    marginTop: 4,
+                                  }}
+                                >
+                                  <input
+                                    type="radio"
+                                    name="geo-review-candidate"
+                                    checked={
+                                      restaurantGeoReviewPoint?.lat ===
+                                        cand.lat &&
+                                      restaurantGeoReviewPoint?.lon === cand.lon
+                                    }
+                                    onChange={() =>
+                                      setRestaurantGeoReviewPoint({
+                                        lat: cand.lat,
+                                        lon: cand.lon,
+                                        level: cand.level,
+                                      })
+                                    }
+                                  />
+                                  {cand.label}（{cand.level}）
+                                </label>
+                              ))}
+                              <div style={{ marginTop: 6, opacity: 0.8 }}>
+                                地図上の橙色の印をドラッグすると位置を調整できます
+                                {restaurantGeoReviewPoint
+                                  ? `（現在: ${formatDecimal(
+                                      restaurantGeoReviewPoint.lat,
+                                      5
+                                    )}, ${formatDecimal(
+                                      restaurantGeoReviewPoint.lon,
+                                      5
+                                    )}・${restaurantGeoReviewPoint.level}）`
+                                  : ''}
+                                。
+                              </div>
+                              <div
+                                style={{
+                                  marginTop: 6,
+                                  display: 'flex',
+                                  gap: 8,
+                                }}
+                              >
+                                <button
+                                  type="button"
+                                  style={miniBtn}
+                                  onClick={handleGeoReviewAccept}
+                                  disabled={!restaurantGeoReviewPoint}
+                                >
+                                  この位置で確定
+                                </button>
+                                <button
+                                  type="button"
+                                  style={miniBtn}
+                                  onClick={() => selectGeoReview(null)}
+                                >
+                                  選択解除
+                                </button>
+                              </div>
+                            </div>
+                          ) : (
+                            <div
+                              style={{ marginTop: 6, fontSize: 12, opacity: 0.8 }}
+                            >
+                              住所を選ぶと候補と仮の位置が地図に表示されます。
+                            </div>
+                          )}
+                        </div>
+                      ) : null}
+                      <div
+                        style={{
+                          marginTop: 12,
+                          display: 'flex',
+                          gap: 8,
+                          flexWrap: 'wrap',
+                        }}
+                      >
+                        <button
+                          type="button"
+                          style={btnStyle}
+                          onClick={handleRestaurantGeoExport}
+                          disabled={restaurantGeoJobState !== 'idle'}
+                        >
+                          緯度経度付きCSVをダウンロード
+                        </button>
+                        <button
+                          type="button"
+                          style={miniBtn}
+                          onClick={handleGeocodeCacheClear}
+                          disabled={restaurantGeoJobState !== 'idle'}
+                        >
+                          照合キャッシュを消去
+                        </button>
+                      </div>
                     </>
                   )}
                 </Section>
               )}
 
+              {isRestaurantLikeMode && restaurantRows && (
+                <Section title="飲食店の絞り込み">
+                  <div style={{ fontSize: 12, fontWeight: 800 }}>
+                    位置の確からしさ
+                  </div>
+                  <div
+                    style={{
+                      marginTop: 6,
+                      marginBottom: 12,
+                      display: 'grid',
+                      gap: 4,
+                      fontSize: 12,
+                    }}
+                  >
+                    {RESTAURANT_PRECISION_LEVELS.map((level) => (
+                      <label
+                        key={level.key}
+                        style={{
+                          display: 'flex',
+                          gap: 8,
+                          alignItems: 'center',
+                        }}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={restaurantPrecisionSel.has(level.key)}
+                          onChange={(e) => {
+                            setRestaurantPrecisionSel((prev) => {
+                              const next = new Set(prev);
+                              if (e.target.checked) next.add(level.key);
+                              else next.delete(level.key);
+                              return next;
+                            });
+                          }}
+                        />
+                        <span style={{ flex: 1 }}>{level.label}</span>
+                        <span style={{ opacity: 0.75 }}>
+                          {formatNumber(
+                            restaurantPrecisionCounts[level.key] ?? 0
+                          )}
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                  <div
+                    style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                    }}
+                  >
+                    <div style={{ fontSize: 12, fontWeight: 800 }}>
+                      評価フィルタ（0.25刻み）
+                    </div>
+                    <div style={{ display: 'flex', gap: 8 }}>
+                      <button
+                        style={miniBtn}
+                        onClick={() =>
+                          setRatingSel(
+                            new Set(ratingOptions.map((opt) => opt.key))
+                          )
+                        }
+                      >
+                        全選択
+                      </button>
+                      <button
+                        style={miniBtn}
+                        onClick={() => setRatingSel(new Set())}
+                      >
+                        全解除
+                      </button>
+                    </div>
+                  </div>
+                  <div
+                    style={{
+                      marginTop: 8,
+                      maxHeight: 180,
+                      overflow: 'auto',
+                      border: '1px solid rgba(0,0,0,0.1)',
+                      borderRadius: 10,
+                      padding: 10,
+                      background: 'rgba(255,255,255,0.7)',
+                    }}
+                  >
+                    {ratingOptions.map((opt) => (
+                      <label
+                        key={opt.key}
+                        style={{
+                          display: 'flex',
+                          gap: 8,
+                          alignItems: 'center',
+                          margin: '4px 0',
+                        }}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={ratingSel.has(opt.key)}
+                          onChange={(e) => {
+                            setRatingSel((prev) => {
+                              const next = new Set(prev);
+                              if (e.target.checked) next.add(opt.key);
+                              else next.delete(opt.key);
+                              return next;
+                            });
+                          }}
+                        />
+                        <span>{opt.label}</span>
+                      </label>
+                    ))}
+                  </div>
+                  <div
+                    style={{
+                      marginTop: 12,
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                    }}
+                  >
+                    <div style={{ fontSize: 12, fontWeight: 800 }}>
+                      カテゴリフィルタ
+                    </div>
+                    <div style={{ display: 'flex', gap: 8 }}>
+                      <button
+                        style={miniBtn}
+                        onClick={() =>
+                          setCategorySel(
+                            new Set(
+                              restaurantCategoryOptions.map((opt) => opt.key)
+                            )
+                          )
+                        }
+                      >
+                        全選択
+                      </button>
+                      <button
+                        style={miniBtn}
+                        onClick={() => setCategorySel(new Set())}
+                      >
+                        全解除
+                      </button>
+                    </div>
+                  </div>
+                  <div
+                    style={{
+                      marginTop: 8,
+                      maxHeight: 180,
+                      overflow: 'auto',
+                      border: '1px solid rgba(0,0,0,0.1)',
+                      borderRadius: 10,
+                      padding: 10,
+                      background: 'rgba(255,255,255,0.7)',
+                    }}
+                  >
+                    {restaurantCategoryOptions.length ? (
+                      restaurantCategoryOptions.map((opt) => (
+                        <label
+                          key={opt.key}
+                          style={{
+                            display: 'flex',
+                            gap: 8,
+                            alignItems: 'center',
+                            margin: '4px 0',
+                          }}
+                        >
+                          <input
+                            type="checkbox"
+                            checked={categorySel.has(opt.key)}
+                            onChange={(e) => {
+                              setCategorySel((prev) => {
+                                const next = new Set(prev);
+                                if (e.target.checked) next.add(opt.key);
+                                else next.delete(opt.key);
+                                return next;
+                              });
+                            }}
+                          />
+                          <span>{opt.label}</span>
+                        </label>
+                      ))
+                    ) : (
+                      <div style={{ fontSize: 12, opacity: 0.75 }}>
+                        カテゴリ候補を読み込み中です。
+                      </div>
+                    )}
+                  </div>
+                </Section>
+              )}
+
               {mode === 'restaurant-analysis' && (
-                <Section title="飲食店分析（250m格子ヒートマップ）">
-                  {!restaurantGeoPoints.length ? (
+                <Section title="飲食店分析（格子ヒートマップ・密度）">
+                  {!restaurantRows?.length ? (
                     <div style={{ fontSize: 12, opacity: 0.75 }}>
-                      緯度・経度付きの飲食店データが読み込まれていません。
+                      飲食店データが読み込まれていません。
                     </div>
                   ) : (
                     <>
                       <div style={{ fontSize: 12, opacity: 0.85 }}>
-                        250m × 250m の格子内に含まれる飲食店数で塗り分けます。
+                        格子内に含まれる飲食店数、または店舗の分布から推定した密度で塗り分けます。
                       </div>
                       <div style={{ marginTop: 8, fontSize: 12, opacity: 0.85 }}>
-                        表示中の市境の最北・最南・最東・最西を含む範囲で格子を作成し、
-                        その全てを計算対象にしています。
+                        表示中の市域に掛かる格子だけを計算対象にし、市境の外にはみ出す部分は切り取って描きます。
                       </div>
+
+                      {restaurantGridView !== 'kde' && (
+                        <>
+                          <div
+                            style={{
+                              display: 'flex',
+                              gap: 12,
+                              marginTop: 10,
+                              fontSize: 12,
+                            }}
+                          >
+                            {RESTAURANT_GRID_TYPES.map((opt) => (
+                              <label
+                                key={opt.value}
+                                style={{
+                                  display: 'flex',
+                                  gap: 6,
+                                  alignItems: 'center',
+                                }}
+                              >
+                                <input
+                                  type="radio"
+                                  name="restaurant-grid-type"
+                                  value={opt.value}
+                                  checked={restaurantGridType === opt.value}
+                                  onChange={(e) =>
+                                    setRestaurantGridType(e.target.value)
+                                  }
+                                />
+                                <span>{opt.label}</span>
+                              </label>
+                            ))}
+                          </div>
+                          {restaurantGridType === 'jis' ? (
+                            <div style={{ marginTop: 8 }}>
+                              <select
+                                value={jisMeshLevel}
+                                onChange={(e) => setJisMeshLevel(e.target.value)}
+                                style={selectStyle}
+                              >
+                                {JIS_MESH_LEVELS.map((level) => (
+                                  <option key={level.value} value={level.value}>
+                                    {level.label}
+                                  </option>
+                                ))}
+                              </select>
+                              <div
+                                style={{ marginTop: 6, fontSize: 12, opacity: 0.75 }}
+                              >
+                                JIS X 0410 の区画（緯度・経度の等間隔）なので、メッシュ統計とそのまま突き合わせられます。
+                              </div>
+                            </div>
+                          ) : (
+                            <div style={{ marginTop: 8 }}>
+                              <div style={{ fontSize: 12, marginBottom: 4 }}>
+                                格子の大きさ: {restaurantGridSize}m
+                                {restaurantGridType === 'hex' ? '（対辺間）' : ''}
+                              </div>
+                              <input
+                                type="range"
+                                min={RESTAURANT_GRID_SIZE_MIN_METERS}
+                                max={RESTAURANT_GRID_SIZE_MAX_METERS}
+                                step={RESTAURANT_GRID_SIZE_STEP_METERS}
+                                value={restaurantGridSize}
+                                onChange={(e) =>
+                                  setRestaurantGridSize(Number(e.target.value))
+                                }
+                                style={{ width: '100%' }}
+                              />
+                            </div>
+                          )}
+                        </>
+                      )}
                       <div style={{ marginTop: 10, fontSize: 12 }}>
-                        対象件数: {restaurantGeoPoints.length}件
+                        対象件数: {restaurantPoints.length}件
+                        （評価・カテゴリ・位置の確からしさで絞り込み後）
                       </div>
+
+                      <div
+                        style={{
+                          display: 'flex',
+                          gap: 12,
+                          marginTop: 10,
+                          fontSize: 12,
+                        }}
+                      >
+                        {[
+                          { value: 'grid', label: '格子の値' },
+                          { value: 'hotspot', label: 'ホットスポット（Gi*）' },
+                          { value: 'kde', label: '密度（KDE）' },
+                        ].map((opt) => (
+                          <label
+                            key={opt.value}
+                            style={{
+                              display: 'flex',
+                              gap: 6,
+                              alignItems: 'center',
+                            }}
+                          >
+                            <input
+                              type="radio"
+                              name="restaurant-grid-view"
+                              value={opt.value}
+                              checked={restaurantGridView === opt.value}
+                              onChange={(e) =>
+                                setRestaurantGridView(e.target.value)
+                              }
+                            />
+                            <span>{opt.label}</span>
+                          </label>
+                        ))}
+                      </div>
+                      {restaurantGridView === 'grid' && (
+                        <div style={{ marginTop: 8 }}>
+                          <select
+                            value={restaurantGridMetric}
+                            onChange={(e) =>
+                              setRestaurantGridMetric(e.target.value)
+                            }
+                            style={selectStyle}
+                          >
+                            {RESTAURANT_GRID_METRICS.map((opt) => (
+                              <option key={opt.value} value={opt.value}>
+                                {opt.label}
+                              </option>
+                            ))}
+                          </select>
+                          {restaurantGridMetric === 'category' && (
+                            <select
+                              value={restaurantGridCategory}
+                              onChange={(e) =>
+                                setRestaurantGridCategory(e.target.value)
+                              }
+                              style={{ ...selectStyle, marginTop: 6 }}
+                            >
+                              {restaurantCategoryOptions.map((opt) => (
+                                <option key={opt.key} value={opt.key}>
+                                  {opt.label}（{opt.count}）
+                                </option>
+                              ))}
+                            </select>
+                          )}
+                          <div
+                            style={{ marginTop: 6, fontSize: 12, opacity: 0.75 }}
+                          >
+                            評価・カテゴリの絞り込み後の店舗（駅からの距離などで位置を推定した店舗を含む）を格子ごとに集計します。
+                            予算は「〜」の範囲の中央で数えた中央値、カテゴリの割合は格子内の店舗数に対する割合です。
+                          </div>
+                        </div>
+                      )}
+                      {restaurantGridView === 'hotspot' && (
+                        <div style={{ marginTop: 8 }}>
+                          <div style={{ fontSize: 12, marginBottom: 4 }}>
+                            距離帯: {giBandMeters}m
+                          </div>
+                          <input
+                            type="range"
+                            min={GI_STAR_BAND_MIN_METERS}
+                            max={GI_STAR_BAND_MAX_METERS}
+                            step={RESTAURANT_GRID_SIZE_STEP_METERS}
+                            value={giBandMeters}
+                            onChange={(e) =>
+                              setGiBandMeters(Number(e.target.value))
+                            }
+                            style={{ width: '100%' }}
+                          />
+                          <div
+                            style={{ marginTop: 6, fontSize: 12, opacity: 0.75 }}
+                          >
+                            各格子と、中心間の距離が距離帯以内の格子（自分を含む）の店舗数を合計し、全体の平均と比べた
+                            Gi* z スコアを 90% / 95% / 99% の信頼度で塗り分けます。
+                            距離帯が格子の間隔より短いと自分の格子だけの合計になります。
+                          </div>
+                        </div>
+                      )}
+                      {restaurantGridView === 'kde' && (
+                        <div style={{ marginTop: 8 }}>
+                          <div style={{ fontSize: 12, marginBottom: 4 }}>
+                            バンド幅: {kdeBandwidth}m
+                          </div>
+                          <input
+                            type="range"
+                            min={KDE_BANDWIDTH_MIN_METERS}
+                            max={KDE_BANDWIDTH_MAX_METERS}
+                            step={KDE_BANDWIDTH_STEP_METERS}
+                            value={kdeBandwidth}
+                            onChange={(e) =>
+                              setKdeBandwidth(Number(e.target.value))
+                            }
+                            style={{ width: '100%' }}
+                          />
+                          <div
+                            style={{ marginTop: 8, fontSize: 12, marginBottom: 4 }}
+                          >
+                            重み
+                          </div>
+                          <select
+                            value={kdeWeight}
+                            onChange={(e) => setKdeWeight(e.target.value)}
+                            style={selectStyle}
+                          >
+                            {KDE_WEIGHT_OPTIONS.map((opt) => (
+                              <option key={opt.value} value={opt.value}>
+                                {opt.label}
+                              </option>
+                            ))}
+                          </select>
+                          <div
+                            style={{ marginTop: 6, fontSize: 12, opacity: 0.75 }}
+                          >
+                            各店舗にバンド幅を標準偏差とするガウスカーネルを置き、1km² あたりの店舗数（重みを選ぶとその合計）を推定します。
+                            重みの値が無い店舗は除きます。評価・カテゴリの絞り込みを反映します。
+                          </div>
+                        </div>
+                      )}
                     </>
                   )}
                 </Section>
               )}
 
+              {mode === 'ridership' && (
+                <Section title="乗降客数モード">
+                  <div
+                    style={{ fontSize: 12, fontWeight: 800, marginBottom: 6 }}
+                  >
+                    乗降客数CSVを選択（複数可）
+                  </div>
+                  <input
+                    type="file"
+                    accept=".csv,text/csv"
+                    multiple
+                    onChange={(e) => {
+                      handleRidershipFiles(e.target.files);
+                      e.target.value = '';
+                    }}
+                    style={{ fontSize: 12 }}
+                  />
+                  <div style={{ marginTop: 6, fontSize: 12, opacity: 0.8 }}>
+                    列: 駅ID・年・乗降客数（駅IDは駅集計CSVの「駅ID」列と同じ）。
+                    読み込んだ年は既存の年に追加されます。
+                  </div>
+                  <div style={{ marginTop: 6, fontSize: 12 }}>
+                    {ridershipSeries.source
+                      ? `読み込み中のファイル: ${ridershipSeries.source}`
+                      : '同梱の乗降客数（調査年不明）を表示中です。'}
+                    {ridershipSeries.source ? (
+                      <button
+                        type="button"
+                        onClick={() =>
+                          applyRidershipSeries(DEFAULT_RIDERSHIP_SERIES, true)
+                        }
+                        style={{ ...miniBtn, marginLeft: 8 }}
+                      >
+                        同梱の値に戻す
+                      </button>
+                    ) : null}
+                  </div>
+                  {ridershipErr ? <ErrBox text={ridershipErr} /> : null}
+
+                  <div
+                    style={{
+                      display: 'flex',
+                      gap: 12,
+                      marginTop: 10,
+                      fontSize: 12,
+                    }}
+                  >
+                    {[
+                      { value: 'year', label: '年次' },
+                      { value: 'change', label: '増減（年A→年B）' },
+                    ].map((opt) => (
+                      <label
+                        key={opt.value}
+                        style={{ display: 'flex', gap: 6, alignItems: 'center' }}
+                      >
+                        <input
+                          type="radio"
+                          name="ridership-view"
+                          value={opt.value}
+                          checked={ridershipView === opt.value}
+                          disabled={
+                            opt.value === 'change' && ridershipYears.length < 2
+                          }
+                          onChange={(e) => setRidershipView(e.target.value)}
+                        />
+                        <span>{opt.label}</span>
+                      </label>
+                    ))}
+                  </div>
+
+                  {ridershipView === 'year' ? (
+                    <div style={{ marginTop: 10 }}>
+                      <div
+                        style={{ fontSize: 12, fontWeight: 700, marginBottom: 6 }}
+                      >
+                        表示する年
+                      </div>
+                      {ridershipYears.length > 1 ? (
+                        <input
+                          type="range"
+                          min={0}
+                          max={ridershipYears.length - 1}
+                          step={1}
+                          value={Math.max(
+                            0,
+                            ridershipYears.indexOf(ridershipYear)
+                          )}
+                          onChange={(e) =>
+                            setRidershipYear(
+                              ridershipYears[Number(e.target.value)]
+                            )
+                          }
+                          style={{ width: '100%' }}
+                        />
+                      ) : null}
+                      <div style={{ fontSize: 12, opacity: 0.8, marginTop: 4 }}>
+                        現在: {formatRidershipYear(ridershipYear)}
+                        {ridershipYears.length > 1
+                          ? `（${formatRidershipYear(
+                              ridershipYears[0]
+                            )}〜${formatRidershipYear(
+                              ridershipYears[ridershipYears.length - 1]
+                            )}）`
+                          : ''}
+                      </div>
+                    </div>
+                  ) : (
+                    <div style={{ marginTop: 10 }}>
+                      <div style={{ display: 'grid', gap: 6, fontSize: 12 }}>
+                        {[
+                          {
+                            label: '年A（基準）',
+                            value: ridershipYearA,
+                            onChange: setRidershipYearA,
+                          },
+                          {
+                            label: '年B（比較）',
+                            value: ridershipYearB,
+                            onChange: setRidershipYearB,
+                          },
+                        ].map((item) => (
+                          <label
+                            key={item.label}
+                            style={{
+                              display: 'flex',
+                              gap: 8,
+                              alignItems: 'center',
+                            }}
+                          >
+                            <span style={{ minWidth: 72 }}>{item.label}</span>
+                            <select
+                              value={item.value}
+                              onChange={(e) => item.onChange(e.target.value)}
+                              style={selectStyle}
+                            >
+                              {ridershipYears.map((year) => (
+                                <option key={year} value={year}>
+                                  {formatRidershipYear(year)}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                        ))}
+                      </div>
+                      {ridershipChange.scale ? (
+                        <div style={{ marginTop: 10 }}>
+                          <div
+                            style={{
+                              height: 10,
+                              borderRadius: 999,
+                              background: `linear-gradient(to right, ${[
+                                -1, -0.5, 0, 0.5, 1,
+                              ]
+                                .map((t) =>
+                                  ridershipChange.scale(
+                                    t * ridershipChange.maxRate
+                                  )
+                                )
+                                .join(', ')})`,
+                            }}
+                          />
+                          <div
+                            style={{
+                              display: 'flex',
+                              justifyContent: 'space-between',
+                              fontSize: 11,
+                              opacity: 0.8,
+                              marginTop: 4,
+                            }}
+                          >
+                            <span>-{ridershipChange.maxRate}%</span>
+                            <span>0%</span>
+                            <span>+{ridershipChange.maxRate}%</span>
+                          </div>
+                          <div style={{ marginTop: 4, fontSize: 12 }}>
+                            比較できる駅: {ridershipChange.map.size}駅
+                          </div>
+                        </div>
+                      ) : null}
+                    </div>
+                  )}
+                </Section>
+              )}
+
               {/* Data health */}
               <Section title="読み込み状況">
                 <div style={kvRow}>
@@ -5000,14 +11968,32 @@ export default function App() {
                     {bizRows ? `OK（${bizRows.length}行）` : '未（同梱なし）'}
                   </span>
                 </div>
+                {missingDataFiles.length ? (
+                  <div style={{ marginTop: 6, fontSize: 11, opacity: 0.75 }}>
+                    一覧にあるが同梱されていないため読み飛ばしました（ローカルファイルで読み込めます）:
+                    <div>{missingDataFiles.join(' / ')}</div>
+                  </div>
+                ) : null}
                 <div style={kvRow}>
                   <span style={kvKey}>飲食店</span>
                   <span style={kvVal}>
                     {restaurantRows
-                      ? `OK（${restaurantRows.length}行）`
+                      ? `OK（${restaurantRows.length}行${
+                          restaurantDuplicateCount
+                            ? `、重複 ${restaurantDuplicateCount}行を除外`
+                            : ''
+                        }）`
                       : '未'}
                   </span>
                 </div>
+                <div style={kvRow}>
+                  <span style={kvKey}>位置参照情報</span>
+                  <span style={kvVal} title={addressRefSource}>
+                    {addressRefRows
+                      ? `OK（${addressRefRows.length}行）`
+                      : '未（ローカルファイルで読み込めます）'}
+                  </span>
+                </div>
               </Section>
             </div>
           )}
@@ -5031,7 +12017,7 @@ export default function App() {
               路線の凡例
             </div>
             <div style={{ display: 'grid', gap: 6 }}>
-              {RAIL_LINES.map((line) => (
+              {visibleRailNetwork.lines.map((line) => (
                 <div
                   key={`rail-legend-${line.id}`}
                   style={{ display: 'flex', alignItems: 'center', gap: 8 }}
@@ -5052,16 +12038,107 @@ export default function App() {
           </div>
         )}
 
+        {pyramid ? (
+          <div
+            style={{
+              position: 'absolute',
+              right: showRail ? 248 : 16,
+              top: 16,
+            }}
+          >
+            <PopulationPyramid
+              title={pyramid.title}
+              structure={pyramid.structure}
+              reference={pyramid.reference}
+              referenceLabel={pyramid.referenceLabel}
+              onClose={() => setPyramidTarget(null)}
+            />
+          </div>
+        ) : null}
+
         {/* Legend */}
-        {displayShapeGeo && mode !== 'restaurant' && mode !== 'ridership' && (
-          <Legend
-            mode={mode}
-            min={valueStats.min}
-            max={valueStats.max}
-            midLabel={mode === 'analysis' ? '1.0' : null}
-            layout={legendLayout}
+        {displayShapeGeo && mode === 'bivariate' && bivariate && (
+          <BivariateLegend
+            palette={bivariatePaletteDef}
+            xLabel={bivariateXLabel}
+            yLabel={bivariateYLabel}
+            xBreaks={bivariate.xBreaks}
+            yBreaks={bivariate.yBreaks}
+            counts={bivariate.counts}
+            formatX={formatBivariateX}
+            formatY={formatBivariateY}
+          />
+        )}
+        {displayShapeGeo && lisaActive && (
+          <CategoryLegend
+            title={`LISA クラスタ / p ≤ ${lisaAlpha}`}
+            items={[
+              ...LISA_CLUSTERS,
+              {
+                key: 'ns',
+                label: '有意でない',
+                color: LISA_NOT_SIGNIFICANT_COLOR,
+              },
+            ].map((c) => ({ ...c, count: spatialStats.counts[c.key] }))}
           />
         )}
+        {displayShapeGeo && mode === 'restaurant' && restaurantRows && (
+          <CategoryLegend
+            title="飲食店の位置"
+            items={RESTAURANT_PRECISION_LEVELS.map((level) => ({
+              key: level.key,
+              label: restaurantPrecisionSel.has(level.key)
+                ? level.label
+                : `${level.label}（非表示）`,
+              count: restaurantPrecisionCounts[level.key],
+              swatch: (
+                <svg width={18} height={12} style={{ flex: '0 0 auto' }}>
+                  <circle
+                    cx={9}
+                    cy={6}
+                    r={5}
+                    fill={restaurantMarkerFill}
+                    fillOpacity={level.fillOpacity}
+                    stroke={
+                      level.dash ? restaurantMarkerFill : 'rgba(0,0,0,0.35)'
+                    }
+                    strokeWidth={level.dash ? 1.2 : 0.6}
+                    strokeDasharray={level.dash || undefined}
+                  />
+                </svg>
+              ),
+            }))}
+          />
+        )}
+        {displayShapeGeo && giStarActive && (
+          <CategoryLegend
+            title={`Gi* ホットスポット / 距離帯 ${giBandMeters}m`}
+            items={[...GI_STAR_BINS, GI_STAR_NOT_SIGNIFICANT].map((b) => ({
+              ...b,
+              count: restaurantHotspots.counts[b.key],
+            }))}
+          />
+        )}
+        {displayShapeGeo &&
+          isChoroplethMode &&
+          !lisaActive &&
+          !giStarActive && (
+            <Legend
+              mode={mode}
+              min={valueStats.min}
+              max={valueStats.max}
+              midLabel={mode === 'analysis' ? '1.0' : null}
+              layout={legendLayout}
+              formatValue={formatMapValue}
+              interpolator={rampInterpolator}
+              classes={classification?.classes || null}
+              insignificant={
+                lqFilterActive
+                  ? { style: lqInsignificantStyle, count: insignificantCount }
+                  : null
+              }
+            />
+          )}
       </div>
     </div>
   );
@@ -0,0 +1,196 @@
+// 住所の正規化
+// 飲食店 CSV の住所は全角・半角、「1丁目1-17」「1-1-17」、建物名・階数の書き方が混在する
+const KANJI_DIGITS = '〇一二三四五六七八九';
+const KANJI_UNITS = { 十: 10, 百: 100, 千: 1000 };
+const KANJI_NUMBER = '[〇一二三四五六七八九十百千]+';
+// 数字の間のハイフン類（長音記号・ダッシュ・マイナス記号を含む）
+const ADDRESS_HYPHENS = '[‐‑‒–—―−ー─━-]';
+// 建物名の末尾の部屋番号・階数。「号室」「F」「階」の印があるものだけを外す
+const ROOM_SUFFIX_PATTERN = /\s*\d+号室$/;
+const FLOOR_SUFFIX_PATTERN = /\s*(?:(?:B|地下)\d+(?:F|階)?|\d+(?:F|階))$/i;
+// 先頭の郵便番号（「〒565-0851」「565-0851」「〒 5650851」）
+const POSTAL_CODE_PATTERN = new RegExp(
+  `^(?:〒\\s*)?(?:\\d{3}${ADDRESS_HYPHENS}?\\d{4}(?!\\d))?\\s*`
+);
+const PREFECTURE = '(?:東京都|北海道|(?:京都|大阪)府|[^\\s\\d]{2,3}県)';
+
+/** 「二十三」「百五」「二〇」などの漢数字を数値にする。読めなければ null。 */
+export function kanjiToNumber(text) {
+  if (!text) return null;
+  if (!/[十百千]/.test(text)) {
+    let n = 0;
+    for (const c of text) {
+      const d = KANJI_DIGITS.indexOf(c);
+      if (d < 0) return null;
+      n = n * 10 + d;
+    }
+    return n;
+  }
+  let total = 0;
+  let digit = null;
+  for (const c of text) {
+    const d = KANJI_DIGITS.indexOf(c);
+    if (d >= 0) {
+      digit = d;
+      continue;
+    }
+    if (!KANJI_UNITS[c]) return null;
+    total += (digit ?? 1) * KANJI_UNITS[c];
+    digit = null;
+  }
+  return total + (digit ?? 0);
+}
+
+/**
+ * 市区町村より後ろ（「千里山東一丁目2番3号 ○○ビル 1F」など）を
+ * { town, chome, block, unit, building, floor, room } に分ける。
+ * 丁目の書かれていない「1-2-3」は丁目か判断できないので block に残す。
+ * 番地に入りきらない数字（「1丁目2-3-4」の 4 など）は unit に残す。
+ */
+export function parseTownAddress(text) {
+  let rest = String(text ?? '')
+    .normalize('NFKC')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(?:大字|字)/, '')
+    // 丁目・番地・号の前の漢数字だけを数字にする（「千里」「三国」などの町名は変えない）
+    .replace(new RegExp(`(${KANJI_NUMBER})(?=丁目|番地|番|号)`, 'g'), (m) =>
+      String(kanjiToNumber(m) ?? m)
+    )
+    .replace(new RegExp(`(\\d)\\s*${ADDRESS_HYPHENS}+\\s*(?=\\d)`, 'g'), '$1-');
+
+  const town = rest.match(/^[^\d\s]*/)[0];
+  rest = rest.slice(town.length).trimStart();
+  const chomeMatch = rest.match(/^(\d+)丁目/);
+  const chome = chomeMatch ? chomeMatch[1] : '';
+  if (chomeMatch) rest = rest.slice(chomeMatch[0].length);
+  rest = rest
+    .replace(/^(\d+)番地?(?=\d)/, '$1-')
+    .replace(/^(\d+-\d+)号(?!室)/, '$1')
+    .replace(/^(\d+)(?:番地?|号(?!室))/, '$1')
+    .replace(/^(\d+)-(\d+)番地?(?=\d)/, '$1-$2-')
+    .replace(/^(\d+-\d+-\d+)号(?!室)/, '$1');
+
+  // 丁目が分かれば 番地-号 の 2 つ、分からなければ 3 つまでを番地とする
+  const parts = (rest.match(/^\d+(?:-\d+)*(?!\d*号室)/)?.[0] || '')
+    .split('-')
+    .filter(Boolean);
+  const maxParts = chome ? 2 : 3;
+  const block = parts.slice(0, maxParts).join('-');
+  const unit = parts.slice(maxParts).join('-');
+  let building = rest
+    .slice(parts.join('-').length)
+    .replace(/^[-\s]+/, '')
+    .trim();
+  const roomMatch = building.match(ROOM_SUFFIX_PATTERN);
+  const room = roomMatch ? roomMatch[0].trim() : '';
+  if (roomMatch) building = building.slice(0, roomMatch.index).trim();
+  const floorMatch = building.match(FLOOR_SUFFIX_PATTERN);
+  const floor = floorMatch ? floorMatch[0].trim().toUpperCase() : '';
+  if (floorMatch) building = building.slice(0, floorMatch.index).trim();
+
+  return { town: town.trim(), chome, block, unit, building, floor, room };
+}
+
+/**
+ * 住所を { prefecture, city, town, chome, block, unit, building, floor, room,
+ * normalized } に分ける。
+ * 先頭の郵便番号は除く。cityNames（「吹田市」など）を渡すとその中で最長一致する
+ * 市区町村を使い（先頭に無ければ住所の途中から探し、前に付いた建物名などは除く）、
+ * 無ければ「○○市（○○区）」「○○区・町・村」の形で切り出す。
+ * normalized は建物を除いた「大阪府吹田市千里山東1-2-3」の形。
+ */
+export function parseJapaneseAddress(raw, { cityNames = [] } = {}) {
+  let text = String(raw ?? '')
+    .normalize('NFKC')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(POSTAL_CODE_PATTERN, '');
+  let prefecture = text.match(new RegExp(`^${PREFECTURE}`))?.[0] || '';
+  text = text.slice(prefecture.length).trim();
+
+  let city = '';
+  for (const name of cityNames) {
+    if (text.startsWith(name) && name.length > city.length) city = name;
+  }
+  if (!city) {
+    // 「千里ビル 大阪府吹田市…」のように前に何か付いていれば、最初に現れる市区町村を使う
+    let found = -1;
+    for (const name of cityNames) {
+      const index = text.indexOf(name);
+      if (index < 0) continue;
+      if (
+        found < 0 ||
+        index < found ||
+        (index === found && name.length > city.length)
+      ) {
+        found = index;
+        city = name;
+      }
+    }
+    if (found > 0) {
+      const prefix = text.slice(0, found).trim();
+      prefecture ||=
+        prefix.match(new RegExp(`${PREFECTURE}$`))?.[0] || '';
+      text = text.slice(found);
+    }
+  }
+  if (!city) {
+    city =
+      text.match(/^[^\s\d]+?市(?:[^\s\d]{1,4}?区)?/)?.[0] ||
+      text.match(/^[^\s\d]+?郡[^\s\d]+?[町村]/)?.[0] ||
+      text.match(/^[^\s\d]+?[区町村]/)?.[0] ||
+      '';
+  }
+  const parts = parseTownAddress(text.slice(city.length));
+  const numbers = [parts.chome, parts.block].filter(Boolean).join('-');
+  return {
+    prefecture,
+    city,
+    ...parts,
+    normalized: `${prefecture}${city}${parts.town}${numbers}`,
+  };
+}
+
+/**
+ * 同じ店舗かを判定するためのキー。都道府県・建物名・階数は除き、
+ * 番地より細かい番号と部屋番号は残す（同じ建物の別の区画の店を分ける）。
+ * 丁目・番地は「1丁目2-3」と「1-2-3」を同じにするため続けて並べる。
+ */
+export const addressIdentityKey = (parsed) =>
+  [
+    parsed.city,
+    parsed.town,
+    [parsed.chome, parsed.block, parsed.unit].filter(Boolean).join('-'),
+    parsed.room,
+  ].join('|');
+
+const hasCoordinate = (row) =>
+  ['緯度', '経度'].every((key) => {
+    const value = String(row[key] ?? '').trim();
+    return value !== '' && Number.isFinite(Number(value));
+  });
+
+/**
+ * 店名と正規化した住所が同じ行を 1 つにまとめる（市境付近の店は複数市の CSV に載る）。
+ * 緯度経度のある行を優先して残す。
+ */
+export function dedupeRestaurantRows(rows, cityNames) {
+  const byKey = new Map();
+  let duplicates = 0;
+  for (const row of rows) {
+    const name = String(row['店の名前'] ?? '')
+      .normalize('NFKC')
+      .replace(/\s+/g, '');
+    const parsed = parseJapaneseAddress(row['住所'], { cityNames });
+    const key = `${name}|${addressIdentityKey(parsed)}`;
+    const kept = byKey.get(key);
+    if (!kept) {
+      byKey.set(key, row);
+      continue;
+    }
+    duplicates += 1;
+    if (!hasCoordinate(kept) && hasCoordinate(row)) byKey.set(key, row);
+  }
+  return { rows: Array.from(byKey.values()), duplicates };
+}
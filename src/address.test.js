@@ -0,0 +1,182 @@
+import { describe, expect, it } from 'vitest';
+import {
+  addressIdentityKey,
+  dedupeRestaurantRows,
+  kanjiToNumber,
+  parseJapaneseAddress,
+} from './address.js';
+
+const cityNames = ['吹田市', '豊中市'];
+
+describe('kanjiToNumber', () => {
+  it('位取りの有無どちらも読む', () => {
+    expect(kanjiToNumber('二十三')).toBe(23);
+    expect(kanjiToNumber('百五')).toBe(105);
+    expect(kanjiToNumber('二〇')).toBe(20);
+    expect(kanjiToNumber('十')).toBe(10);
+  });
+
+  it('読めなければ null', () => {
+    expect(kanjiToNumber('')).toBeNull();
+    expect(kanjiToNumber('千里')).toBeNull();
+  });
+});
+
+describe('parseJapaneseAddress', () => {
+  it('都道府県・市・町名・丁目・番地に分ける', () => {
+    const parsed = parseJapaneseAddress(
+      '大阪府吹田市千里山東一丁目2番3号 千里ビル 2F',
+      { cityNames }
+    );
+    expect(parsed).toMatchObject({
+      prefecture: '大阪府',
+      city: '吹田市',
+      town: '千里山東',
+      chome: '1',
+      block: '2-3',
+      unit: '',
+      building: '千里ビル',
+      floor: '2F',
+      room: '',
+      normalized: '大阪府吹田市千里山東1-2-3',
+    });
+  });
+
+  it('全角数字とハイフン類を揃える', () => {
+    const a = parseJapaneseAddress('大阪府吹田市江坂町１丁目２３－４', {
+      cityNames,
+    });
+    const b = parseJapaneseAddress('大阪府吹田市江坂町1丁目23ー4', {
+      cityNames,
+    });
+    expect(a.normalized).toBe('大阪府吹田市江坂町1-23-4');
+    expect(b.normalized).toBe(a.normalized);
+  });
+
+  it('町名の中の漢数字は変えない', () => {
+    const parsed = parseJapaneseAddress('吹田市千里万博公園1-1', {
+      cityNames,
+    });
+    expect(parsed.town).toBe('千里万博公園');
+    expect(parsed.block).toBe('1-1');
+  });
+
+  it('丁目が無ければ 3 つまでを番地にする', () => {
+    const parsed = parseJapaneseAddress('大阪府吹田市青葉丘北7-32', {
+      cityNames,
+    });
+    expect(parsed).toMatchObject({ chome: '', block: '7-32', unit: '' });
+  });
+
+  it('印の付いた階数・部屋番号だけを建物名から外す', () => {
+    const parsed = parseJapaneseAddress(
+      '大阪府豊中市本町1丁目2-3 本町ハイツ 地下1階 101号室',
+      { cityNames }
+    );
+    expect(parsed.building).toBe('本町ハイツ');
+    expect(parsed.floor).toBe('地下1階');
+    expect(parsed.room).toBe('101号室');
+
+    const plain = parseJapaneseAddress('大阪府豊中市本町1-2-3 第2ビル', {
+      cityNames,
+    });
+    expect(plain.building).toBe('第2ビル');
+    expect(plain.floor).toBe('');
+  });
+
+  it('番地に入りきらない数字は unit に残す', () => {
+    const parsed = parseJapaneseAddress('吹田市千里山東1丁目2-3-5', {
+      cityNames,
+    });
+    expect(parsed.block).toBe('2-3');
+    expect(parsed.unit).toBe('5');
+    expect(parsed.building).toBe('');
+  });
+
+  it('市名の一覧に無ければ形から市区町村を切り出す', () => {
+    expect(parseJapaneseAddress('大阪府大阪市北区梅田1-1').city).toBe(
+      '大阪市北区'
+    );
+    expect(parseJapaneseAddress('大阪府三島郡島本町広瀬1').city).toBe(
+      '三島郡島本町'
+    );
+  });
+
+  it('先頭の郵便番号を除く', () => {
+    for (const address of [
+      '〒564-0051 大阪府吹田市豊津町1-2',
+      '〒５６４－００５１大阪府吹田市豊津町1-2',
+      '564-0051 吹田市豊津町1-2',
+      '5640051 大阪府 吹田市豊津町1-2',
+    ]) {
+      expect(parseJapaneseAddress(address, { cityNames })).toMatchObject({
+        city: '吹田市',
+        town: '豊津町',
+        block: '1-2',
+      });
+    }
+    expect(parseJapaneseAddress('〒 大阪府吹田市豊津町1-2').prefecture).toBe(
+      '大阪府'
+    );
+  });
+
+  it('前に建物名などが付いていても一覧の市区町村を見つける', () => {
+    expect(
+      parseJapaneseAddress('江坂ビル2F 大阪府吹田市豊津町1-2', { cityNames })
+    ).toMatchObject({
+      prefecture: '大阪府',
+      city: '吹田市',
+      town: '豊津町',
+      block: '1-2',
+    });
+    expect(
+      parseJapaneseAddress('(本店)豊中市本町1-1', { cityNames }).city
+    ).toBe('豊中市');
+  });
+});
+
+describe('addressIdentityKey', () => {
+  it('建物名・階数は無視し、番地の続きと部屋番号は区別する', () => {
+    const key = (address) =>
+      addressIdentityKey(parseJapaneseAddress(address, { cityNames }));
+    expect(key('吹田市江坂町1丁目2-3 Aビル 1F')).toBe(
+      key('大阪府吹田市江坂町1-2-3 A ビル')
+    );
+    expect(key('吹田市江坂町1丁目2-3-5')).not.toBe(
+      key('吹田市江坂町1丁目2-3-7')
+    );
+    expect(key('吹田市江坂町1-2-3 Aビル 101号室')).not.toBe(
+      key('吹田市江坂町1-2-3 Aビル 102号室')
+    );
+  });
+});
+
+describe('dedupeRestaurantRows', () => {
+  it('店名と住所が同じ行を 1 つにまとめ、緯度経度のある行を残す', () => {
+    const rows = [
+      { 店の名前: 'カフェ A', 住所: '大阪府吹田市江坂町1丁目2-3' },
+      {
+        店の名前: 'カフェＡ',
+        住所: '大阪府吹田市江坂町1-2-3 2F',
+        緯度: '34.76',
+        経度: '135.49',
+      },
+      { 店の名前: 'カフェ B', 住所: '大阪府吹田市江坂町1丁目2-3' },
+    ];
+    const { rows: kept, duplicates } = dedupeRestaurantRows(rows, cityNames);
+    expect(duplicates).toBe(1);
+    expect(kept).toHaveLength(2);
+    expect(kept[0]['緯度']).toBe('34.76');
+    expect(kept[1]['店の名前']).toBe('カフェ B');
+  });
+
+  it('同じ建物の別の区画の同名店はまとめない', () => {
+    const rows = [
+      { 店の名前: 'コンビニ', 住所: '大阪府吹田市江坂町1丁目2-3-5' },
+      { 店の名前: 'コンビニ', 住所: '大阪府吹田市江坂町1丁目2-3-7' },
+    ];
+    const { rows: kept, duplicates } = dedupeRestaurantRows(rows, cityNames);
+    expect(duplicates).toBe(0);
+    expect(kept).toHaveLength(2);
+  });
+});
@@ -0,0 +1,138 @@
+// 町丁字単位の CSV（h03 人口 / h06 世帯 / 経済センサス事業所）の読み込み
+// 文字コードの判別、見出し行の検出、同梱ファイルの取得をまとめる。画面には依存しない
+import Papa from 'papaparse';
+
+/** CSV・属性の値を比較用の文字列にする（「27211.0」→「27211」、前後の空白を除く）。 */
+export function normalizeKeyString(v) {
+  if (v === null || v === undefined) return '';
+  return String(v).replace(/\.0$/, '').trim();
+}
+
+/** UTF-8 と Shift_JIS で読み、見出しらしい語が多く文字化けの少ない方を返す。 */
+export function decodeArrayBufferSmart(buf) {
+  const tryDecode = (enc) => {
+    try {
+      return new TextDecoder(enc).decode(buf);
+    } catch {
+      return '';
+    }
+  };
+
+  const utf8 = tryDecode('utf-8');
+  const sjis = tryDecode('shift_jis');
+
+  const score = (txt) => {
+    if (!txt) return -1;
+    let s = 0;
+    if (txt.includes('市区町村コード')) s += 6;
+    if (txt.includes('町丁字コード')) s += 6;
+    if (txt.includes('地域階層レベル')) s += 3;
+    if (txt.includes('KEY_CODE')) s += 6;
+    const repl = (txt.match(/�/g) || []).length;
+    s -= repl / 2000;
+    return s;
+  };
+
+  return score(sjis) > score(utf8) ? sjis : utf8;
+}
+
+/** 404 の代わりに返る index.html などの HTML か。 */
+export function looksLikeHtml(text) {
+  if (!text) return false;
+  const sample = text.trim().slice(0, 300).toLowerCase();
+  return sample.includes('<!doctype html') || sample.includes('<html');
+}
+
+export function looksLikeAreaCsv(text) {
+  if (!text) return false;
+  if (text.includes('KEY_CODE')) return true;
+  return text.includes('市区町村コード') && text.includes('町丁字コード');
+}
+
+function findHeaderRowIndex(lines) {
+  const maxScan = Math.min(lines.length, 60);
+  for (let i = 0; i < maxScan; i++) {
+    const line = lines[i] || '';
+    if (line.includes('市区町村コード') && line.includes('町丁字コード'))
+      return i;
+    if (line.includes('KEY_CODE')) return i;
+  }
+  return 0;
+}
+
+export function parseCsvText(text) {
+  const lines = text.split(/\r?\n/);
+  const headerIdx = findHeaderRowIndex(lines);
+  const sliced = lines.slice(headerIdx).join('\n');
+
+  const parsed = Papa.parse(sliced, {
+    header: true,
+    skipEmptyLines: true,
+    dynamicTyping: false,
+  });
+
+  const rows = (parsed.data || []).filter((r) => r && typeof r === 'object');
+
+  // 先頭の「行番号列（4/5など）」を除去
+  const cleaned = rows.map((r) => {
+    const obj = { ...r };
+    for (const k of Object.keys(obj)) {
+      const nk = (k || '').trim();
+      if (!nk) delete obj[k];
+    }
+    for (const k of Object.keys(obj)) {
+      if (/^\d+$/.test(k)) delete obj[k];
+    }
+    if (obj[''] !== undefined) delete obj[''];
+    return obj;
+  });
+
+  return cleaned;
+}
+
+/**
+ * 同梱の CSV をまとめて取得する。label は表示用の種類名、isValid は見出しの判定。
+ * optional なら同梱されていないファイル（404 / HTML のフォールバック）は読み飛ばし、
+ * missing に「種類: ファイル名」を返す。{ rows, sources, missing, errors } を返す。
+ */
+export async function fetchAreaCsvs(
+  urls,
+  { label, optional = false, isValid = looksLikeAreaCsv }
+) {
+  const results = await Promise.allSettled(
+    urls.map(async (url) => {
+      const res = await fetch(url);
+      if (!res.ok) {
+        if (optional) return { url, missing: true };
+        throw new Error(`データ取得に失敗しました (${res.status}) - ${url}`);
+      }
+      const text = decodeArrayBufferSmart(await res.arrayBuffer());
+      if (looksLikeHtml(text)) {
+        if (optional) return { url, missing: true };
+        throw new Error(`${label}CSVがHTMLで返されました: ${url}`);
+      }
+      if (!isValid(text)) {
+        throw new Error(`${label}CSVのヘッダーが不正です: ${url}`);
+      }
+      return { url, rows: parseCsvText(text) };
+    })
+  );
+  const rows = [];
+  const sources = [];
+  const missing = [];
+  const errors = [];
+  for (const r of results) {
+    if (r.status === 'rejected') {
+      errors.push(r.reason?.message || String(r.reason));
+      continue;
+    }
+    const name = decodeURIComponent(r.value.url.split('/').pop());
+    if (r.value.missing) {
+      missing.push(`${label}: ${name}`);
+      continue;
+    }
+    rows.push(...r.value.rows);
+    sources.push(name);
+  }
+  return { rows, sources, missing, errors };
+}
@@ -0,0 +1,86 @@
+import { readFileSync } from 'node:fs';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  decodeArrayBufferSmart,
+  fetchAreaCsvs,
+  normalizeKeyString,
+  parseCsvText,
+} from './areaCsv.js';
+
+// Shift_JIS・表題行付きの経済センサス（事業所）CSV
+const fixture = readFileSync(
+  new URL('./fixtures/経済センサス_事業所.csv', import.meta.url)
+);
+const toArrayBuffer = (buf) =>
+  buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+
+describe('parseCsvText', () => {
+  it('Shift_JIS を判別し、表題行を飛ばして見出し行から読む', () => {
+    const rows = parseCsvText(decodeArrayBufferSmart(toArrayBuffer(fixture)));
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toMatchObject({
+      市区町村コード: '27211',
+      町丁字コード: '001000',
+      町丁字名: '春日一丁目',
+      '事業所数（建設業）': '3',
+    });
+  });
+});
+
+describe('normalizeKeyString', () => {
+  it('小数点付きのコードと空白を揃える', () => {
+    expect(normalizeKeyString('27211.0')).toBe('27211');
+    expect(normalizeKeyString(' 001000 ')).toBe('001000');
+    expect(normalizeKeyString(null)).toBe('');
+  });
+});
+
+describe('fetchAreaCsvs', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  // manifest の census.business に書いた同梱パスを取得する
+  const stubFetch = (files) =>
+    vi.stubGlobal('fetch', async (url) => {
+      const body = files[url];
+      if (body === undefined)
+        return { ok: false, status: 404, arrayBuffer: async () => null };
+      return { ok: true, status: 200, arrayBuffer: async () => body };
+    });
+
+  it('同梱の事業所 CSV を読み、無いファイルは optional なら読み飛ばす', async () => {
+    stubFetch({
+      '/data/%E4%BA%8B%E6%A5%AD%E6%89%80.csv': toArrayBuffer(fixture),
+      '/data/html.csv': new TextEncoder().encode('<!DOCTYPE html><html>')
+        .buffer,
+    });
+    const result = await fetchAreaCsvs(
+      [
+        '/data/%E4%BA%8B%E6%A5%AD%E6%89%80.csv',
+        '/data/missing.csv',
+        '/data/html.csv',
+      ],
+      { label: '事業所', optional: true }
+    );
+    expect(result.rows).toHaveLength(3);
+    expect(result.sources).toEqual(['事業所.csv']);
+    expect(result.missing).toEqual([
+      '事業所: missing.csv',
+      '事業所: html.csv',
+    ]);
+    expect(result.errors).toEqual([]);
+  });
+
+  it('optional でなければ無いファイルと見出しの不正をエラーにする', async () => {
+    stubFetch({ '/data/bad.csv': new TextEncoder().encode('a,b\n1,2').buffer });
+    const result = await fetchAreaCsvs(['/data/none.csv', '/data/bad.csv'], {
+      label: '人口',
+    });
+    expect(result.rows).toEqual([]);
+    expect(result.errors).toEqual([
+      'データ取得に失敗しました (404) - /data/none.csv',
+      '人口CSVのヘッダーが不正です: /data/bad.csv',
+    ]);
+  });
+});
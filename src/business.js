@@ -0,0 +1,114 @@
+// 経済センサス（事業所）の CSV の構造と産業分類の判別。画面には依存しない
+import { normalizeKeyString } from './areaCsv.js';
+
+const uniq = (arr) => Array.from(new Set(arr));
+
+const BUSINESS_MEASURES = [
+  { key: 'establishments', label: '事業所数', pattern: /事業所数|事業所/ },
+  { key: 'employees', label: '従業者数', pattern: /従業者数|従業者/ },
+];
+const BUSINESS_INDUSTRY_ROW_COLUMNS = [
+  '産業分類',
+  '産業大分類',
+  '産業分類名',
+  '産業（大分類）',
+  '産業',
+];
+export const BUSINESS_COLUMN_MEASURE = 'column'; // 任意の数値列をそのまま使う
+export const BUSINESS_ALL_INDUSTRY_KEY = '';
+const BUSINESS_ALL_INDUSTRY_PATTERN = /全産業|産業計|^総数$|^合計$|^計$/;
+
+function stripBusinessMeasureLabel(column, measure) {
+  return column
+    .replace(measure.pattern, '')
+    .replace(/[（）()［］\[\]「」_＿:：・\s-]/g, '')
+    .trim();
+}
+
+export function isBusinessCodeColumn(k) {
+  return k.includes('コード') || k.toUpperCase().includes('CODE');
+}
+
+/**
+ * 事業所CSVの構造（縦持ち/横持ち）を判別し、産業分類×指標の対応を返す。
+ * - 縦持ち: 「産業分類」等の列を持ち、行ごとに産業が分かれている
+ * - 横持ち: 「事業所数（建設業）」のように列名に産業名を含む
+ */
+export function buildBusinessSchema(rows) {
+  const empty = { industryColumn: '', industries: [], measures: [] };
+  if (!rows?.length) return empty;
+  const keys = Object.keys(rows[0] || {});
+  const industryColumn =
+    BUSINESS_INDUSTRY_ROW_COLUMNS.find((k) => keys.includes(k)) || '';
+
+  if (industryColumn) {
+    const industries = uniq(
+      rows.map((r) => normalizeKeyString(r[industryColumn]))
+    ).filter((v) => v && !BUSINESS_ALL_INDUSTRY_PATTERN.test(v));
+    const measures = BUSINESS_MEASURES.map((measure) => {
+      const column = keys.find(
+        (k) => !isBusinessCodeColumn(k) && measure.pattern.test(k)
+      );
+      if (!column) return null;
+      return { ...measure, columns: { [BUSINESS_ALL_INDUSTRY_KEY]: column } };
+    }).filter(Boolean);
+    return { industryColumn, industries, measures };
+  }
+
+  const industrySet = new Set();
+  const measures = BUSINESS_MEASURES.map((measure) => {
+    const columns = {};
+    for (const k of keys) {
+      if (!k || isBusinessCodeColumn(k) || !measure.pattern.test(k)) continue;
+      const label = stripBusinessMeasureLabel(k, measure);
+      const industry =
+        !label || BUSINESS_ALL_INDUSTRY_PATTERN.test(label)
+          ? BUSINESS_ALL_INDUSTRY_KEY
+          : label;
+      if (columns[industry]) continue;
+      columns[industry] = k;
+      if (industry) industrySet.add(industry);
+    }
+    return Object.keys(columns).length ? { ...measure, columns } : null;
+  }).filter(Boolean);
+  return { industryColumn: '', industries: Array.from(industrySet), measures };
+}
+
+/**
+ * 選択中の指標・産業から、集計に使う列と対象行の判定関数を返す。
+ * 横持ちで全産業列が無い場合は産業別列の合算とする。
+ */
+export function resolveBusinessSelection(schema, measureKey, industry) {
+  const measure = schema?.measures?.find((m) => m.key === measureKey);
+  if (!measure) return null;
+
+  if (schema.industryColumn) {
+    const column = measure.columns[BUSINESS_ALL_INDUSTRY_KEY];
+    const col = schema.industryColumn;
+    if (industry) {
+      return {
+        columns: [column],
+        rowFilter: (r) => normalizeKeyString(r[col]) === industry,
+      };
+    }
+    return {
+      columns: [column],
+      rowFilter: (r) => {
+        const v = normalizeKeyString(r[col]);
+        return !v || BUSINESS_ALL_INDUSTRY_PATTERN.test(v);
+      },
+      fallbackRowFilter: () => true,
+    };
+  }
+
+  if (industry) {
+    const column = measure.columns[industry];
+    return column ? { columns: [column], rowFilter: () => true } : null;
+  }
+  const total = measure.columns[BUSINESS_ALL_INDUSTRY_KEY];
+  if (total) return { columns: [total], rowFilter: () => true };
+  return {
+    columns: Object.values(measure.columns),
+    rowFilter: () => true,
+  };
+}
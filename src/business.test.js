@@ -0,0 +1,63 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { decodeArrayBufferSmart, parseCsvText } from './areaCsv.js';
+import {
+  BUSINESS_ALL_INDUSTRY_KEY,
+  buildBusinessSchema,
+  resolveBusinessSelection,
+} from './business.js';
+
+const fixture = readFileSync(
+  new URL('./fixtures/経済センサス_事業所.csv', import.meta.url)
+);
+const rows = parseCsvText(decodeArrayBufferSmart(fixture));
+
+describe('buildBusinessSchema', () => {
+  it('横持ちの列名から指標と産業分類を判別する', () => {
+    const schema = buildBusinessSchema(rows);
+    expect(schema.industryColumn).toBe('');
+    expect(schema.industries).toEqual(['建設業', '製造業']);
+    expect(schema.measures.map((m) => m.key)).toEqual([
+      'establishments',
+      'employees',
+    ]);
+    expect(schema.measures[1].columns).toEqual({
+      [BUSINESS_ALL_INDUSTRY_KEY]: '従業者数（全産業）',
+      建設業: '従業者数（建設業）',
+      製造業: '従業者数（製造業）',
+    });
+  });
+
+  it('縦持ち（産業分類の列）も判別する', () => {
+    const schema = buildBusinessSchema([
+      { KEY_CODE: '27211001', 産業分類: '全産業', 事業所数: '12' },
+      { KEY_CODE: '27211001', 産業分類: '建設業', 事業所数: '3' },
+    ]);
+    expect(schema.industryColumn).toBe('産業分類');
+    expect(schema.industries).toEqual(['建設業']);
+    const selection = resolveBusinessSelection(
+      schema,
+      'establishments',
+      '建設業'
+    );
+    expect(selection.columns).toEqual(['事業所数']);
+    expect(selection.rowFilter({ 産業分類: '建設業' })).toBe(true);
+    expect(selection.rowFilter({ 産業分類: '全産業' })).toBe(false);
+  });
+});
+
+describe('resolveBusinessSelection', () => {
+  it('産業を選ぶとその列、全産業は全産業の列を使う', () => {
+    const schema = buildBusinessSchema(rows);
+    expect(
+      resolveBusinessSelection(schema, 'establishments', '製造業').columns
+    ).toEqual(['事業所数（製造業）']);
+    expect(
+      resolveBusinessSelection(
+        schema,
+        'establishments',
+        BUSINESS_ALL_INDUSTRY_KEY
+      ).columns
+    ).toEqual(['事業所数（全産業）']);
+  });
+});
@@ -0,0 +1,74 @@
+// 住所検索の通信（要求間隔の制御・再試行・JSON の取得）
+// 提供元ごとの検索と結果の解釈は App.jsx の createGeocoder 側に置く
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** 前回の要求から intervalMs 空くまで待つ関数を返す。 */
+export function createRateLimiter(intervalMs) {
+  let last = -Infinity;
+  return async () => {
+    const wait = last + intervalMs - Date.now();
+    if (wait > 0) await sleep(wait);
+    last = Date.now();
+  };
+}
+
+/**
+ * run を実行し、再試行できる失敗（error.retryable）なら retryBaseMs × 2^n
+ * （Retry-After の指定があればそれ以上）待って maxRetries 回まで繰り返す。
+ */
+export async function withGeocoderRetry(run, { maxRetries, retryBaseMs }) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await run();
+    } catch (e) {
+      if (!e?.retryable || attempt >= maxRetries) throw e;
+      await sleep(Math.max(retryBaseMs * 2 ** attempt, e.retryAfterMs || 0));
+    }
+  }
+}
+
+/**
+ * baseUrl に params を付けて JSON を取得する。通信エラー・429・5xx は retryable な
+ * エラーにする（429 の Retry-After は retryAfterMs に入れる）。
+ */
+export async function fetchGeocoderJson(
+  baseUrl,
+  params,
+  { corsProxy = '' } = {}
+) {
+  const url = new URL(baseUrl, globalThis.location?.href);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  let res;
+  try {
+    res = await fetch(url.toString());
+  } catch (e) {
+    // CORS やネットワークエラーのときは、中継が指定されていれば中継経由で試す
+    try {
+      if (!corsProxy) throw e;
+      res = await fetch(`${corsProxy}${encodeURIComponent(url.toString())}`);
+    } catch (proxyError) {
+      throw Object.assign(
+        new Error(
+          `住所検索に接続できません: ${
+            proxyError?.message || String(proxyError)
+          }`
+        ),
+        { retryable: true }
+      );
+    }
+  }
+  if (!res.ok) {
+    const retryAfter = Number(res.headers.get('Retry-After'));
+    throw Object.assign(new Error(`住所検索に失敗 (${res.status})`), {
+      status: res.status,
+      retryable: res.status === 429 || res.status >= 500,
+      retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : 0,
+    });
+  }
+  return res.json();
+}
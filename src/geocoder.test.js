@@ -0,0 +1,124 @@
+import { spawn } from 'node:child_process';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import {
+  createRateLimiter,
+  fetchGeocoderJson,
+  withGeocoderRetry,
+} from './geocoder.js';
+
+const retryableError = () =>
+  Object.assign(new Error('503'), { retryable: true });
+
+describe('withGeocoderRetry', () => {
+  it('再試行できる失敗は maxRetries 回まで繰り返す', async () => {
+    let calls = 0;
+    const run = async () => {
+      calls += 1;
+      if (calls < 3) throw retryableError();
+      return 'ok';
+    };
+    await expect(
+      withGeocoderRetry(run, { maxRetries: 3, retryBaseMs: 0 })
+    ).resolves.toBe('ok');
+    expect(calls).toBe(3);
+  });
+
+  it('回数を使い切るか、再試行できない失敗ならそのまま投げる', async () => {
+    let calls = 0;
+    await expect(
+      withGeocoderRetry(
+        async () => {
+          calls += 1;
+          throw retryableError();
+        },
+        { maxRetries: 2, retryBaseMs: 0 }
+      )
+    ).rejects.toThrow('503');
+    expect(calls).toBe(3);
+
+    calls = 0;
+    await expect(
+      withGeocoderRetry(
+        async () => {
+          calls += 1;
+          throw new Error('400');
+        },
+        { maxRetries: 2, retryBaseMs: 0 }
+      )
+    ).rejects.toThrow('400');
+    expect(calls).toBe(1);
+  });
+});
+
+describe('createRateLimiter', () => {
+  it('前回の要求から間隔が空くまで待つ', async () => {
+    const waitTurn = createRateLimiter(100);
+    const start = Date.now();
+    await waitTurn();
+    await waitTurn();
+    await waitTurn();
+    expect(Date.now() - start).toBeGreaterThanOrEqual(190);
+  });
+});
+
+// scripts/mock-geocoder.mjs を --min-interval 付きで起動し、間隔が短いと 429 と
+// Retry-After が返ること、再試行と要求間隔の制御で取得できることを確かめる
+describe('代替サーバとの通信', () => {
+  const minInterval = 500;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = spawn(process.execPath, [
+      'scripts/mock-geocoder.mjs',
+      '--port',
+      '0',
+      '--min-interval',
+      String(minInterval),
+      'data/飲食店_吹田_緯度経度付き.csv',
+    ]);
+    const origin = await new Promise((resolve, reject) => {
+      server.stdout.on('data', (chunk) => {
+        const match = String(chunk).match(/http:\/\/localhost:\d+/);
+        if (match) resolve(match[0]);
+      });
+      server.on('error', reject);
+      server.on('exit', () => reject(new Error('代替サーバが終了しました')));
+    });
+    baseUrl = `${origin}/address-search/AddressSearch`;
+  });
+
+  afterAll(() => {
+    server?.kill();
+  });
+
+  const query = { q: '大阪府吹田市青葉丘北7-32' };
+
+  it('間隔が短いと 429 と Retry-After を返し、再試行で取得できる', async () => {
+    await fetchGeocoderJson(baseUrl, query);
+    const error = await fetchGeocoderJson(baseUrl, query).catch((e) => e);
+    expect(error).toMatchObject({
+      status: 429,
+      retryable: true,
+      retryAfterMs: 1000,
+    });
+
+    const start = Date.now();
+    const data = await withGeocoderRetry(
+      () => fetchGeocoderJson(baseUrl, query),
+      { maxRetries: 3, retryBaseMs: 10 }
+    );
+    expect(Date.now() - start).toBeGreaterThanOrEqual(1000);
+    expect(data[0].geometry.coordinates).toEqual([135.549042, 34.807537]);
+  }, 10000);
+
+  it('要求間隔を空ければ 429 にならない', async () => {
+    const waitTurn = createRateLimiter(minInterval + 50);
+    await waitTurn();
+    for (let i = 0; i < 3; i += 1) {
+      await waitTurn();
+      const data = await fetchGeocoderJson(baseUrl, query);
+      expect(data).toHaveLength(1);
+    }
+  }, 10000);
+});
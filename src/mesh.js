@@ -0,0 +1,25 @@
+// 地域メッシュ（JIS X 0410）のコード計算
+
+/** 地点を含む地域メッシュのコード（3次 8桁 / 2分の1 9桁 / 4分の1 10桁）。 */
+export function toJisMeshCode(lon, lat, level) {
+  const latMinutes = lat * 60;
+  const p = Math.floor(latMinutes / 40);
+  const a = latMinutes - p * 40;
+  const q = Math.floor(a / 5);
+  const b = a - q * 5;
+  const r = Math.floor((b * 60) / 30);
+  const c = b * 60 - r * 30; // 3次メッシュ内の緯度方向の秒
+  const u = Math.floor(lon) - 100;
+  const f = (lon - Math.floor(lon)) * 60;
+  const v = Math.floor(f / 7.5);
+  const g = f - v * 7.5;
+  const w = Math.floor((g * 60) / 45);
+  const h = g * 60 - w * 45; // 3次メッシュ内の経度方向の秒
+
+  const third = `${p}${u}${q}${v}${r}${w}`;
+  if (level === 'third') return third;
+  const half = (c >= 15 ? 2 : 0) + (h >= 22.5 ? 1 : 0) + 1;
+  if (level === 'half') return `${third}${half}`;
+  const quarter = (c % 15 >= 7.5 ? 2 : 0) + (h % 22.5 >= 11.25 ? 1 : 0) + 1;
+  return `${third}${half}${quarter}`;
+}
@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { toJisMeshCode } from './mesh.js';
+
+describe('toJisMeshCode', () => {
+  // 東京駅（北緯 35.681236 度・東経 139.767125 度）
+  const lon = 139.767125;
+  const lat = 35.681236;
+
+  it('3次メッシュは 8 桁', () => {
+    expect(toJisMeshCode(lon, lat, 'third')).toBe('53394611');
+  });
+
+  it('2分の1・4分の1地域メッシュは分割番号を付け足す', () => {
+    expect(toJisMeshCode(lon, lat, 'half')).toBe('533946113');
+    expect(toJisMeshCode(lon, lat, 'quarter')).toBe('5339461132');
+  });
+
+  it('区画の南西端はその区画に入る', () => {
+    // 北緯 34度40分・東経 135度 は 1次メッシュ 5235 の南西端
+    expect(toJisMeshCode(135, 34 + 40 / 60, 'third')).toBe('52350000');
+  });
+});
@@ -0,0 +1,21 @@
+// 人口の行の集計（ピラミッド用）。画面に依存しない純粋な関数だけを置く
+
+/**
+ * 人口の行を 町丁キー → { 男女の値: 行 } にまとめる。keyOf は行のキーを返す関数。
+ * 地図の町丁（keySet）に無いキーの行は除く。境界が読み込めていない（keySet が無い）
+ * ときは空の Map を返す。
+ */
+export function groupPopulationRowsByKey(rows, keyOf, keySet) {
+  const map = new Map();
+  if (!rows?.length || !keySet) return map;
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!key || !keySet.has(key)) continue;
+    const sex = String(row['男女'] ?? '').trim();
+    if (!sex) continue;
+    const entry = map.get(key) || {};
+    entry[sex] = row;
+    map.set(key, entry);
+  }
+  return map;
+}
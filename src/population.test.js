@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { groupPopulationRowsByKey } from './population.js';
+
+const rows = [
+  { KEY_CODE: '27211001', 男女: '男', 総数: '10' },
+  { KEY_CODE: '27211001', 男女: '女', 総数: '12' },
+  { KEY_CODE: '27211002', 男女: '男', 総数: '5' },
+  { KEY_CODE: '27211999', 男女: '男', 総数: '1' },
+  { KEY_CODE: '27211002', 男女: '', 総数: '5' },
+];
+const keyOf = (row) => row.KEY_CODE;
+
+describe('groupPopulationRowsByKey', () => {
+  it('地図の町丁ごとに男女別の行をまとめる', () => {
+    const map = groupPopulationRowsByKey(
+      rows,
+      keyOf,
+      new Set(['27211001', '27211002'])
+    );
+    expect(Array.from(map.keys())).toEqual(['27211001', '27211002']);
+    expect(map.get('27211001').女.総数).toBe('12');
+    expect(Object.keys(map.get('27211002'))).toEqual(['男']);
+  });
+
+  it('境界が読み込めていなければ空（例外にしない）', () => {
+    expect(groupPopulationRowsByKey(rows, keyOf, null).size).toBe(0);
+    expect(groupPopulationRowsByKey(null, keyOf, new Set()).size).toBe(0);
+  });
+});
@@ -0,0 +1,111 @@
+// 統計の計算（特化係数の検定、階級区分など）。画面に依存しない純粋な関数だけを置く
+
+// 期待値か観測数がこれを超えるとポアソン分布を正規近似する
+// （e^-λ のアンダーフローと、観測数に比例する総和の計算を避ける）
+const POISSON_EXACT_MAX_COUNT = 500;
+
+/**
+ * 観測数 observed が期待値 expected のポアソン分布から出る両側 p 値。
+ * observed は整数に丸めて扱う。大きな値は正規近似（poissonTwoSidedPNormal）。
+ */
+export function poissonTwoSidedP(observed, expected) {
+  if (!(expected > 0)) return null;
+  const k = Math.max(0, Math.round(observed));
+  if (Math.max(k, expected) > POISSON_EXACT_MAX_COUNT)
+    return poissonTwoSidedPNormal(k, expected);
+  return poissonTwoSidedPExact(k, expected);
+}
+
+/** 確率の和による正確な両側 p 値（k に比例する計算量。k は 0 以上の整数）。 */
+export function poissonTwoSidedPExact(k, expected) {
+  let pmf = Math.exp(-expected);
+  let lower = 0; // P(X <= k)
+  let belowK = 0; // P(X <= k - 1)
+  for (let i = 0; i <= k; i++) {
+    if (i > 0) pmf *= expected / i;
+    if (i === k) belowK = lower;
+    lower += pmf;
+  }
+  const upper = 1 - belowK; // P(X >= k)
+  return Math.min(1, 2 * Math.min(lower, upper));
+}
+
+/** 連続性補正つきの正規近似による両側 p 値。 */
+export function poissonTwoSidedPNormal(k, expected) {
+  const z = (Math.abs(k - expected) - 0.5) / Math.sqrt(expected);
+  return Math.min(1, 2 * normalUpperTail(Math.max(0, z)));
+}
+
+// 標準正規分布の上側確率（Abramowitz-Stegun 7.1.26 による erfc の近似）
+export function normalUpperTail(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly =
+    t *
+    (0.254829592 +
+      t *
+        (-0.284496736 +
+          t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erfc = poly * Math.exp(-x * x);
+  return z >= 0 ? erfc / 2 : 1 - erfc / 2;
+}
+
+/**
+ * 特化係数の分子（観測数）と期待値から z スコアとポアソン p 値を求める。
+ * 期待値 = 地域の分母 × 基準地域の比率。
+ */
+export function testLocationQuotient(observed, expected) {
+  if (!(expected > 0)) return { z: null, p: null };
+  return {
+    z: (observed - expected) / Math.sqrt(expected),
+    p: poissonTwoSidedP(observed, expected),
+  };
+}
+
+/**
+ * Fisher-Jenks の自然分類。昇順の sorted を k 階級に分け、
+ * 内側の境界値（各階級の上限）を返す。
+ */
+export function jenksBreaks(sorted, k) {
+  const n = sorted.length;
+  const lower = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+  const cost = Array.from({ length: n + 1 }, () =>
+    new Array(k + 1).fill(Infinity)
+  );
+  for (let j = 1; j <= k; j++) {
+    lower[1][j] = 1;
+    cost[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSq = 0;
+    let variance = 0;
+    for (let m = 1; m <= l; m++) {
+      const start = l - m + 1;
+      const v = sorted[start - 1];
+      sum += v;
+      sumSq += v * v;
+      variance = sumSq - (sum * sum) / m;
+      if (start === 1) continue;
+      for (let j = 2; j <= k; j++) {
+        const c = variance + cost[start - 1][j - 1];
+        if (c <= cost[l][j]) {
+          lower[l][j] = start;
+          cost[l][j] = c;
+        }
+      }
+    }
+    lower[l][1] = 1;
+    cost[l][1] = variance;
+  }
+
+  const breaks = [];
+  let end = n;
+  for (let j = k; j >= 2; j--) {
+    const start = lower[end][j];
+    breaks.unshift(sorted[start - 2]);
+    end = start - 1;
+  }
+  return breaks;
+}
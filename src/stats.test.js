@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import {
+  jenksBreaks,
+  normalUpperTail,
+  poissonTwoSidedP,
+  poissonTwoSidedPExact,
+  poissonTwoSidedPNormal,
+  testLocationQuotient,
+} from './stats.js';
+
+describe('normalUpperTail', () => {
+  it('標準正規分布の上側確率を返す', () => {
+    expect(normalUpperTail(0)).toBeCloseTo(0.5, 6);
+    expect(normalUpperTail(1.96)).toBeCloseTo(0.025, 4);
+    expect(normalUpperTail(-1.96)).toBeCloseTo(0.975, 4);
+  });
+});
+
+describe('poissonTwoSidedP', () => {
+  it('期待値が 0 以下なら null', () => {
+    expect(poissonTwoSidedP(3, 0)).toBeNull();
+  });
+
+  it('小さい件数は正確な和で求める', () => {
+    // P(X = 0 | λ = 5) = e^-5
+    expect(poissonTwoSidedP(0, 5)).toBeCloseTo(2 * Math.exp(-5), 10);
+    expect(poissonTwoSidedP(5, 5)).toBe(1);
+    expect(poissonTwoSidedP(15, 5)).toBeCloseTo(2 * 0.000226, 5);
+  });
+
+  it('観測数が大きくても正規近似ですぐ返す', () => {
+    const started = Date.now();
+    expect(poissonTwoSidedP(1e9, 100)).toBeLessThan(1e-12);
+    expect(Date.now() - started).toBeLessThan(50);
+  });
+
+  it('境界（500）付近では同じ観測数・期待値で正確な和と正規近似が一致する', () => {
+    for (const [k, expected] of [
+      [500, 460],
+      [500, 500],
+      [460, 500],
+      [540, 499],
+    ]) {
+      const exact = poissonTwoSidedPExact(k, expected);
+      const approx = poissonTwoSidedPNormal(k, expected);
+      expect(Math.abs(exact - approx)).toBeLessThan(0.005);
+    }
+    // 境界の内側は正確な和、外側は正規近似を使う
+    expect(poissonTwoSidedP(500, 460)).toBe(poissonTwoSidedPExact(500, 460));
+    expect(poissonTwoSidedP(501, 460)).toBe(poissonTwoSidedPNormal(501, 460));
+  });
+});
+
+describe('testLocationQuotient', () => {
+  it('z スコアと p 値を返す', () => {
+    const { z, p } = testLocationQuotient(120, 100);
+    expect(z).toBeCloseTo(2, 10);
+    expect(p).toBeGreaterThan(0.04);
+    expect(p).toBeLessThan(0.06);
+  });
+
+  it('期待値が無ければどちらも null', () => {
+    expect(testLocationQuotient(10, 0)).toEqual({ z: null, p: null });
+  });
+});
+
+describe('jenksBreaks', () => {
+  it('まとまりの切れ目を境界（各階級の上限）にする', () => {
+    const sorted = [1, 2, 3, 10, 11, 12, 20, 21, 22];
+    expect(jenksBreaks(sorted, 3)).toEqual([3, 12]);
+  });
+
+  it('大きさの違う階級にも分けられる', () => {
+    const sorted = [1, 1, 2, 2, 3, 40, 41, 100];
+    expect(jenksBreaks(sorted, 2)).toEqual([41]);
+    expect(jenksBreaks(sorted, 3)).toEqual([3, 41]);
+  });
+
+  it('境界の数は階級数 - 1', () => {
+    const sorted = Array.from({ length: 50 }, (_, i) => i * i);
+    const breaks = jenksBreaks(sorted, 5);
+    expect(breaks).toHaveLength(4);
+    expect([...breaks].sort((a, b) => a - b)).toEqual(breaks);
+  });
+});